@@ -0,0 +1,41 @@
+// config/firms.js
+// Shared firm catalog seeded by `npm run firms:migrate`. Users can add their own
+// firms and aliases through /api/v1/firms; these entries are visible to everyone.
+
+const firms = [
+  // Bulge brackets
+  { name: 'Goldman Sachs', type: 'BB', headquarters: 'New York, NY', aliases: ['GS', 'Goldman', 'Goldman Sachs & Co.'] },
+  { name: 'Morgan Stanley', type: 'BB', headquarters: 'New York, NY', aliases: ['MS'] },
+  { name: 'J.P. Morgan', type: 'BB', headquarters: 'New York, NY', aliases: ['JPM', 'JPMorgan', 'JP Morgan', 'JPMorgan Chase', 'J.P. Morgan Chase'] },
+  { name: 'Bank of America', type: 'BB', headquarters: 'Charlotte, NC', aliases: ['BofA', 'BAML', 'BofA Securities', 'Bank of America Merrill Lynch', 'Merrill Lynch'] },
+  { name: 'Citi', type: 'BB', headquarters: 'New York, NY', aliases: ['Citigroup', 'Citibank'] },
+  { name: 'Barclays', type: 'BB', headquarters: 'London, UK', aliases: ['Barclays Capital'] },
+  { name: 'Deutsche Bank', type: 'BB', headquarters: 'Frankfurt, Germany', aliases: ['DB'] },
+  { name: 'UBS', type: 'BB', headquarters: 'Zurich, Switzerland', aliases: ['UBS Investment Bank'] },
+  { name: 'Wells Fargo', type: 'BB', headquarters: 'San Francisco, CA', aliases: ['WF', 'Wells Fargo Securities', 'Wells'] },
+
+  // Elite boutiques
+  { name: 'Evercore', type: 'EB', headquarters: 'New York, NY', aliases: ['EVR', 'Evercore ISI'] },
+  { name: 'Lazard', type: 'EB', headquarters: 'New York, NY', aliases: ['Lazard Freres'] },
+  { name: 'Centerview Partners', type: 'EB', headquarters: 'New York, NY', aliases: ['Centerview', 'CVP'] },
+  { name: 'PJT Partners', type: 'EB', headquarters: 'New York, NY', aliases: ['PJT'] },
+  { name: 'Moelis & Company', type: 'EB', headquarters: 'New York, NY', aliases: ['Moelis'] },
+  { name: 'Perella Weinberg Partners', type: 'EB', headquarters: 'New York, NY', aliases: ['PWP', 'Perella', 'Perella Weinberg'] },
+  { name: 'Guggenheim Partners', type: 'EB', headquarters: 'New York, NY', aliases: ['Guggenheim', 'Guggenheim Securities'] },
+  { name: 'Qatalyst Partners', type: 'EB', headquarters: 'San Francisco, CA', aliases: ['Qatalyst'] },
+  { name: 'Greenhill', type: 'EB', headquarters: 'New York, NY', aliases: ['Greenhill & Co.'] },
+
+  // Middle market
+  { name: 'Houlihan Lokey', type: 'MM', headquarters: 'Los Angeles, CA', aliases: ['HL', 'Houlihan'] },
+  { name: 'Jefferies', type: 'MM', headquarters: 'New York, NY', aliases: ['Jefferies Group'] },
+  { name: 'William Blair', type: 'MM', headquarters: 'Chicago, IL', aliases: ['Blair'] },
+  { name: 'Harris Williams', type: 'MM', headquarters: 'Richmond, VA', aliases: ['HW', 'Harris Williams & Co.'] },
+  { name: 'Lincoln International', type: 'MM', headquarters: 'Chicago, IL', aliases: ['Lincoln'] },
+  { name: 'Piper Sandler', type: 'MM', headquarters: 'Minneapolis, MN', aliases: ['Piper', 'Piper Jaffray'] },
+  { name: 'Baird', type: 'MM', headquarters: 'Milwaukee, WI', aliases: ['Robert W. Baird', 'RW Baird'] },
+  { name: 'RBC Capital Markets', type: 'MM', headquarters: 'Toronto, Canada', aliases: ['RBC', 'RBCCM'] }
+];
+
+module.exports = {
+  firms
+};
@@ -0,0 +1,24 @@
+// config/followUpCadence.js
+// Default follow-up cadence per networking status. `days` is how long after the
+// last interaction the next step falls due (0 for scheduled calls, which are due
+// on the call date); users can override the days per status through
+// /api/v1/users/follow-up-cadence.
+
+const followUpCadence = {
+  'Not Yet Contacted': { days: 3, nextSteps: 'Send Initial Outreach' },
+  'Initial Outreach Sent': { days: 7, nextSteps: 'Send Follow-Up Email' },
+  'Intro Call Scheduled': { days: 0, nextSteps: 'Prepare for Upcoming Call' },
+  'Intro Call Complete': { days: 1, nextSteps: 'Send Thank You Email' },
+  'Follow-Up Email Sent': { days: 14, nextSteps: 'Schedule Follow-Up Call' },
+  'Follow-Up Call Scheduled': { days: 0, nextSteps: 'Prepare for Upcoming Call' },
+  'Follow-Up Call Complete': { days: 1, nextSteps: 'Send Thank You Email' },
+  'Regular Contact': { days: 30, nextSteps: 'Send Follow-Up Email' }
+};
+
+// How far ahead "upcoming" follow-ups look by default
+const upcomingWindowDays = 7;
+
+module.exports = {
+  followUpCadence,
+  upcomingWindowDays
+};
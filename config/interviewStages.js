@@ -0,0 +1,31 @@
+// config/interviewStages.js
+// Allowed interview stage transitions. Each key lists the stages an
+// application may move to next; anything else is rejected with a 422 unless
+// the request sets overrideStageRules for a correction.
+
+const ROUND_STAGES = ['Phone Screen', 'First Round', 'Second Round', 'Third Round', 'Case Study', 'Superday', 'Final Round'];
+const CLOSED = ['Rejected', 'Withdrawn'];
+
+const stageTransitions = {
+  'Not Yet Applied': ['Applied', 'Withdrawn'],
+  Applied: [...ROUND_STAGES, ...CLOSED],
+  'Phone Screen': ['First Round', 'Second Round', 'Case Study', 'Superday', 'Final Round', ...CLOSED],
+  'First Round': ['Second Round', 'Third Round', 'Case Study', 'Superday', 'Final Round', 'Offer Received', ...CLOSED],
+  'Second Round': ['Third Round', 'Case Study', 'Superday', 'Final Round', 'Offer Received', ...CLOSED],
+  'Third Round': ['Case Study', 'Superday', 'Final Round', 'Offer Received', ...CLOSED],
+  'Case Study': ['Second Round', 'Third Round', 'Superday', 'Final Round', 'Offer Received', ...CLOSED],
+  Superday: ['Final Round', 'Offer Received', ...CLOSED],
+  'Final Round': ['Offer Received', ...CLOSED],
+  // Declining an offer
+  'Offer Received': ['Withdrawn'],
+  Rejected: [],
+  Withdrawn: []
+};
+
+// Stages a new interview may start in
+const initialStages = ['Not Yet Applied', 'Applied', ...ROUND_STAGES];
+
+module.exports = {
+  stageTransitions,
+  initialStages
+};
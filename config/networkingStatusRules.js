@@ -0,0 +1,28 @@
+// config/networkingStatusRules.js
+// How a logged interaction moves a contact's networkingStatus. Rules are checked
+// in order and the first match wins. `when` compares the interaction date with
+// today: 'past' includes today, 'future' is strictly after it ('any' matches
+// both). Rules only ever move a contact forward; statuses not listed in `from`
+// are left alone. Users can replace the table with their own through
+// /api/v1/users/status-rules.
+
+const interactionTypes = ['Call', 'Email', 'Meeting', 'Note', 'Coffee Chat', 'Event'];
+const ruleTimings = ['past', 'future', 'any'];
+
+const CONVERSATIONS = ['Call', 'Meeting', 'Coffee Chat'];
+
+const statusRules = [
+  { from: ['Not Yet Contacted'], types: ['Email'], when: 'past', to: 'Initial Outreach Sent' },
+  { from: ['Not Yet Contacted', 'Initial Outreach Sent'], types: CONVERSATIONS, when: 'future', to: 'Intro Call Scheduled' },
+  { from: ['Not Yet Contacted', 'Initial Outreach Sent', 'Intro Call Scheduled'], types: CONVERSATIONS, when: 'past', to: 'Intro Call Complete' },
+  { from: ['Intro Call Complete'], types: ['Email'], when: 'past', to: 'Follow-Up Email Sent' },
+  { from: ['Intro Call Complete', 'Follow-Up Email Sent'], types: CONVERSATIONS, when: 'future', to: 'Follow-Up Call Scheduled' },
+  { from: ['Intro Call Complete', 'Follow-Up Email Sent', 'Follow-Up Call Scheduled'], types: CONVERSATIONS, when: 'past', to: 'Follow-Up Call Complete' },
+  { from: ['Follow-Up Call Complete'], types: CONVERSATIONS, when: 'past', to: 'Regular Contact' }
+];
+
+module.exports = {
+  interactionTypes,
+  ruleTimings,
+  statusRules
+};
@@ -32,6 +32,15 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
+    // Access tokens issued before a deletion request stop working immediately
+    if (user.status === 'pending-deletion' || user.status === 'purging') {
+      return res.status(403).json({
+        message: 'Account is scheduled for deletion',
+        code: 'ACCOUNT_PENDING_DELETION',
+        scheduledFor: user.deletion && user.deletion.scheduledFor
+      });
+    }
+
     req.user = user;
     next();
   } catch (error) {
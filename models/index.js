@@ -29,7 +29,19 @@ const userSchema = new mongoose.Schema({
   preferences: {
     theme: { type: String, default: 'light' },
     notifications: { type: Boolean, default: true },
-    timezone: { type: String, default: 'UTC' }
+    timezone: { type: String, default: 'UTC' },
+    followUpCadence: { type: Map, of: Number }, // networkingStatus -> days, overrides config/followUpCadence.js
+    followUpWindowDays: { type: Number, min: 1, max: 90 },
+    autoAdvanceStatus: { type: Boolean, default: true }, // move networkingStatus from logged interactions
+    archiveRetentionDays: { type: Number, min: 1 }, // shorter than DATA_RETENTION_DAYS to purge archived records sooner
+    // Replaces config/networkingStatusRules.js for this user when not empty
+    statusRules: [{
+      _id: false,
+      from: [String],
+      types: [String],
+      when: { type: String, enum: ['past', 'future', 'any'] },
+      to: String
+    }]
   },
   refreshTokens: [String],
   lastLogin: Date,
@@ -40,8 +52,15 @@ const userSchema = new mongoose.Schema({
   passwordResetExpires: Date,
   status: {
     type: String,
-    enum: ['active', 'inactive', 'suspended'],
+    enum: ['active', 'inactive', 'suspended', 'pending-deletion', 'purging'],
     default: 'active'
+  },
+  // Set while a requested account deletion is in its grace period
+  deletion: {
+    requestedAt: Date,
+    scheduledFor: Date, // when the purge job hard-deletes the account
+    reason: String,
+    purgeStartedAt: Date // set when the purge job claims the account
   }
 }, {
   timestamps: true
@@ -92,6 +111,7 @@ const contactSchema = new mongoose.Schema({
   phone: { type: String, trim: true },
   linkedin: { type: String, trim: true },
   firm: { type: String, required: true, trim: true, index: true },
+  firmId: { type: mongoose.Schema.Types.ObjectId, ref: 'Firm', default: null },
   group: { type: String, trim: true }, // TMT, Healthcare, FIG, etc.
   seniority: {
     type: String,
@@ -113,6 +133,14 @@ const contactSchema = new mongoose.Schema({
     default: 'Not Yet Contacted'
   },
   networkingDate: { type: String }, // YYYY-MM-DD format to match frontend
+  statusHistory: [{
+    from: { type: String },
+    to: { type: String },
+    date: { type: String }, // YYYY-MM-DD format, the networkingDate of the new status
+    source: { type: String, enum: ['manual', 'interaction'], default: 'manual' },
+    interactionId: { type: mongoose.Schema.Types.ObjectId, default: null },
+    changedAt: { type: Date, default: Date.now }
+  }],
   lastContactDate: { type: String }, // YYYY-MM-DD format
   nextSteps: { 
     type: String,
@@ -136,6 +164,8 @@ const contactSchema = new mongoose.Schema({
   referred: { type: Boolean, default: false },
   notes: { type: String },
   tags: [String],
+  relationshipScore: { type: Number, default: 0, min: 0, max: 100 }, // from interactions and seniority
+  relationshipScoreUpdatedAt: { type: Date },
   interactions: [{
     type: {
       type: String,
@@ -153,16 +183,100 @@ const contactSchema = new mongoose.Schema({
     },
     createdAt: { type: Date, default: Date.now }
   }],
+  // Edges to other contacts; "Introduced" means this contact introduced the user to contactId
+  connections: [{
+    contactId: { type: mongoose.Schema.Types.ObjectId, ref: 'Contact', required: true },
+    relationship: {
+      type: String,
+      enum: ['Introduced', 'Colleague', 'Former Colleague', 'Alumni', 'Friend', 'Mentor', 'Other'],
+      required: true
+    },
+    since: { type: String }, // YYYY-MM-DD format
+    notes: { type: String },
+    createdAt: { type: Date, default: Date.now }
+  }],
+  // Set while a merge folds this contact into another; merged contacts are then deleted
+  mergedInto: { type: mongoose.Schema.Types.ObjectId, ref: 'Contact' },
   isArchived: { type: Boolean, default: false },
   archivedAt: Date
 }, {
   timestamps: true
 });
 
+// Contact History Schema - one entry per contact mutation with per-field diffs
+const contactHistorySchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, required: true, ref: 'User', index: true },
+  contactId: { type: mongoose.Schema.Types.ObjectId, required: true, ref: 'Contact' },
+  action: {
+    type: String,
+    enum: ['create', 'update', 'archive', 'restore', 'delete', 'revert', 'merge'],
+    required: true
+  },
+  changes: [{
+    _id: false,
+    field: { type: String, required: true },
+    oldValue: { type: mongoose.Schema.Types.Mixed },
+    newValue: { type: mongoose.Schema.Types.Mixed }
+  }],
+  actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  source: { type: String }, // route or job that made the change, e.g. "PUT /api/v1/contacts/:id"
+  revertOf: {
+    entryId: { type: mongoose.Schema.Types.ObjectId },
+    field: { type: String }
+  },
+  mergedWith: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Contact' }] // other side(s) of a merge
+}, {
+  timestamps: true
+});
+
+// Contact Import Schema - an uploaded file between preview and commit, then the
+// background job that applies it
+const contactImportSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, required: true, ref: 'User', index: true },
+  fileName: { type: String },
+  format: { type: String, enum: ['csv', 'linkedin', 'vcard'], required: true },
+  status: {
+    type: String,
+    enum: ['uploaded', 'queued', 'processing', 'completed', 'failed'],
+    default: 'uploaded'
+  },
+  columns: [String],
+  rows: [mongoose.Schema.Types.Mixed], // raw values in column order, cleared once committed
+  // Stored as pairs because column headers may contain "." or "$"
+  mapping: [{
+    _id: false,
+    column: { type: String, required: true },
+    field: { type: String }
+  }],
+  options: {
+    skipDuplicates: { type: Boolean, default: true },
+    defaultFirm: { type: String }
+  },
+  progress: {
+    total: { type: Number, default: 0 },
+    processed: { type: Number, default: 0 },
+    imported: { type: Number, default: 0 },
+    skipped: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 }
+  },
+  rowErrors: [{
+    _id: false,
+    row: { type: Number }, // 1-based data row number
+    messages: [String]
+  }],
+  error: { type: String },
+  startedAt: Date,
+  completedAt: Date,
+  expiresAt: { type: Date, required: true }
+}, {
+  timestamps: true
+});
+
 // Interview Schema - Matches your frontend exactly
 const interviewSchema = new mongoose.Schema({
   userId: { type: mongoose.Schema.Types.ObjectId, required: true, ref: 'User', index: true },
   firm: { type: String, required: true, trim: true, index: true },
+  firmId: { type: mongoose.Schema.Types.ObjectId, ref: 'Firm', default: null },
   position: { type: String, required: true, trim: true },
   group: { type: String, trim: true }, // TMT, Healthcare, FIG, etc.
   office: { type: String, trim: true },
@@ -185,6 +299,14 @@ const interviewSchema = new mongoose.Schema({
     ]
   },
   stageDate: { type: String }, // YYYY-MM-DD format to match frontend
+  stageHistory: [{
+    from: { type: String },
+    to: { type: String },
+    date: { type: String }, // YYYY-MM-DD format, the stageDate of the new stage
+    changedAt: { type: Date, default: Date.now },
+    changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    override: { type: Boolean, default: false } // made outside the allowed transitions
+  }],
   applicationDate: { type: String }, // YYYY-MM-DD format
   deadline: { type: String }, // YYYY-MM-DD format
   priority: {
@@ -210,6 +332,17 @@ const interviewSchema = new mongoose.Schema({
   nextStepsDate: { type: String }, // YYYY-MM-DD format to match frontend
   notes: { type: String },
   referralContactId: { type: mongoose.Schema.Types.ObjectId, ref: 'Contact', default: null },
+  // Everyone involved in the application; referralContactId is mirrored here as a Referrer
+  contacts: [{
+    contactId: { type: mongoose.Schema.Types.ObjectId, ref: 'Contact', required: true },
+    role: {
+      type: String,
+      enum: ['Referrer', 'Interviewer', 'Recruiter', 'Champion'],
+      required: true
+    },
+    notes: { type: String },
+    addedAt: { type: Date, default: Date.now }
+  }],
   rounds: [{
     stage: {
       type: String,
@@ -234,6 +367,24 @@ const interviewSchema = new mongoose.Schema({
     rating: { type: Number, min: 1, max: 5 },
     createdAt: { type: Date, default: Date.now }
   }],
+  // Compensation and terms once the interview reaches "Offer Received"
+  offer: {
+    baseSalary: { type: Number, min: 0 },
+    bonus: { type: Number, min: 0 }, // expected annual bonus
+    signingBonus: { type: Number, min: 0 },
+    currency: { type: String, default: 'USD', uppercase: true, trim: true },
+    startDate: { type: String }, // YYYY-MM-DD format
+    deadline: { type: String }, // YYYY-MM-DD format, exploding offer deadline
+    location: { type: String, trim: true },
+    receivedDate: { type: String }, // YYYY-MM-DD format
+    status: {
+      type: String,
+      enum: ['Pending', 'Negotiating', 'Accepted', 'Declined'],
+      default: 'Pending'
+    },
+    notes: { type: String },
+    updatedAt: { type: Date }
+  },
   isArchived: { type: Boolean, default: false },
   archivedAt: Date
 }, {
@@ -266,11 +417,19 @@ const documentSchema = new mongoose.Schema({
   fileData: {
     name: String,
     size: Number,
-    type: String,
+    type: { type: String }, // a bare `type: String` would make fileData itself a String
     url: String // File URL if uploaded to cloud storage
   },
+  // Where the upload route stored the file, keyed under the owner. Only the
+  // server sets this; fileData.url is never used to find a file.
+  storedFile: {
+    provider: { type: String, enum: ['local', 'cloudinary'] },
+    key: { type: String },
+    resourceType: { type: String }
+  },
   associatedContacts: [String], // Array of contact names
   associatedFirms: [String], // Array of firm names
+  firmIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Firm' }], // Resolved associatedFirms
   tags: [String], // Custom tags for organization
   notes: String,
   isTemplate: { type: Boolean, default: false },
@@ -306,13 +465,15 @@ const taskSchema = new mongoose.Schema({
   dueTime: { type: String }, // HH:MM format
   estimatedDuration: { type: Number }, // minutes
   actualDuration: { type: Number }, // minutes
+  startedAt: { type: Date },
   completedAt: { type: Date },
   relatedContact: { type: mongoose.Schema.Types.ObjectId, ref: 'Contact' },
   relatedInterview: { type: mongoose.Schema.Types.ObjectId, ref: 'Interview' },
   relatedDocument: { type: mongoose.Schema.Types.ObjectId, ref: 'Document' },
   tags: [String],
   notes: { type: String },
-  isArchived: { type: Boolean, default: false }
+  isArchived: { type: Boolean, default: false },
+  archivedAt: Date
 }, {
   timestamps: true
 });
@@ -332,8 +493,24 @@ const goalSchema = new mongoose.Schema({
     enum: ['Count', 'Percentage', 'Binary'],
     default: 'Count'
   },
+  // Which activity drives `current`; 'manual' goals are only updated by the user
+  metric: {
+    type: String,
+    enum: [
+      'contactsAdded',
+      'interactionsLogged',
+      'networkingTouches',
+      'applicationsSubmitted',
+      'interviewRounds',
+      'offersReceived',
+      'tasksCompleted',
+      'manual'
+    ],
+    default: 'manual'
+  },
   target: { type: Number, required: true },
   current: { type: Number, default: 0 },
+  lastComputedAt: { type: Date },
   unit: { type: String, default: '' },
   timeframe: {
     type: String,
@@ -344,11 +521,55 @@ const goalSchema = new mongoose.Schema({
   endDate: { type: String, required: true }, // YYYY-MM-DD format
   status: {
     type: String,
-    enum: ['Active', 'Completed', 'Paused', 'Cancelled'],
+    enum: ['Active', 'Completed', 'Paused', 'Cancelled', 'Expired'],
     default: 'Active'
   },
   completedAt: { type: Date },
-  isArchived: { type: Boolean, default: false }
+  // Recurring goals roll over into a fresh instance when their window ends
+  recurring: { type: Boolean, default: false },
+  seriesId: { type: mongoose.Schema.Types.ObjectId, ref: 'Goal' },
+  previousGoalId: { type: mongoose.Schema.Types.ObjectId, ref: 'Goal' },
+  rolledOverAt: { type: Date },
+  history: [{
+    goalId: { type: mongoose.Schema.Types.ObjectId, ref: 'Goal' },
+    startDate: { type: String }, // YYYY-MM-DD format
+    endDate: { type: String }, // YYYY-MM-DD format
+    target: { type: Number },
+    current: { type: Number },
+    status: { type: String, enum: ['Completed', 'Expired'] },
+    completedAt: { type: Date },
+    closedAt: { type: Date, default: Date.now }
+  }],
+  isArchived: { type: Boolean, default: false },
+  archivedAt: Date
+}, {
+  timestamps: true
+});
+
+// Firm Schema - canonical firm names with the aliases that resolve to them
+const firmSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null, index: true }, // null for the shared catalog
+  name: { type: String, required: true, trim: true },
+  aliases: [{ type: String, trim: true }],
+  keys: [{ type: String }], // normalized name and aliases used for matching
+  type: {
+    type: String,
+    enum: ['BB', 'EB', 'MM', 'Boutique', 'Other'],
+    default: 'Other'
+  },
+  headquarters: { type: String, trim: true },
+  website: { type: String, trim: true },
+  groups: [String], // Groups offered: TMT, Healthcare, FIG, etc.
+  recruitingTimeline: [{
+    program: { type: String, trim: true }, // Summer Analyst, Full-Time Analyst, etc.
+    event: { type: String, trim: true }, // Applications Open, Superdays, etc.
+    period: { type: String, trim: true }, // e.g. "Early January"
+    date: { type: String }, // YYYY-MM-DD format, when known
+    notes: { type: String }
+  }],
+  notes: { type: String },
+  isArchived: { type: Boolean, default: false },
+  archivedAt: Date
 }, {
   timestamps: true
 });
@@ -370,45 +591,103 @@ const analyticsSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Data Export Schema - a user's full account archive, built in the background
+const dataExportSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, required: true, ref: 'User', index: true },
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'completed', 'failed', 'expired'],
+    default: 'pending'
+  },
+  fileName: { type: String },
+  filePath: { type: String }, // on local disk under DATA_EXPORT_PATH
+  size: { type: Number }, // bytes
+  counts: { type: mongoose.Schema.Types.Mixed }, // records per collection
+  missingFiles: [{
+    _id: false,
+    documentId: { type: mongoose.Schema.Types.ObjectId },
+    name: { type: String },
+    reason: { type: String }
+  }],
+  error: { type: String },
+  startedAt: Date,
+  completedAt: Date,
+  expiresAt: Date,
+  downloadCount: { type: Number, default: 0 },
+  lastDownloadedAt: Date
+}, {
+  timestamps: true
+});
+
 // Create indexes for better performance
 contactSchema.index({ userId: 1, firm: 1 });
 contactSchema.index({ userId: 1, networkingStatus: 1 });
 contactSchema.index({ userId: 1, nextStepsDate: 1 });
 contactSchema.index({ userId: 1, priority: 1 });
+contactSchema.index({ userId: 1, 'connections.contactId': 1 });
+contactSchema.index({ userId: 1, firmId: 1 });
+contactSchema.index({ userId: 1, relationshipScore: -1 });
+contactSchema.index({ isArchived: 1, archivedAt: 1 });
+
+contactHistorySchema.index({ contactId: 1, createdAt: -1 });
+contactHistorySchema.index({ contactId: 1, 'changes.field': 1 });
+
+contactImportSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
 
 interviewSchema.index({ userId: 1, firm: 1 });
 interviewSchema.index({ userId: 1, stage: 1 });
 interviewSchema.index({ userId: 1, stageDate: 1 });
 interviewSchema.index({ userId: 1, priority: 1 });
+interviewSchema.index({ userId: 1, 'contacts.contactId': 1 });
+interviewSchema.index({ userId: 1, firmId: 1 });
+interviewSchema.index({ isArchived: 1, archivedAt: 1 });
 
 documentSchema.index({ userId: 1, type: 1 });
 documentSchema.index({ userId: 1, tags: 1 });
+documentSchema.index({ userId: 1, firmIds: 1 });
+documentSchema.index({ isArchived: 1, archivedAt: 1 });
 
 taskSchema.index({ userId: 1, status: 1 });
 taskSchema.index({ userId: 1, dueDate: 1 });
 taskSchema.index({ userId: 1, priority: 1 });
+taskSchema.index({ isArchived: 1, archivedAt: 1 });
 
 goalSchema.index({ userId: 1, status: 1 });
 goalSchema.index({ userId: 1, timeframe: 1 });
+goalSchema.index({ recurring: 1, endDate: 1 });
+goalSchema.index({ seriesId: 1 });
+goalSchema.index({ isArchived: 1, archivedAt: 1 });
+
+firmSchema.index({ keys: 1, userId: 1 });
 
 analyticsSchema.index({ userId: 1, date: 1 }, { unique: true });
 
+dataExportSchema.index({ status: 1, expiresAt: 1 });
+
 // Create models
 const User = mongoose.model('User', userSchema);
 const Contact = mongoose.model('Contact', contactSchema);
+const ContactHistory = mongoose.model('ContactHistory', contactHistorySchema);
+const ContactImport = mongoose.model('ContactImport', contactImportSchema);
 const Interview = mongoose.model('Interview', interviewSchema);
 const Document = mongoose.model('Document', documentSchema);
 const Task = mongoose.model('Task', taskSchema);
 const Goal = mongoose.model('Goal', goalSchema);
 const Analytics = mongoose.model('Analytics', analyticsSchema);
+const Firm = mongoose.model('Firm', firmSchema);
+const DataExport = mongoose.model('DataExport', dataExportSchema);
 
 // Export models
 module.exports = {
   User,
   Contact,
+  ContactHistory,
+  ContactImport,
   Interview,
   Document,
   Task,
   Goal,
-  Analytics
+  Analytics,
+  Firm,
+  DataExport
 };
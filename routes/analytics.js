@@ -1,14 +1,113 @@
 // routes/analytics.js
 const express = require('express');
 const { Analytics } = require('../models');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { analyticsValidation, dateRangeValidation, handleValidationErrors } = require('../utils/validators');
+const {
+  METRIC_KEYS,
+  ACTION_METRICS,
+  recordEvent,
+  toDateString,
+  addDays,
+  daysInRange,
+  buildSeries
+} = require('../utils/analytics');
+const { backfillAnalytics } = require('../utils/analyticsBackfill');
 
 const router = express.Router();
 
+// Longest range a single request may cover
+const MAX_RANGE_DAYS = 731;
+
 // Apply authentication to all routes
 router.use(authenticateToken);
 
-// Track analytics event
+// Resolve the requested range, defaulting to the last 30 days
+const resolveRange = (query) => {
+  const endDate = query.endDate ? query.endDate.split('T')[0] : toDateString(new Date());
+  const startDate = query.startDate ? query.startDate.split('T')[0] : addDays(endDate, -29);
+  return { startDate, endDate };
+};
+
+const rangeTooLarge = (res, startDate, endDate) => {
+  if (daysInRange(startDate, endDate) <= MAX_RANGE_DAYS) return false;
+  res.status(400).json({
+    message: `Date range cannot exceed ${MAX_RANGE_DAYS} days`,
+    code: 'DATE_RANGE_TOO_LARGE'
+  });
+  return true;
+};
+
+// Get raw daily analytics records
+router.get('/', dateRangeValidation, handleValidationErrors, async (req, res) => {
+  try {
+    const { startDate, endDate } = resolveRange(req.query);
+    if (rangeTooLarge(res, startDate, endDate)) return;
+
+    const records = await Analytics.find({
+      userId: req.user.id,
+      date: { $gte: startDate, $lte: endDate }
+    })
+      .sort({ date: 1 })
+      .select('date metrics')
+      .lean();
+
+    res.json({
+      range: { startDate, endDate },
+      records
+    });
+  } catch (error) {
+    console.error('Analytics fetch error:', error);
+    res.status(500).json({
+      message: 'Error fetching analytics',
+      code: 'ANALYTICS_FETCH_ERROR'
+    });
+  }
+});
+
+// Get daily/weekly/monthly series with totals, moving averages and deltas
+router.get('/series', analyticsValidation.series, handleValidationErrors, async (req, res) => {
+  try {
+    const { granularity = 'daily', window = 7 } = req.query;
+    const { startDate, endDate } = resolveRange(req.query);
+    if (rangeTooLarge(res, startDate, endDate)) return;
+
+    // The validator has already split and trimmed the list
+    const metrics = req.query.metrics && req.query.metrics.length > 0 ? req.query.metrics : METRIC_KEYS;
+
+    // Load the previous period too so deltas can be computed in one query
+    const previousStart = addDays(startDate, -daysInRange(startDate, endDate));
+    const records = await Analytics.find({
+      userId: req.user.id,
+      date: { $gte: previousStart, $lte: endDate }
+    })
+      .select('date metrics')
+      .lean();
+
+    const result = buildSeries(records, {
+      startDate,
+      endDate,
+      granularity,
+      metrics,
+      window: Number(window)
+    });
+
+    res.json({
+      range: { startDate, endDate, granularity, window: Number(window) },
+      metrics,
+      ...result
+    });
+  } catch (error) {
+    console.error('Analytics series error:', error);
+    res.status(500).json({
+      message: 'Error fetching analytics series',
+      code: 'ANALYTICS_SERIES_ERROR'
+    });
+  }
+});
+
+// Track analytics event manually. Route handlers now capture these events
+// server-side, so clients only need this for activity the API never sees.
 router.post('/track', async (req, res) => {
   try {
     const { action, date = new Date().toISOString().split('T')[0] } = req.body;
@@ -21,38 +120,14 @@ router.post('/track', async (req, res) => {
       });
     }
     
-    // Find or create analytics record for the date
-    let analytics = await Analytics.findOne({ userId, date });
-    
-    if (!analytics) {
-      analytics = new Analytics({ userId, date });
-    }
-    
-    // Increment the appropriate metric
-    switch (action) {
-      case 'contact_added':
-        analytics.metrics.contactsAdded += 1;
-        break;
-      case 'interaction_logged':
-        analytics.metrics.interactionsLogged += 1;
-        break;
-      case 'interview_scheduled':
-        analytics.metrics.interviewsScheduled += 1;
-        break;
-      case 'follow_up_completed':
-        analytics.metrics.followUpsCompleted += 1;
-        break;
-      case 'document_created':
-        analytics.metrics.documentsCreated += 1;
-        break;
-      default:
-        return res.status(400).json({
-          message: 'Invalid action',
-          code: 'INVALID_ACTION'
-        });
+    if (!ACTION_METRICS[action]) {
+      return res.status(400).json({
+        message: 'Invalid action',
+        code: 'INVALID_ACTION'
+      });
     }
     
-    await analytics.save();
+    await recordEvent(userId, action, { date });
     res.json({ 
       message: 'Analytics tracked successfully',
       action,
@@ -67,4 +142,29 @@ router.post('/track', async (req, res) => {
   }
 });
 
+// Rebuild analytics from existing records (admin only). Also available as
+// `npm run analytics:backfill` for long-running rebuilds.
+router.post('/backfill', requireAdmin, analyticsValidation.backfill, handleValidationErrors, async (req, res) => {
+  try {
+    const { userId } = req.body;
+    const startDate = req.body.startDate ? req.body.startDate.split('T')[0] : undefined;
+    const endDate = req.body.endDate ? req.body.endDate.split('T')[0] : undefined;
+
+    const summary = await backfillAnalytics({ userId, startDate, endDate });
+
+    console.log(`📊 Analytics backfill by ${req.user.email}: ${summary.users} user(s)`);
+
+    res.json({
+      message: 'Analytics rebuilt successfully',
+      summary
+    });
+  } catch (error) {
+    console.error('Analytics backfill error:', error);
+    res.status(500).json({
+      message: 'Error rebuilding analytics',
+      code: 'ANALYTICS_BACKFILL_ERROR'
+    });
+  }
+});
+
 module.exports = router;
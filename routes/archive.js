@@ -0,0 +1,133 @@
+// routes/archive.js
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const { archiveValidation, handleValidationErrors } = require('../utils/validators');
+const { recordContactChange, routeSource } = require('../utils/contactHistory');
+const {
+  RETENTION_TYPES,
+  getRetentionDays,
+  purgeFieldsFor,
+  deleteArchivedRecords,
+  listArchived
+} = require('../utils/dataRetention');
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(authenticateToken);
+
+// A bare date as the upper bound includes the whole day
+const endOfDay = (value) => (/^\d{4}-\d{2}-\d{2}$/.test(value) ? `${value}T23:59:59.999Z` : value);
+
+// List archived records across types, most recently archived first
+router.get('/', archiveValidation.list, handleValidationErrors, async (req, res) => {
+  try {
+    const { type, archivedFrom, archivedTo, page = 1, limit = 20 } = req.query;
+    const types = type ? [type] : Object.keys(RETENTION_TYPES);
+    const from = archivedFrom ? new Date(archivedFrom) : undefined;
+    const to = archivedTo ? new Date(endOfDay(archivedTo)) : undefined;
+    const skip = (Number(page) - 1) * Number(limit);
+
+    // Each type returns enough records to fill the page once merged
+    const results = await Promise.all(types.map(name => listArchived(name, req.user, {
+      from,
+      to,
+      order: -1,
+      limit: skip + Number(limit)
+    })));
+
+    const items = results
+      .flatMap(result => result.items)
+      .sort((a, b) => new Date(b.archivedAt) - new Date(a.archivedAt))
+      .slice(skip, skip + Number(limit));
+    const counts = Object.fromEntries(types.map((name, index) => [name, results[index].total]));
+    const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+
+    res.json({
+      items,
+      counts,
+      retentionDays: getRetentionDays(req.user),
+      pagination: {
+        page: Number(page),
+        limit: Number(limit),
+        total,
+        pages: Math.ceil(total / Number(limit))
+      }
+    });
+  } catch (error) {
+    console.error('Archive fetch error:', error);
+    res.status(500).json({
+      message: 'Error fetching archived records',
+      code: 'ARCHIVE_FETCH_ERROR'
+    });
+  }
+});
+
+// Restore an archived record of any type
+router.patch('/:type/:id/restore', archiveValidation.record, handleValidationErrors, async (req, res) => {
+  try {
+    const { type, id } = req.params;
+    const record = await RETENTION_TYPES[type].model.findOneAndUpdate(
+      { _id: id, userId: req.user.id, isArchived: true },
+      { isArchived: false, $unset: { archivedAt: 1 }, updatedAt: new Date() },
+      { new: true }
+    );
+
+    if (!record) {
+      return res.status(404).json({
+        message: 'Archived record not found',
+        code: 'ARCHIVED_RECORD_NOT_FOUND'
+      });
+    }
+
+    if (type === 'contacts') {
+      await recordContactChange(req, 'restore', { ...record.toObject(), isArchived: true }, record);
+    }
+
+    res.json({
+      message: 'Record restored successfully',
+      type,
+      record
+    });
+  } catch (error) {
+    console.error('Archive restore error:', error);
+    res.status(500).json({
+      message: 'Error restoring record',
+      code: 'ARCHIVE_RESTORE_ERROR'
+    });
+  }
+});
+
+// Permanently delete an archived record. Only archived records can be deleted
+// here; active ones must be archived first. A document's file is removed by
+// the storage key recorded at upload, and only if it is under this user.
+router.delete('/:type/:id', archiveValidation.record, handleValidationErrors, async (req, res) => {
+  try {
+    const { type, id } = req.params;
+    const record = await RETENTION_TYPES[type].model.findOne({ _id: id, userId: req.user.id, isArchived: true })
+      .select(purgeFieldsFor(type))
+      .lean();
+
+    if (!record) {
+      return res.status(404).json({
+        message: 'Archived record not found',
+        code: 'ARCHIVED_RECORD_NOT_FOUND'
+      });
+    }
+
+    await deleteArchivedRecords(type, [record], { actor: req.user.id, source: routeSource(req) });
+
+    res.json({
+      message: 'Record permanently deleted',
+      code: 'RECORD_DELETED'
+    });
+  } catch (error) {
+    console.error('Archive delete error:', error);
+    res.status(500).json({
+      message: 'Error deleting record',
+      code: 'ARCHIVE_DELETE_ERROR'
+    });
+  }
+});
+
+module.exports = router;
@@ -5,6 +5,7 @@ const rateLimit = require('express-rate-limit');
 const { User } = require('../models');
 const { userValidation, handleValidationErrors } = require('../utils/validators');
 const { authenticateToken, validateRefreshToken } = require('../middleware/auth');
+const { cancelAccountDeletion } = require('../utils/accountDeletion');
 
 const router = express.Router();
 
@@ -129,8 +130,8 @@ router.post('/login', authLimiter, userValidation.login, handleValidationErrors,
       });
     }
 
-    // Check if account is active
-    if (user.status !== 'active') {
+    // Check if account is active; pending deletion is reported once the password checks out
+    if (!['active', 'pending-deletion', 'purging'].includes(user.status)) {
       console.log('Account not active:', email, 'Status:', user.status);
       return res.status(401).json({
         message: 'Account is not active',
@@ -158,6 +159,21 @@ router.post('/login', authLimiter, userValidation.login, handleValidationErrors,
 
     console.log('Password valid for:', email);
 
+    if (user.status === 'purging') {
+      return res.status(403).json({
+        message: 'Account is being deleted',
+        code: 'ACCOUNT_PURGING'
+      });
+    }
+
+    if (user.status === 'pending-deletion') {
+      return res.status(403).json({
+        message: 'Account is scheduled for deletion. Cancel the deletion to sign in again.',
+        code: 'ACCOUNT_PENDING_DELETION',
+        scheduledFor: user.deletion && user.deletion.scheduledFor
+      });
+    }
+
     // Reset login attempts on successful login
     if (user.loginAttempts > 0 && user.resetLoginAttempts) {
       await user.resetLoginAttempts();
@@ -301,6 +317,59 @@ router.post('/logout-all', authenticateToken, async (req, res) => {
   }
 });
 
+// Cancel a pending account deletion; tokens were revoked, so this takes credentials
+router.post('/cancel-deletion', authLimiter, userValidation.login, handleValidationErrors, async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    const user = await User.findOne({ email });
+    if (!user) {
+      return res.status(401).json({
+        message: 'Invalid credentials',
+        code: 'INVALID_CREDENTIALS'
+      });
+    }
+
+    // Same lockout as login, so this route can't be used to guess passwords
+    if (user.isLocked) {
+      return res.status(423).json({
+        message: 'Account temporarily locked due to too many failed login attempts',
+        code: 'ACCOUNT_LOCKED'
+      });
+    }
+
+    const isPasswordValid = await bcrypt.compare(password, user.passwordHash);
+    if (!isPasswordValid) {
+      await user.incLoginAttempts();
+      return res.status(401).json({
+        message: 'Invalid credentials',
+        code: 'INVALID_CREDENTIALS'
+      });
+    }
+
+    if (user.loginAttempts > 0) await user.resetLoginAttempts();
+
+    // The purge job may claim the account between the check above and here
+    if (!await cancelAccountDeletion(user)) {
+      return res.status(409).json({
+        message: 'Account is not scheduled for deletion',
+        code: 'DELETION_NOT_PENDING'
+      });
+    }
+
+    res.json({
+      message: 'Account deletion cancelled. You can sign in again.',
+      code: 'DELETION_CANCELLED'
+    });
+  } catch (error) {
+    console.error('Cancel deletion error:', error);
+    res.status(500).json({
+      message: 'Error cancelling account deletion',
+      code: 'CANCEL_DELETION_ERROR'
+    });
+  }
+});
+
 // Change password route
 router.post('/change-password', authenticateToken, userValidation.changePassword, handleValidationErrors, async (req, res) => {
   try {
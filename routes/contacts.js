@@ -1,60 +1,152 @@
 const express = require('express');
-const { Contact } = require('../models');
+const multer = require('multer');
+const { Contact, ContactHistory, ContactImport, Interview } = require('../models');
 const { authenticateToken } = require('../middleware/auth');
 const { contactValidation, paginationValidation, handleValidationErrors } = require('../utils/validators');
+const { trackEvent } = require('../utils/analytics');
+const { summarizeContactInterviews } = require('../utils/interviewContacts');
+const { findReferralPaths } = require('../utils/contactGraph');
+const {
+  computeRelationshipScore,
+  getRelationshipScore,
+  applyRelationshipScore,
+  refreshRelationshipScores
+} = require('../utils/relationshipScore');
+const {
+  getCadence,
+  scheduleNextFollowUp,
+  getOverdueFollowUps,
+  getUpcomingFollowUps
+} = require('../utils/followUpCadence');
+const { FOLLOW_UP_STATUSES, getStatusRules, advanceStatusForInteraction } = require('../utils/networkingStatus');
+const {
+  TRACKED_FIELDS,
+  REVERTABLE_FIELDS,
+  snapshotContact,
+  sameValue,
+  diffContact,
+  recordContactHistory,
+  buildEntry,
+  recordContactChange,
+  snapshotInteraction,
+  recordInteractionChange
+} = require('../utils/contactHistory');
+const { resolveFirm, createFirmResolver } = require('../utils/firms');
+const { DEFAULT_THRESHOLD, findDuplicatePairs } = require('../utils/contactDuplicates');
+const { mergeContacts } = require('../utils/contactMerge');
+const { CONTACT_COLUMNS, streamContactExport } = require('../utils/contactExport');
+const {
+  MAX_IMPORT_FILE_SIZE,
+  BACKGROUND_IMPORT_ROWS,
+  IMPORT_FIELDS,
+  parseImportFile,
+  toStoredRows,
+  fromStoredRows,
+  toStoredMapping,
+  fromStoredMapping,
+  suggestMapping,
+  buildPreview,
+  findExistingContact,
+  cleanImportedContact,
+  importExpiry,
+  runContactImport
+} = require('../utils/contactImport');
 const mongoose = require('mongoose');
 
 const router = express.Router();
 
+// Import files are parsed in memory and kept on the import record until committed
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMPORT_FILE_SIZE, files: 1 },
+  fileFilter: (req, file, cb) => {
+    const allowed = /\.(csv|vcf|vcard)$/i.test(file.originalname) ||
+      ['text/csv', 'text/vcard', 'text/x-vcard', 'application/vnd.ms-excel'].includes(file.mimetype);
+    cb(allowed ? null : new Error('Only CSV and vCard files can be imported'), allowed);
+  }
+});
+
+const uploadImportFile = (req, res, next) => importUpload.single('file')(req, res, (error) => {
+  if (!error) return next();
+  const tooLarge = error.code === 'LIMIT_FILE_SIZE';
+  res.status(400).json({
+    message: tooLarge ? `File must be smaller than ${MAX_IMPORT_FILE_SIZE / (1024 * 1024)}MB` : error.message,
+    code: tooLarge ? 'FILE_TOO_LARGE' : 'INVALID_IMPORT_FILE'
+  });
+});
+
+// Problems with a column mapping for the given file columns
+const checkImportMapping = (mapping, columns, defaultFirm) => {
+  const errors = [];
+  Object.entries(mapping).forEach(([column, field]) => {
+    if (!columns.includes(column)) errors.push(`Unknown column: ${column}`);
+    if (field && !IMPORT_FIELDS[field]) errors.push(`Unknown field for ${column}: ${field}`);
+  });
+  const fields = Object.values(mapping);
+  if (!fields.includes('name') && !fields.includes('firstName') && !fields.includes('lastName')) {
+    errors.push('A column must be mapped to name, firstName or lastName');
+  }
+  if (!fields.includes('firm') && !defaultFirm) {
+    errors.push('A column must be mapped to firm, or a defaultFirm given');
+  }
+  return errors;
+};
+
+// Mongo query and sort for the contact list filters, shared by list and export
+const buildContactFilters = (userId, {
+  search,
+  networkingStatus,
+  firm,
+  group,
+  priority,
+  referred,
+  tags,
+  sortBy = 'updatedAt',
+  sortOrder = 'desc'
+}) => {
+  const query = { userId, isArchived: { $ne: true } };
+  
+  // Search functionality
+  if (search) {
+    const searchRegex = { $regex: search, $options: 'i' };
+    query.$or = [
+      { name: searchRegex },
+      { firm: searchRegex },
+      { position: searchRegex },
+      { email: searchRegex },
+      { notes: searchRegex }
+    ];
+  }
+  
+  // Filters
+  if (networkingStatus) query.networkingStatus = networkingStatus;
+  if (firm) query.firm = { $regex: firm, $options: 'i' };
+  if (group) query.group = { $regex: group, $options: 'i' };
+  if (priority) query.priority = priority;
+  if (referred !== undefined) query.referred = referred === 'true';
+  if (tags) {
+    const tagArray = Array.isArray(tags) ? tags : [tags];
+    query.tags = { $in: tagArray };
+  }
+
+  const sort = {};
+  sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
+  // Most recently contacted first among equal scores
+  if (sortBy === 'relationshipScore') sort.lastContactDate = -1;
+
+  return { query, sort };
+};
+
 // Apply authentication to all routes
 router.use(authenticateToken);
 
 // Get all contacts with filtering, search, and pagination
 router.get('/', paginationValidation, handleValidationErrors, async (req, res) => {
   try {
-    const { 
-      page = 1, 
-      limit = 50, 
-      search, 
-      networkingStatus, 
-      firm, 
-      group, 
-      priority,
-      referred,
-      tags,
-      sortBy = 'updatedAt',
-      sortOrder = 'desc'
-    } = req.query;
-
-    // Build query
-    const query = { userId: req.user.id, isArchived: { $ne: true } };
-    
-    // Search functionality
-    if (search) {
-      const searchRegex = { $regex: search, $options: 'i' };
-      query.$or = [
-        { name: searchRegex },
-        { firm: searchRegex },
-        { position: searchRegex },
-        { email: searchRegex },
-        { notes: searchRegex }
-      ];
-    }
-    
-    // Filters
-    if (networkingStatus) query.networkingStatus = networkingStatus;
-    if (firm) query.firm = { $regex: firm, $options: 'i' };
-    if (group) query.group = { $regex: group, $options: 'i' };
-    if (priority) query.priority = priority;
-    if (referred !== undefined) query.referred = referred === 'true';
-    if (tags) {
-      const tagArray = Array.isArray(tags) ? tags : [tags];
-      query.tags = { $in: tagArray };
-    }
-
-    // Build sort object
-    const sort = {};
-    sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
+    const { page = 1, limit = 50 } = req.query;
+
+    // Build query and sort object
+    const { query, sort } = buildContactFilters(req.user.id, req.query);
 
     // Execute query with pagination
     const contacts = await Contact.find(query)
@@ -91,6 +183,143 @@ router.get('/', paginationValidation, handleValidationErrors, async (req, res) =
   }
 });
 
+// Warm-introduction paths to a target firm and/or group
+router.get('/network/paths', contactValidation.referralPaths, handleValidationErrors, async (req, res) => {
+  try {
+    const { firm, group, maxHops = 2, limit = 10 } = req.query;
+
+    if (!firm && !group) {
+      return res.status(400).json({
+        message: 'A target firm or group is required',
+        code: 'MISSING_TARGET'
+      });
+    }
+
+    const contacts = await Contact.find({ userId: req.user.id, isArchived: { $ne: true } })
+      .select('name firm group position seniority relationshipScore relationshipScoreUpdatedAt interactions.type interactions.date interactions.sentiment connections')
+      .lean();
+
+    const paths = findReferralPaths(contacts, {
+      firm,
+      group,
+      maxHops: Number(maxHops),
+      limit: Number(limit)
+    });
+
+    res.json({
+      target: { firm: firm || null, group: group || null },
+      paths,
+      summary: {
+        pathsFound: paths.length,
+        directContacts: paths.filter(path => path.introductions === 0).length
+      }
+    });
+  } catch (error) {
+    console.error('Referral paths error:', error);
+    res.status(500).json({
+      message: 'Error finding referral paths',
+      code: 'REFERRAL_PATHS_ERROR'
+    });
+  }
+});
+
+// Get the user's rules that move networkingStatus from logged interactions
+router.get('/status-rules', (req, res) => {
+  const preferences = req.user.preferences || {};
+  res.json({
+    rules: getStatusRules(req.user),
+    enabled: preferences.autoAdvanceStatus !== false
+  });
+});
+
+// Overdue or upcoming follow-ups from the user's cadence
+router.get('/follow-ups', contactValidation.followUps, handleValidationErrors, async (req, res) => {
+  try {
+    const { type = 'overdue', limit = 50, windowDays } = req.query;
+    const options = { limit: Number(limit), windowDays: windowDays ? Number(windowDays) : undefined };
+
+    const [overdue, upcoming] = await Promise.all([
+      type === 'upcoming' ? [] : getOverdueFollowUps(req.user, options),
+      type === 'overdue' ? [] : getUpcomingFollowUps(req.user, options)
+    ]);
+
+    res.json({
+      overdue,
+      upcoming,
+      cadence: getCadence(req.user)
+    });
+  } catch (error) {
+    console.error('Follow-ups fetch error:', error);
+    res.status(500).json({
+      message: 'Error fetching follow-ups',
+      code: 'FOLLOW_UPS_FETCH_ERROR'
+    });
+  }
+});
+
+// Likely duplicate contacts scored by email, LinkedIn, name and firm
+router.get('/duplicates', contactValidation.duplicates, handleValidationErrors, async (req, res) => {
+  try {
+    const threshold = Number(req.query.threshold) || DEFAULT_THRESHOLD;
+    const limit = Number(req.query.limit) || 50;
+
+    const contacts = await Contact.find({ userId: req.user.id, isArchived: { $ne: true } })
+      .select('name firm firmId position group email linkedin networkingStatus lastContactDate interactions._id createdAt')
+      .lean();
+
+    const pairs = findDuplicatePairs(contacts, { threshold, limit }).map(pair => ({
+      ...pair,
+      contacts: pair.contacts.map(({ interactions, ...contact }) => ({
+        ...contact,
+        interactionCount: (interactions || []).length
+      }))
+    }));
+
+    res.json({ threshold, total: pairs.length, pairs });
+  } catch (error) {
+    console.error('Duplicate detection error:', error);
+    res.status(500).json({
+      message: 'Error finding duplicate contacts',
+      code: 'DUPLICATES_FETCH_ERROR'
+    });
+  }
+});
+
+// Export contacts matching the list filters as CSV, Excel-ready CSV, vCard or JSON
+router.get(['/export', '/export/csv'], contactValidation.export, handleValidationErrors, async (req, res) => {
+  try {
+    const { format = 'csv', sheet = 'contacts' } = req.query;
+    const columns = req.query.columns
+      ? [].concat(req.query.columns).flatMap(value => value.split(',')).map(value => value.trim()).filter(Boolean)
+      : null;
+
+    const unknownColumns = (columns || []).filter(column => !CONTACT_COLUMNS[column]);
+    if (unknownColumns.length > 0) {
+      return res.status(400).json({
+        message: `Unknown columns: ${unknownColumns.join(', ')}. Available: ${Object.keys(CONTACT_COLUMNS).join(', ')}`,
+        code: 'INVALID_EXPORT_COLUMNS'
+      });
+    }
+
+    const { query, sort } = buildContactFilters(req.user.id, req.query);
+    const total = format === 'json' ? await Contact.countDocuments(query) : null;
+    const cursor = Contact.find(query).sort(sort).lean().cursor();
+
+    await streamContactExport(res, cursor, { format, sheet, columns, total });
+  } catch (error) {
+    // Headers are gone once streaming has started; cut the download short
+    if (res.headersSent) {
+      if (error.code !== 'CLIENT_DISCONNECTED') console.error('Export error:', error);
+      return res.end();
+    }
+    console.error('Export error:', error);
+    res.status(500).json({ 
+      message: 'Error exporting contacts',
+      code: 'EXPORT_ERROR'
+    });
+  }
+});
+
 // Get contact statistics and summaries
 router.get('/stats', async (req, res) => {
   try {
@@ -128,28 +357,11 @@ router.get('/stats', async (req, res) => {
       ])
     ]);
 
-    // Get upcoming follow-ups
-    const today = new Date().toISOString().split('T')[0];
-    const nextWeek = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
-    
-    const upcomingFollowUps = await Contact.find({
-      userId,
-      nextStepsDate: { $gte: today, $lte: nextWeek },
-      nextSteps: { $ne: null, $ne: '' },
-      isArchived: { $ne: true }
-    }).select('name firm nextSteps nextStepsDate priority').limit(10);
-
-    // Get contacts needing attention (no recent activity)
-    const weekAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
-    const needsAttention = await Contact.find({
-      userId,
-      $or: [
-        { nextSteps: { $in: [null, ''] } },
-        { nextStepsDate: { $lt: today } }
-      ],
-      lastContactDate: { $lt: weekAgo },
-      isArchived: { $ne: true }
-    }).select('name firm lastContactDate networkingStatus').limit(10);
+    // Follow-ups due soon and past due, from the user's cadence
+    const [upcomingFollowUps, needsAttention] = await Promise.all([
+      getUpcomingFollowUps(req.user),
+      getOverdueFollowUps(req.user)
+    ]);
 
     res.json({
       summary: {
@@ -186,6 +398,7 @@ router.post('/', contactValidation.create, handleValidationErrors, async (req, r
       firm: req.body.firm?.trim(),
       position: req.body.position?.trim() || '',
       group: req.body.group?.trim() || '',
+      seniority: req.body.seniority || 'Other',
       email: req.body.email?.trim().toLowerCase() || '',
       phone: req.body.phone?.trim() || '',
       linkedin: req.body.linkedin?.trim() || '',
@@ -203,6 +416,9 @@ router.post('/', contactValidation.create, handleValidationErrors, async (req, r
       updatedAt: new Date()
     };
 
+    // Store the canonical firm name so aliases like "GS" count as one firm
+    Object.assign(cleanedData, await resolveFirm(req.user.id, cleanedData.firm));
+
     // Check for duplicate contacts (same name and firm)
     const existingContact = await Contact.findOne({
       userId: req.user.id,
@@ -230,6 +446,8 @@ router.post('/', contactValidation.create, handleValidationErrors, async (req, r
 
     const contact = new Contact(cleanedData);
     await contact.save();
+    await recordContactChange(req, 'create', null, contact);
+    await trackEvent(req.user.id, 'contact_added');
     
     res.status(201).json({ 
       message: 'Contact created successfully', 
@@ -291,7 +509,23 @@ router.get('/:id', async (req, res) => {
       });
     }
     
-    res.json({ contact });
+    // Interviews this contact referred, ran or otherwise touched
+    const interviews = await Interview.find({
+      userId: req.user.id,
+      isArchived: { $ne: true },
+      $or: [
+        { 'contacts.contactId': contact._id },
+        { referralContactId: contact._id }
+      ]
+    })
+      .select('firm position stage stageDate contacts referralContactId')
+      .sort({ updatedAt: -1 })
+      .lean();
+    
+    res.json({ 
+      contact,
+      interviews: summarizeContactInterviews(interviews, contact._id)
+    });
   } catch (error) {
     console.error('Contact fetch error:', error);
     res.status(500).json({ 
@@ -319,7 +553,7 @@ router.put('/:id', contactValidation.update, handleValidationErrors, async (req,
     
     // Only include fields that are actually being updated
     const allowedFields = [
-      'name', 'firm', 'position', 'group', 'email', 'phone', 'linkedin',
+      'name', 'firm', 'position', 'group', 'seniority', 'email', 'phone', 'linkedin',
       'networkingStatus', 'priority', 'networkingDate',
       'lastContactDate', 'nextStepsDate', 'nextSteps', 'referred', 'notes', 'tags'
     ];
@@ -338,6 +572,10 @@ router.put('/:id', contactValidation.update, handleValidationErrors, async (req,
       }
     });
     
+    if (updateData.firm !== undefined) {
+      Object.assign(updateData, await resolveFirm(req.user.id, updateData.firm));
+    }
+
     updateData.updatedAt = new Date();
 
     console.log('🔄 Update data prepared:', updateData);
@@ -358,6 +596,28 @@ router.put('/:id', contactValidation.update, handleValidationErrors, async (req,
 
     console.log('✅ Existing contact found:', existingContact._id);
 
+    // Manual status changes are kept in the same history as automatic ones
+    if (updateData.networkingStatus && updateData.networkingStatus !== existingContact.networkingStatus) {
+      updateData.$push = {
+        statusHistory: {
+          from: existingContact.networkingStatus || null,
+          to: updateData.networkingStatus,
+          date: (updateData.networkingDate || new Date().toISOString()).split('T')[0],
+          source: 'manual',
+          changedAt: new Date()
+        }
+      };
+    }
+
+    // Seniority feeds the relationship score
+    if (updateData.seniority !== undefined && updateData.seniority !== existingContact.seniority) {
+      updateData.relationshipScore = computeRelationshipScore({
+        interactions: existingContact.interactions,
+        seniority: updateData.seniority
+      });
+      updateData.relationshipScoreUpdatedAt = new Date();
+    }
+
     // Update the specific contact
     const contact = await Contact.findOneAndUpdate(
       { 
@@ -381,6 +641,14 @@ router.put('/:id', contactValidation.update, handleValidationErrors, async (req,
     }
     
     console.log('✅ Contact updated successfully:', contact._id);
+    await recordContactChange(req, 'update', existingContact, contact);
+
+    if (
+      contact.networkingStatus !== existingContact.networkingStatus &&
+      FOLLOW_UP_STATUSES.includes(contact.networkingStatus)
+    ) {
+      await trackEvent(req.user.id, 'follow_up_completed');
+    }
     
     res.json({ 
       message: 'Contact updated successfully', 
@@ -424,8 +692,7 @@ router.delete('/:id', async (req, res) => {
 
     const contact = await Contact.findOneAndUpdate(
       { _id: req.params.id, userId: req.user.id },
-      { isArchived: true, archivedAt: new Date() },
-      { new: true }
+      { isArchived: true, archivedAt: new Date() }
     );
     
     if (!contact) {
@@ -435,6 +702,8 @@ router.delete('/:id', async (req, res) => {
       });
     }
     
+    await recordContactChange(req, 'archive', contact, { ...contact.toObject(), isArchived: true });
+    
     res.json({ 
       message: 'Contact archived successfully',
       code: 'CONTACT_ARCHIVED'
@@ -472,6 +741,8 @@ router.patch('/:id/restore', async (req, res) => {
       });
     }
     
+    await recordContactChange(req, 'restore', { ...contact.toObject(), isArchived: true }, contact);
+    
     res.json({ 
       message: 'Contact restored successfully', 
       contact 
@@ -485,6 +756,164 @@ router.patch('/:id/restore', async (req, res) => {
   }
 });
 
+// Get a contact's field-level change history, newest first
+router.get('/:id/history', contactValidation.history, handleValidationErrors, async (req, res) => {
+  try {
+    const { field, page = 1, limit = 20 } = req.query;
+    const query = { contactId: req.params.id, userId: req.user.id };
+    if (field) query['changes.field'] = field;
+
+    const [entries, total, contact] = await Promise.all([
+      ContactHistory.find(query)
+        .sort({ createdAt: -1 })
+        .limit(Number(limit))
+        .skip((Number(page) - 1) * Number(limit))
+        .populate('actor', 'email profile.firstName profile.lastName')
+        .lean(),
+      ContactHistory.countDocuments(query),
+      Contact.exists({ _id: req.params.id, userId: req.user.id })
+    ]);
+
+    // History outlives hard-deleted contacts, so only 404 when there is neither
+    if (!contact && total === 0) {
+      return res.status(404).json({
+        message: 'Contact not found',
+        code: 'CONTACT_NOT_FOUND'
+      });
+    }
+
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      history: entries.map(entry => ({
+        ...entry,
+        changes: field ? entry.changes.filter(change => change.field === field) : entry.changes
+      })),
+      pagination: {
+        currentPage: Number(page),
+        totalPages,
+        totalItems: total,
+        itemsPerPage: Number(limit),
+        hasNextPage: page < totalPages,
+        hasPrevPage: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Contact history fetch error:', error);
+    res.status(500).json({
+      message: 'Error fetching contact history',
+      code: 'CONTACT_HISTORY_FETCH_ERROR'
+    });
+  }
+});
+
+// Revert one field of a recorded change to its previous value
+router.post('/:id/history/:entryId/revert', contactValidation.revertChange, handleValidationErrors, async (req, res) => {
+  try {
+    const { field, force = false } = req.body;
+
+    if (!REVERTABLE_FIELDS.includes(field)) {
+      return res.status(400).json({
+        message: `Field cannot be reverted. Revertable fields: ${REVERTABLE_FIELDS.join(', ')}`,
+        code: 'FIELD_NOT_REVERTABLE'
+      });
+    }
+
+    const [contact, entry] = await Promise.all([
+      Contact.findOne({ _id: req.params.id, userId: req.user.id }),
+      ContactHistory.findOne({ _id: req.params.entryId, contactId: req.params.id, userId: req.user.id })
+    ]);
+
+    if (!contact) {
+      return res.status(404).json({
+        message: 'Contact not found',
+        code: 'CONTACT_NOT_FOUND'
+      });
+    }
+
+    if (!entry) {
+      return res.status(404).json({
+        message: 'History entry not found',
+        code: 'HISTORY_ENTRY_NOT_FOUND'
+      });
+    }
+
+    const change = entry.changes.find(item => item.field === field);
+    if (!change || ['create', 'delete'].includes(entry.action)) {
+      return res.status(400).json({
+        message: 'This entry has no change to revert for that field',
+        code: 'NOTHING_TO_REVERT'
+      });
+    }
+
+    // Don't silently undo later edits to the same field
+    const currentValue = snapshotContact(contact)[field];
+    if (force !== true && !sameValue(currentValue, change.newValue)) {
+      return res.status(409).json({
+        message: 'Field has changed since this entry; pass force to revert anyway',
+        code: 'CHANGE_SUPERSEDED',
+        currentValue,
+        newValue: change.newValue
+      });
+    }
+
+    const before = snapshotContact(contact);
+    const value = change.oldValue;
+
+    if (field === 'firm') {
+      Object.assign(contact, await resolveFirm(req.user.id, value || ''));
+    } else if (field === 'tags') {
+      contact.tags = Array.isArray(value) ? value : [];
+    } else if (field === 'referred') {
+      contact.referred = Boolean(value);
+    } else if (field === 'networkingStatus' && value && value !== contact.networkingStatus) {
+      contact.statusHistory.push({
+        from: contact.networkingStatus || null,
+        to: value,
+        date: new Date().toISOString().split('T')[0],
+        source: 'manual',
+        changedAt: new Date()
+      });
+      contact.networkingStatus = value;
+    } else {
+      contact[field] = value === null ? undefined : value;
+    }
+
+    if (field === 'seniority') applyRelationshipScore(contact);
+    contact.updatedAt = new Date();
+    await contact.save();
+
+    await recordContactHistory(buildEntry(req, contact._id, 'revert', diffContact(before, contact), {
+      revertOf: { entryId: entry._id, field }
+    }));
+
+    res.json({
+      message: 'Change reverted successfully',
+      field,
+      value: snapshotContact(contact)[field],
+      contact
+    });
+  } catch (error) {
+    console.error('Contact revert error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        message: 'Validation error',
+        code: 'VALIDATION_ERROR',
+        errors: Object.values(error.errors).map(err => ({
+          field: err.path,
+          message: err.message
+        }))
+      });
+    }
+
+    res.status(500).json({
+      message: 'Error reverting change',
+      code: 'CONTACT_REVERT_ERROR'
+    });
+  }
+});
+
 // Add interaction to contact
 router.post('/:id/interactions', contactValidation.addInteraction, handleValidationErrors, async (req, res) => {
   try {
@@ -519,19 +948,36 @@ router.post('/:id/interactions', contactValidation.addInteraction, handleValidat
       createdAt: new Date()
     };
     
+    const before = snapshotContact(contact);
     contact.interactions.unshift(interaction);
+    applyRelationshipScore(contact);
     contact.updatedAt = new Date();
     
-    // Update last contact date
-    if (!contact.lastContactDate || req.body.date > contact.lastContactDate) {
+    // Move the contact along the networking funnel unless the user turned it off
+    const statusChange = (req.user.preferences || {}).autoAdvanceStatus === false
+      ? null
+      : advanceStatusForInteraction(contact, contact.interactions[0], { rules: getStatusRules(req.user) });
+    
+    // Update last contact date; only the latest interaction moves the cadence forward
+    if (!contact.lastContactDate || req.body.date >= contact.lastContactDate) {
       contact.lastContactDate = req.body.date;
+      scheduleNextFollowUp(contact, getCadence(req.user), req.body.date);
     }
     
     await contact.save();
+    await recordInteractionChange(req, before, contact, null, contact.interactions[0]);
+    await trackEvent(req.user.id, 'interaction_logged', { date: req.body.date });
+    if (statusChange && FOLLOW_UP_STATUSES.includes(statusChange.to)) {
+      await trackEvent(req.user.id, 'follow_up_completed', { date: statusChange.date });
+    }
     
     res.status(201).json({ 
       message: 'Interaction added successfully', 
-      interaction: contact.interactions[0]
+      interaction: contact.interactions[0],
+      statusChange,
+      networkingStatus: contact.networkingStatus,
+      nextSteps: contact.nextSteps,
+      nextStepsDate: contact.nextStepsDate
     });
   } catch (error) {
     console.error('Interaction creation error:', error);
@@ -573,6 +1019,9 @@ router.put('/:contactId/interactions/:interactionId', async (req, res) => {
       });
     }
     
+    const before = snapshotContact(contact);
+    const previousInteraction = snapshotInteraction(interaction);
+
     // Update only provided fields
     const allowedFields = ['type', 'title', 'date', 'time', 'duration', 'notes', 'sentiment'];
     allowedFields.forEach(field => {
@@ -585,8 +1034,10 @@ router.put('/:contactId/interactions/:interactionId', async (req, res) => {
       }
     });
     
+    applyRelationshipScore(contact);
     contact.updatedAt = new Date();
     await contact.save();
+    await recordInteractionChange(req, before, contact, previousInteraction, interaction);
     
     res.json({ 
       message: 'Interaction updated successfully', 
@@ -632,9 +1083,13 @@ router.delete('/:contactId/interactions/:interactionId', async (req, res) => {
       });
     }
     
-    interaction.remove();
+    const before = snapshotContact(contact);
+    const previousInteraction = snapshotInteraction(interaction);
+    contact.interactions.pull(interaction._id);
+    applyRelationshipScore(contact);
     contact.updatedAt = new Date();
     await contact.save();
+    await recordInteractionChange(req, before, contact, previousInteraction, null);
     
     res.json({ 
       message: 'Interaction deleted successfully',
@@ -649,6 +1104,182 @@ router.delete('/:contactId/interactions/:interactionId', async (req, res) => {
   }
 });
 
+// Get a contact's connections in both directions
+router.get('/:id/connections', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        message: 'Invalid contact ID format',
+        code: 'INVALID_CONTACT_ID'
+      });
+    }
+
+    const contact = await Contact.findOne({ _id: req.params.id, userId: req.user.id })
+      .populate('connections.contactId', 'name firm group position seniority isArchived');
+
+    if (!contact) {
+      return res.status(404).json({ 
+        message: 'Contact not found',
+        code: 'CONTACT_NOT_FOUND'
+      });
+    }
+
+    // Edges recorded on other contacts that point at this one
+    const incoming = await Contact.find({
+      userId: req.user.id,
+      isArchived: { $ne: true },
+      'connections.contactId': contact._id
+    }).select('name firm group position seniority connections');
+
+    const connections = [
+      ...contact.connections
+        .filter(connection => connection.contactId && !connection.contactId.isArchived)
+        .map(connection => ({
+          connectionId: connection._id,
+          direction: 'outgoing',
+          relationship: connection.relationship,
+          since: connection.since,
+          notes: connection.notes,
+          contact: connection.contactId
+        })),
+      ...incoming.flatMap(other => other.connections
+        .filter(connection => String(connection.contactId) === String(contact._id))
+        .map(connection => ({
+          connectionId: connection._id,
+          direction: 'incoming',
+          relationship: connection.relationship,
+          since: connection.since,
+          notes: connection.notes,
+          contact: {
+            _id: other._id,
+            name: other.name,
+            firm: other.firm,
+            group: other.group,
+            position: other.position,
+            seniority: other.seniority
+          }
+        })))
+    ];
+
+    res.json({
+      connections,
+      relationshipScore: getRelationshipScore(contact)
+    });
+  } catch (error) {
+    console.error('Connections fetch error:', error);
+    res.status(500).json({ 
+      message: 'Error fetching connections',
+      code: 'CONNECTIONS_FETCH_ERROR'
+    });
+  }
+});
+
+// Connect a contact to another contact
+router.post('/:id/connections', contactValidation.addConnection, handleValidationErrors, async (req, res) => {
+  try {
+    const { contactId, relationship, since, notes } = req.body;
+
+    if (String(contactId) === String(req.params.id)) {
+      return res.status(400).json({
+        message: 'A contact cannot be connected to itself',
+        code: 'SELF_CONNECTION'
+      });
+    }
+
+    const [contact, other] = await Promise.all([
+      Contact.findOne({ _id: req.params.id, userId: req.user.id }),
+      Contact.findOne({ _id: contactId, userId: req.user.id })
+    ]);
+
+    if (!contact || !other) {
+      return res.status(404).json({ 
+        message: 'Contact not found',
+        code: 'CONTACT_NOT_FOUND'
+      });
+    }
+
+    // A pair shares each relationship type once, whichever side holds it;
+    // introductions are directional so only this side is checked for those
+    const duplicate = contact.connections.some(connection =>
+      String(connection.contactId) === String(other._id) && connection.relationship === relationship
+    ) || (relationship !== 'Introduced' && other.connections.some(connection =>
+      String(connection.contactId) === String(contact._id) && connection.relationship === relationship
+    ));
+    if (duplicate) {
+      return res.status(409).json({
+        message: `These contacts are already connected as ${relationship}`,
+        code: 'CONNECTION_EXISTS'
+      });
+    }
+
+    contact.connections.push({
+      contactId: other._id,
+      relationship,
+      since: since || null,
+      notes: (notes || '').trim(),
+      createdAt: new Date()
+    });
+    contact.updatedAt = new Date();
+    await contact.save();
+
+    if (relationship === 'Introduced' && !other.referred) {
+      const before = snapshotContact(other);
+      other.referred = true;
+      other.updatedAt = new Date();
+      await other.save();
+      await recordContactChange(req, 'update', before, other);
+    }
+
+    res.status(201).json({
+      message: 'Connection added successfully',
+      connection: contact.connections[contact.connections.length - 1]
+    });
+  } catch (error) {
+    console.error('Connection creation error:', error);
+    res.status(500).json({ 
+      message: 'Error adding connection',
+      code: 'CONNECTION_CREATE_ERROR'
+    });
+  }
+});
+
+// Remove a connection
+router.delete('/:id/connections/:connectionId', contactValidation.removeConnection, handleValidationErrors, async (req, res) => {
+  try {
+    const contact = await Contact.findOne({ _id: req.params.id, userId: req.user.id });
+
+    if (!contact) {
+      return res.status(404).json({ 
+        message: 'Contact not found',
+        code: 'CONTACT_NOT_FOUND'
+      });
+    }
+
+    const connection = contact.connections.id(req.params.connectionId);
+    if (!connection) {
+      return res.status(404).json({ 
+        message: 'Connection not found',
+        code: 'CONNECTION_NOT_FOUND'
+      });
+    }
+
+    contact.connections.pull(connection._id);
+    contact.updatedAt = new Date();
+    await contact.save();
+
+    res.json({ 
+      message: 'Connection removed successfully',
+      code: 'CONNECTION_DELETED'
+    });
+  } catch (error) {
+    console.error('Connection deletion error:', error);
+    res.status(500).json({ 
+      message: 'Error removing connection',
+      code: 'CONNECTION_DELETE_ERROR'
+    });
+  }
+});
+
 // Bulk operations
 router.post('/bulk', async (req, res) => {
   try {
@@ -673,6 +1304,8 @@ router.post('/bulk', async (req, res) => {
 
     const userId = req.user.id;
     let result;
+    const trackedFields = TRACKED_FIELDS.join(' ');
+    const before = await Contact.find({ _id: { $in: contactIds }, userId }).select(trackedFields).lean();
     
     switch (operation) {
       case 'archive':
@@ -698,8 +1331,15 @@ router.post('/bulk', async (req, res) => {
         }
         result = await Contact.updateMany(
           { _id: { $in: contactIds }, userId },
-          { ...updateData, updatedAt: new Date() }
+          {
+            ...updateData,
+            ...(updateData.firm !== undefined ? await resolveFirm(userId, updateData.firm) : {}),
+            updatedAt: new Date()
+          }
         );
+        if (updateData.seniority !== undefined) {
+          await refreshRelationshipScores({ userId, contactIds });
+        }
         break;
         
       case 'delete':
@@ -713,6 +1353,18 @@ router.post('/bulk', async (req, res) => {
         });
     }
     
+    // Diff every affected contact; deleted contacts keep their last values
+    const after = operation === 'delete'
+      ? []
+      : await Contact.find({ _id: { $in: contactIds }, userId }).select(trackedFields).lean();
+    const afterById = new Map(after.map(contact => [String(contact._id), contact]));
+    await recordContactHistory(before.map(contact => buildEntry(
+      req,
+      contact._id,
+      operation,
+      diffContact(contact, afterById.get(String(contact._id)) || null)
+    )));
+    
     res.json({ 
       message: `Bulk ${operation} completed successfully`,
       result: {
@@ -729,40 +1381,60 @@ router.post('/bulk', async (req, res) => {
   }
 });
 
-// Export contacts
-router.get('/export/csv', async (req, res) => {
+// Merge duplicate contacts into one survivor
+router.post('/merge', contactValidation.merge, handleValidationErrors, async (req, res) => {
   try {
-    const { format = 'csv' } = req.query;
-    const contacts = await Contact.find({ 
-      userId: req.user.id, 
-      isArchived: { $ne: true } 
-    }).lean();
-
-    if (format === 'csv') {
-      // Convert to CSV format
-      const csvHeader = 'Name,Firm,Position,Group,Email,Phone,LinkedIn,Networking Status,Notes\n';
-      const csvData = contacts.map(contact => 
-        `"${contact.name}","${contact.firm}","${contact.position || ''}","${contact.group || ''}","${contact.email || ''}","${contact.phone || ''}","${contact.linkedin || ''}","${contact.networkingStatus}","${(contact.notes || '').replace(/"/g, '""')}"`
-      ).join('\n');
-
-      res.setHeader('Content-Type', 'text/csv');
-      res.setHeader('Content-Disposition', `attachment; filename="contacts-${Date.now()}.csv"`);
-      res.send(csvHeader + csvData);
-    } else {
-      // JSON export
-      res.setHeader('Content-Type', 'application/json');
-      res.setHeader('Content-Disposition', `attachment; filename="contacts-${Date.now()}.json"`);
-      res.json({
-        exportDate: new Date().toISOString(),
-        totalContacts: contacts.length,
-        contacts
+    const survivorId = String(req.body.survivorId);
+    const duplicateIds = [...new Set(req.body.duplicateIds.map(String))].filter(id => id !== survivorId);
+
+    if (duplicateIds.length === 0) {
+      return res.status(400).json({
+        message: 'At least one contact other than the survivor is required',
+        code: 'NOTHING_TO_MERGE'
+      });
+    }
+
+    const contacts = await Contact.find({ _id: { $in: [survivorId, ...duplicateIds] }, userId: req.user.id });
+    const survivor = contacts.find(contact => String(contact._id) === survivorId);
+    const duplicates = contacts.filter(contact => String(contact._id) !== survivorId);
+
+    if (!survivor || duplicates.length !== duplicateIds.length) {
+      const found = new Set(contacts.map(contact => String(contact._id)));
+      return res.status(404).json({
+        message: 'One or more contacts not found',
+        code: 'CONTACT_NOT_FOUND',
+        contactIds: [survivorId, ...duplicateIds].filter(id => !found.has(id))
+      });
+    }
+
+    const before = snapshotContact(survivor);
+    const merged = await mergeContacts(req.user.id, survivor, duplicates);
+    if (!merged) {
+      return res.status(409).json({
+        message: 'One or more of these contacts is already being merged',
+        code: 'CONTACT_MERGE_CONFLICT'
       });
     }
+    const { contact, repointed } = merged;
+
+    await recordContactHistory([
+      buildEntry(req, contact._id, 'merge', diffContact(before, contact), { mergedWith: duplicates.map(d => d._id) }),
+      ...duplicates.map(duplicate => buildEntry(req, duplicate._id, 'merge', diffContact(duplicate, null), {
+        mergedWith: [contact._id]
+      }))
+    ]);
+
+    res.json({
+      message: `Merged ${duplicates.length} contact(s) successfully`,
+      contact,
+      mergedIds: duplicates.map(duplicate => duplicate._id),
+      repointed
+    });
   } catch (error) {
-    console.error('Export error:', error);
-    res.status(500).json({ 
-      message: 'Error exporting contacts',
-      code: 'EXPORT_ERROR'
+    console.error('Contact merge error:', error);
+    res.status(500).json({
+      message: 'Error merging contacts',
+      code: 'CONTACT_MERGE_ERROR'
     });
   }
 });
@@ -785,6 +1457,8 @@ router.post('/import', async (req, res) => {
       skipped: 0,
       errors: []
     };
+    const resolveFirmName = await createFirmResolver(userId);
+    const historyEntries = [];
 
     for (const contactData of contacts) {
       try {
@@ -794,48 +1468,27 @@ router.post('/import', async (req, res) => {
           continue;
         }
 
-        // Check for duplicates if skipDuplicates is true
-        if (skipDuplicates) {
-          const existing = await Contact.findOne({
-            userId,
-            name: { $regex: new RegExp(`^${contactData.name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}`, 'i') },
-            firm: { $regex: new RegExp(`^${contactData.firm.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}`, 'i') },
-            isArchived: { $ne: true }
-          });
+        contactData.firm = resolveFirmName(String(contactData.firm)).firm;
 
-          if (existing) {
-            results.skipped++;
-            continue;
-          }
+        // Check for duplicates if skipDuplicates is true
+        if (skipDuplicates && await findExistingContact(userId, contactData)) {
+          results.skipped++;
+          continue;
         }
 
         // Create contact with cleaned data
-        const cleanedContactData = {
-          name: contactData.name?.trim(),
-          firm: contactData.firm?.trim(),
-          position: contactData.position?.trim() || '',
-          group: contactData.group?.trim() || '',
-          email: contactData.email?.trim().toLowerCase() || '',
-          phone: contactData.phone?.trim() || '',
-          linkedin: contactData.linkedin?.trim() || '',
-          networkingStatus: contactData.networkingStatus || 'Not Yet Contacted',
-          priority: contactData.priority || 'Medium',
-          referred: Boolean(contactData.referred),
-          notes: contactData.notes?.trim() || '',
-          tags: Array.isArray(contactData.tags) ? contactData.tags.filter(tag => tag?.trim()) : [],
-          userId,
-          createdAt: new Date(),
-          updatedAt: new Date()
-        };
-
-        const contact = new Contact(cleanedContactData);
+        const contact = new Contact(cleanImportedContact(contactData, userId, resolveFirmName));
         await contact.save();
+        historyEntries.push(buildEntry(req, contact._id, 'create', diffContact(null, contact)));
         results.imported++;
       } catch (error) {
         results.errors.push(`Error importing ${contactData.name}: ${error.message}`);
       }
     }
 
+    await recordContactHistory(historyEntries);
+    await trackEvent(userId, 'contact_added', { count: results.imported });
+
     res.json({
       message: 'Import completed',
       results
@@ -849,4 +1502,180 @@ router.post('/import', async (req, res) => {
   }
 });
 
+// Upload a CSV, LinkedIn Connections.csv or vCard file and preview it
+router.post('/import/upload', uploadImportFile, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        message: 'A CSV or vCard file is required in the "file" field',
+        code: 'MISSING_IMPORT_FILE'
+      });
+    }
+
+    const { format, columns, rows, truncated } = await parseImportFile(req.file);
+    if (rows.length === 0) {
+      return res.status(400).json({
+        message: 'No contacts found in the file',
+        code: 'EMPTY_IMPORT_FILE'
+      });
+    }
+
+    const mapping = suggestMapping(columns);
+    const importJob = await ContactImport.create({
+      userId: req.user.id,
+      fileName: req.file.originalname,
+      format,
+      columns,
+      rows: toStoredRows(columns, rows),
+      mapping: toStoredMapping(mapping),
+      progress: { total: rows.length },
+      expiresAt: importExpiry()
+    });
+
+    res.status(201).json({
+      message: 'File parsed; review the mapping and commit the import',
+      importId: importJob._id,
+      fileName: importJob.fileName,
+      format,
+      columns,
+      fields: Object.keys(IMPORT_FIELDS),
+      suggestedMapping: mapping,
+      truncated,
+      preview: buildPreview(rows, mapping)
+    });
+  } catch (error) {
+    console.error('Import upload error:', error);
+    res.status(500).json({
+      message: 'Error reading import file',
+      code: 'IMPORT_UPLOAD_ERROR'
+    });
+  }
+});
+
+// Preview an uploaded file with a different column mapping
+router.post('/import/:importId/preview', contactValidation.importMapping, handleValidationErrors, async (req, res) => {
+  try {
+    const importJob = await ContactImport.findOne({ _id: req.params.importId, userId: req.user.id });
+    if (!importJob || importJob.status !== 'uploaded') {
+      return res.status(404).json({
+        message: 'Uploaded import not found',
+        code: 'IMPORT_NOT_FOUND'
+      });
+    }
+
+    const mapping = req.body.mapping || fromStoredMapping(importJob.mapping);
+    const { defaultFirm } = req.body;
+
+    res.json({
+      mapping,
+      mappingErrors: checkImportMapping(mapping, importJob.columns, defaultFirm),
+      preview: buildPreview(fromStoredRows(importJob.columns, importJob.rows), mapping, { defaultFirm })
+    });
+  } catch (error) {
+    console.error('Import preview error:', error);
+    res.status(500).json({
+      message: 'Error previewing import',
+      code: 'IMPORT_PREVIEW_ERROR'
+    });
+  }
+});
+
+// Commit an uploaded file with the chosen mapping; large files run in the background
+router.post('/import/:importId/commit', contactValidation.importMapping, handleValidationErrors, async (req, res) => {
+  try {
+    const importJob = await ContactImport.findOne({ _id: req.params.importId, userId: req.user.id });
+    if (!importJob) {
+      return res.status(404).json({
+        message: 'Import not found',
+        code: 'IMPORT_NOT_FOUND'
+      });
+    }
+
+    if (importJob.status !== 'uploaded') {
+      return res.status(409).json({
+        message: 'This import has already been committed',
+        code: 'IMPORT_ALREADY_COMMITTED',
+        status: importJob.status
+      });
+    }
+
+    const mapping = req.body.mapping || fromStoredMapping(importJob.mapping);
+    const { skipDuplicates = true, defaultFirm } = req.body;
+    const mappingErrors = checkImportMapping(mapping, importJob.columns, defaultFirm);
+    if (mappingErrors.length > 0) {
+      return res.status(400).json({
+        message: 'Invalid column mapping',
+        code: 'INVALID_MAPPING',
+        errors: mappingErrors
+      });
+    }
+
+    // Only one commit can move the import out of 'uploaded'
+    const queued = await ContactImport.findOneAndUpdate(
+      { _id: importJob._id, userId: req.user.id, status: 'uploaded' },
+      { mapping: toStoredMapping(mapping), options: { skipDuplicates, defaultFirm }, status: 'queued' }
+    );
+    if (!queued) {
+      return res.status(409).json({
+        message: 'This import has already been committed',
+        code: 'IMPORT_ALREADY_COMMITTED'
+      });
+    }
+
+    if (importJob.rows.length > BACKGROUND_IMPORT_ROWS) {
+      setImmediate(() => {
+        runContactImport(importJob._id).catch(error => console.error('Contact import job error:', error));
+      });
+      return res.status(202).json({
+        message: 'Import queued',
+        importId: importJob._id,
+        status: 'queued',
+        total: importJob.rows.length
+      });
+    }
+
+    await runContactImport(importJob._id);
+    const result = await ContactImport.findById(importJob._id).select('-rows').lean();
+
+    res.json({
+      message: 'Import completed',
+      import: result
+    });
+  } catch (error) {
+    console.error('Import commit error:', error);
+    res.status(500).json({
+      message: 'Error committing import',
+      code: 'IMPORT_COMMIT_ERROR'
+    });
+  }
+});
+
+// Status and progress of an import
+router.get('/import/:importId', contactValidation.importStatus, handleValidationErrors, async (req, res) => {
+  try {
+    const importJob = await ContactImport.findOne({ _id: req.params.importId, userId: req.user.id })
+      .select('-rows')
+      .lean();
+
+    if (!importJob) {
+      return res.status(404).json({
+        message: 'Import not found',
+        code: 'IMPORT_NOT_FOUND'
+      });
+    }
+
+    const { total, processed } = importJob.progress;
+    res.json({
+      import: importJob,
+      percentComplete: total > 0 ? Math.round((processed / total) * 100) : 0
+    });
+  } catch (error) {
+    console.error('Import status error:', error);
+    res.status(500).json({
+      message: 'Error fetching import status',
+      code: 'IMPORT_STATUS_ERROR'
+    });
+  }
+});
+
 module.exports = router;
@@ -2,6 +2,12 @@ const express = require('express');
 const mongoose = require('mongoose');
 const { Contact, Interview, Document } = require('../models');
 const { authenticateToken } = require('../middleware/auth');
+const { addDays } = require('../utils/analytics');
+const {
+  getUpcomingWindow,
+  getOverdueFollowUps,
+  getUpcomingFollowUps
+} = require('../utils/followUpCadence');
 
 const router = express.Router();
 
@@ -70,20 +76,15 @@ router.get('/stats', async (req, res) => {
       .select('firm position stage stageDate createdAt')
       .populate('referralContactId', 'name');
 
-    // Get upcoming tasks (next steps due soon)
+    // Get upcoming tasks (next steps due within the user's follow-up window)
     const today = new Date().toISOString().split('T')[0];
-    const nextWeek = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+    const windowEnd = addDays(today, getUpcomingWindow(req.user));
     
     const [upcomingContactTasks, upcomingInterviewTasks] = await Promise.all([
-      Contact.find({ 
-        userId, 
-        nextStepsDate: { $gte: today, $lte: nextWeek },
-        nextSteps: { $ne: null, $ne: '' },
-        isArchived: { $ne: true }
-      }).select('name firm nextSteps nextStepsDate').limit(10),
+      getUpcomingFollowUps(req.user, { asOf: today }),
       Interview.find({ 
         userId, 
-        nextStepsDate: { $gte: today, $lte: nextWeek },
+        nextStepsDate: { $gte: today, $lte: windowEnd },
         nextSteps: { $ne: null, $ne: '' },
         isArchived: { $ne: true }
       }).select('firm position nextSteps nextStepsDate').limit(10)
@@ -103,26 +104,8 @@ router.get('/stats', async (req, res) => {
       { $sort: { _id: 1 } }
     ]);
 
-    // Get contacts needing follow-up
-    const sevenDaysAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
-    const followUpContacts = await Contact.find({
-      userId,
-      $or: [
-        { nextSteps: { $in: [null, ''] } },
-        { nextStepsDate: { $lt: today } }
-      ],
-      networkingDate: { $lt: sevenDaysAgo },
-      isArchived: { $ne: true }
-    }).select('name firm position networkingDate').limit(10);
-
-    // Add days since last contact calculation
-    const followUpContactsWithDays = followUpContacts.map(contact => {
-      const daysSince = Math.floor((new Date() - new Date(contact.networkingDate)) / (1000 * 60 * 60 * 24));
-      return {
-        ...contact.toObject(),
-        daysSinceLastContact: daysSince
-      };
-    });
+    // Get contacts whose follow-up cadence is overdue
+    const followUpContacts = await getOverdueFollowUps(req.user, { asOf: today });
 
     res.json({
       stats: {
@@ -146,7 +129,7 @@ router.get('/stats', async (req, res) => {
       },
       tasks: {
         upcoming: [...upcomingContactTasks, ...upcomingInterviewTasks],
-        followUps: followUpContactsWithDays
+        followUps: followUpContacts
       }
     });
   } catch (error) {
@@ -1,11 +1,52 @@
 // routes/documents.js
 const express = require('express');
+const path = require('path');
+const multer = require('multer');
 const { Document } = require('../models');
 const { authenticateToken } = require('../middleware/auth');
 const { documentValidation, paginationValidation, handleValidationErrors } = require('../utils/validators');
+const { trackEvent } = require('../utils/analytics');
+const { createFirmResolver, resolveFirmList } = require('../utils/firms');
+const {
+  resolveStoredFile,
+  saveStoredFile,
+  cloudinaryDownloadUrl,
+  removeStoredFile
+} = require('../utils/storage');
 
 const router = express.Router();
 
+const MAX_DOCUMENT_FILE_SIZE = Number(process.env.MAX_FILE_SIZE) || 10 * 1024 * 1024;
+const ALLOWED_FILE_TYPES = (process.env.ALLOWED_FILE_TYPES || 'pdf,doc,docx,txt,png,jpg,jpeg')
+  .split(',')
+  .map(type => type.trim().toLowerCase())
+  .filter(Boolean);
+
+const fileExtension = (name) => path.extname(name || '').slice(1).toLowerCase();
+
+const documentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_DOCUMENT_FILE_SIZE, files: 1 },
+  fileFilter: (req, file, cb) => {
+    const allowed = ALLOWED_FILE_TYPES.includes(fileExtension(file.originalname));
+    cb(allowed ? null : new Error(`Only ${ALLOWED_FILE_TYPES.join(', ')} files can be uploaded`), allowed);
+  }
+});
+
+const uploadDocumentFile = (req, res, next) => documentUpload.single('file')(req, res, (error) => {
+  if (!error) return next();
+  const tooLarge = error.code === 'LIMIT_FILE_SIZE';
+  res.status(400).json({
+    message: tooLarge ? `File must be smaller than ${MAX_DOCUMENT_FILE_SIZE / (1024 * 1024)}MB` : error.message,
+    code: tooLarge ? 'FILE_TOO_LARGE' : 'INVALID_FILE'
+  });
+});
+
+// storedFile is only set by the upload route. Update operators and dotted
+// paths could reach it too, so none of them are taken from request bodies.
+const clientFields = (body) => Object.fromEntries(Object.entries(body)
+  .filter(([key]) => !key.startsWith('$') && key.split('.')[0] !== 'storedFile'));
+
 // Apply authentication to all routes
 router.use(authenticateToken);
 
@@ -58,9 +99,13 @@ router.get('/', paginationValidation, handleValidationErrors, async (req, res) =
 // Create new document
 router.post('/', documentValidation.create, handleValidationErrors, async (req, res) => {
   try {
-    const documentData = { ...req.body, userId: req.user.id };
+    const documentData = { ...clientFields(req.body), userId: req.user.id };
+    if (Array.isArray(documentData.associatedFirms)) {
+      Object.assign(documentData, resolveFirmList(await createFirmResolver(req.user.id), documentData.associatedFirms));
+    }
     const document = new Document(documentData);
     await document.save();
+    await trackEvent(req.user.id, 'document_created');
     
     res.status(201).json({ 
       message: 'Document created successfully', 
@@ -103,9 +148,14 @@ router.get('/:id', async (req, res) => {
 // Update document
 router.put('/:id', documentValidation.update, handleValidationErrors, async (req, res) => {
   try {
+    const updateData = { ...clientFields(req.body), updatedAt: new Date() };
+    if (Array.isArray(updateData.associatedFirms)) {
+      Object.assign(updateData, resolveFirmList(await createFirmResolver(req.user.id), updateData.associatedFirms));
+    }
+    
     const document = await Document.findOneAndUpdate(
       { _id: req.params.id, userId: req.user.id },
-      { ...req.body, updatedAt: new Date() },
+      updateData,
       { new: true }
     );
     
@@ -158,4 +208,128 @@ router.delete('/:id', async (req, res) => {
   }
 });
 
+// Restore archived document
+router.patch('/:id/restore', documentValidation.restore, handleValidationErrors, async (req, res) => {
+  try {
+    const document = await Document.findOneAndUpdate(
+      { _id: req.params.id, userId: req.user.id, isArchived: true },
+      { isArchived: false, $unset: { archivedAt: 1 }, updatedAt: new Date() },
+      { new: true }
+    );
+    
+    if (!document) {
+      return res.status(404).json({ 
+        message: 'Archived document not found',
+        code: 'DOCUMENT_NOT_FOUND'
+      });
+    }
+    
+    res.json({ 
+      message: 'Document restored successfully',
+      document
+    });
+  } catch (error) {
+    console.error('Document restore error:', error);
+    res.status(500).json({ 
+      message: 'Error restoring document',
+      code: 'DOCUMENT_RESTORE_ERROR'
+    });
+  }
+});
+
+// Upload or replace a document's file. The storage key is recorded on the
+// document by the server; the previous file is removed once the new one is saved.
+router.post('/:id/file', documentValidation.file, handleValidationErrors, uploadDocumentFile, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({
+        message: 'A file is required',
+        code: 'FILE_REQUIRED'
+      });
+    }
+
+    const document = await Document.exists({ _id: req.params.id, userId: req.user.id });
+    if (!document) {
+      return res.status(404).json({
+        message: 'Document not found',
+        code: 'DOCUMENT_NOT_FOUND'
+      });
+    }
+
+    const storedFile = await saveStoredFile(req.user.id, document._id, req.file);
+    const previous = await Document.findOneAndUpdate(
+      { _id: document._id, userId: req.user.id },
+      {
+        fileData: {
+          name: req.file.originalname,
+          size: req.file.size,
+          type: fileExtension(req.file.originalname),
+          url: `${req.baseUrl}/${document._id}/file`
+        },
+        storedFile,
+        lastModified: new Date(),
+        updatedAt: new Date()
+      }
+    );
+
+    // Deleted while the file was uploading
+    if (!previous) {
+      await removeStoredFile(storedFile, req.user.id);
+      return res.status(404).json({
+        message: 'Document not found',
+        code: 'DOCUMENT_NOT_FOUND'
+      });
+    }
+
+    await removeStoredFile(previous.storedFile, req.user.id).catch(error => {
+      console.error('Document file cleanup error:', error.message);
+    });
+
+    res.status(201).json({
+      message: 'File uploaded successfully',
+      document: await Document.findById(document._id)
+    });
+  } catch (error) {
+    console.error('Document file upload error:', error);
+    res.status(500).json({
+      message: 'Error uploading file',
+      code: 'DOCUMENT_FILE_UPLOAD_ERROR'
+    });
+  }
+});
+
+// Download a document's uploaded file
+router.get('/:id/file', documentValidation.file, handleValidationErrors, async (req, res) => {
+  try {
+    const document = await Document.findOne({ _id: req.params.id, userId: req.user.id })
+      .select('name fileData storedFile');
+    const file = document && resolveStoredFile(document.storedFile, req.user.id);
+
+    if (!file) {
+      return res.status(404).json({
+        message: 'File not found',
+        code: 'FILE_NOT_FOUND'
+      });
+    }
+
+    if (file.provider === 'cloudinary') return res.redirect(cloudinaryDownloadUrl(file));
+
+    const fileName = (document.fileData && document.fileData.name) || document.name;
+    res.download(file.filePath, fileName, (error) => {
+      if (error && !res.headersSent) {
+        res.status(404).json({
+          message: 'File not found',
+          code: 'FILE_NOT_FOUND'
+        });
+      }
+    });
+  } catch (error) {
+    console.error('Document file download error:', error);
+    res.status(500).json({
+      message: 'Error downloading file',
+      code: 'DOCUMENT_FILE_DOWNLOAD_ERROR'
+    });
+  }
+});
+
 module.exports = router;
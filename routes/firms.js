@@ -0,0 +1,305 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { Firm, Contact, Interview, Document } = require('../models');
+const { authenticateToken } = require('../middleware/auth');
+const { firmValidation, handleValidationErrors } = require('../utils/validators');
+const {
+  buildFirmKeys,
+  visibleFirmsQuery,
+  findFirmByName,
+  linkUserRecords
+} = require('../utils/firms');
+const { buildFirmRollup } = require('../utils/firmRollup');
+
+const router = express.Router();
+
+const allowedFields = [
+  'name', 'aliases', 'type', 'headquarters', 'website', 'groups', 'recruitingTimeline', 'notes'
+];
+
+// Shared catalog entries are admin-only; everything else belongs to its creator
+const canEdit = (firm, user) => (firm.userId
+  ? String(firm.userId) === String(user.id)
+  : user.role === 'admin');
+
+const withSharedFlag = (firm) => {
+  const { keys, ...data } = firm.toObject ? firm.toObject() : firm;
+  return { ...data, isShared: !firm.userId };
+};
+
+// Another visible firm already using one of these names
+const findConflict = (userId, keys, excludeId) => Firm.findOne({
+  ...visibleFirmsQuery(userId),
+  keys: { $in: keys },
+  ...(excludeId ? { _id: { $ne: excludeId } } : {})
+}).select('name aliases userId');
+
+const conflictResponse = (res, conflict) => res.status(409).json({
+  message: `"${conflict.name}" already uses this name or alias`,
+  code: 'FIRM_EXISTS',
+  existingFirm: {
+    id: conflict._id,
+    name: conflict.name,
+    aliases: conflict.aliases,
+    isShared: !conflict.userId
+  }
+});
+
+// Apply authentication to all routes
+router.use(authenticateToken);
+
+// Get all firms visible to the user
+router.get('/', async (req, res) => {
+  try {
+    const { search, type } = req.query;
+    const query = visibleFirmsQuery(req.user.id);
+
+    if (search) {
+      const searchRegex = { $regex: search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+      query.$and = [{ $or: [{ name: searchRegex }, { aliases: searchRegex }] }];
+    }
+    if (type) query.type = type;
+
+    const firms = await Firm.find(query).select('-keys').sort({ name: 1 });
+
+    res.json({ firms: firms.map(withSharedFlag) });
+  } catch (error) {
+    console.error('Firms fetch error:', error);
+    res.status(500).json({
+      message: 'Error fetching firms',
+      code: 'FIRMS_FETCH_ERROR'
+    });
+  }
+});
+
+// Resolve a free-text firm name to its canonical firm
+router.get('/resolve', firmValidation.resolve, handleValidationErrors, async (req, res) => {
+  try {
+    const firm = await findFirmByName(req.user.id, req.query.name);
+
+    res.json({
+      input: req.query.name,
+      canonicalName: firm ? firm.name : req.query.name.trim(),
+      firm: firm ? withSharedFlag(firm) : null
+    });
+  } catch (error) {
+    console.error('Firm resolve error:', error);
+    res.status(500).json({
+      message: 'Error resolving firm',
+      code: 'FIRM_RESOLVE_ERROR'
+    });
+  }
+});
+
+// Get one firm by id or name with its contacts, interviews and documents
+router.get('/:idOrName', async (req, res) => {
+  try {
+    const { idOrName } = req.params;
+    let firm = null;
+    if (mongoose.Types.ObjectId.isValid(idOrName)) {
+      firm = await Firm.findOne({ _id: idOrName, ...visibleFirmsQuery(req.user.id) }).select('-keys');
+    }
+    if (!firm) firm = await findFirmByName(req.user.id, idOrName);
+
+    // Records not yet linked still match on the exact name
+    const name = firm ? firm.name : idOrName.trim();
+    const nameRegex = new RegExp(`^${name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, 'i');
+    const active = { userId: req.user.id, isArchived: { $ne: true } };
+    const firmMatch = firm ? [{ firmId: firm._id }, { firm: nameRegex }] : [{ firm: nameRegex }];
+
+    const [contacts, interviews, documents] = await Promise.all([
+      Contact.find({ ...active, $or: firmMatch })
+        .select('name position group seniority networkingStatus lastContactDate nextSteps nextStepsDate relationshipScore relationshipScoreUpdatedAt interactions.type interactions.date interactions.sentiment')
+        .lean(),
+      Interview.find({ ...active, $or: firmMatch })
+        .select('position group office stage stageDate applicationDate nextSteps nextStepsDate rounds.date stageHistory.date offer.status')
+        .sort({ updatedAt: -1 })
+        .lean(),
+      Document.find({
+        ...active,
+        $or: firm ? [{ firmIds: firm._id }, { associatedFirms: nameRegex }] : [{ associatedFirms: nameRegex }]
+      })
+        .select('name type updatedAt')
+        .sort({ updatedAt: -1 })
+        .lean()
+    ]);
+
+    if (!firm && contacts.length === 0 && interviews.length === 0 && documents.length === 0) {
+      return res.status(404).json({
+        message: 'Firm not found',
+        code: 'FIRM_NOT_FOUND'
+      });
+    }
+
+    res.json(buildFirmRollup({
+      firm: firm ? withSharedFlag(firm) : null,
+      name,
+      contacts,
+      interviews,
+      documents
+    }));
+  } catch (error) {
+    console.error('Firm fetch error:', error);
+    res.status(500).json({
+      message: 'Error fetching firm',
+      code: 'FIRM_FETCH_ERROR'
+    });
+  }
+});
+
+// Create new firm; admins may add it to the shared catalog
+router.post('/', firmValidation.create, handleValidationErrors, async (req, res) => {
+  try {
+    const shared = (req.body.shared === true || req.body.shared === 'true');
+    if (shared && req.user.role !== 'admin') {
+      return res.status(403).json({
+        message: 'Admin access required',
+        code: 'ADMIN_REQUIRED'
+      });
+    }
+
+    const firmData = {};
+    allowedFields.forEach(field => {
+      if (req.body.hasOwnProperty(field)) firmData[field] = req.body[field];
+    });
+    firmData.aliases = (firmData.aliases || []).map(alias => alias.trim()).filter(Boolean);
+    firmData.keys = buildFirmKeys(firmData.name, firmData.aliases);
+
+    const conflict = await findConflict(req.user.id, firmData.keys);
+    if (conflict) return conflictResponse(res, conflict);
+
+    const firm = new Firm({ ...firmData, userId: shared ? null : req.user.id });
+    await firm.save();
+
+    // Pick up existing records written with any of the new names
+    const linked = await linkUserRecords(req.user.id);
+
+    res.status(201).json({
+      message: 'Firm created successfully',
+      firm: withSharedFlag(firm),
+      linked: {
+        contacts: linked.contacts.updated,
+        interviews: linked.interviews.updated,
+        documents: linked.documents.updated
+      }
+    });
+  } catch (error) {
+    console.error('Firm creation error:', error);
+    res.status(500).json({
+      message: 'Error creating firm',
+      code: 'FIRM_CREATE_ERROR'
+    });
+  }
+});
+
+// Update firm
+router.put('/:id', firmValidation.update, handleValidationErrors, async (req, res) => {
+  try {
+    const firm = await Firm.findOne({ _id: req.params.id, ...visibleFirmsQuery(req.user.id) });
+
+    if (!firm) {
+      return res.status(404).json({
+        message: 'Firm not found',
+        code: 'FIRM_NOT_FOUND'
+      });
+    }
+
+    if (!canEdit(firm, req.user)) {
+      return res.status(403).json({
+        message: 'Shared firms can only be edited by an admin',
+        code: 'FIRM_READ_ONLY'
+      });
+    }
+
+    const previousName = firm.name;
+    allowedFields.forEach(field => {
+      if (req.body.hasOwnProperty(field)) firm[field] = req.body[field];
+    });
+    firm.aliases = firm.aliases.map(alias => alias.trim()).filter(Boolean);
+    firm.keys = buildFirmKeys(firm.name, firm.aliases);
+
+    const conflict = await findConflict(req.user.id, firm.keys, firm._id);
+    if (conflict) return conflictResponse(res, conflict);
+
+    firm.updatedAt = new Date();
+    await firm.save();
+
+    // Renames flow through to records already linked to this firm
+    if (firm.name !== previousName) {
+      const scope = firm.userId ? { userId: req.user.id } : {};
+      await Promise.all([
+        Contact.updateMany({ ...scope, firmId: firm._id }, { firm: firm.name }),
+        Interview.updateMany({ ...scope, firmId: firm._id }, { firm: firm.name })
+      ]);
+    }
+    const linked = await linkUserRecords(req.user.id);
+
+    res.json({
+      message: 'Firm updated successfully',
+      firm: withSharedFlag(firm),
+      linked: {
+        contacts: linked.contacts.updated,
+        interviews: linked.interviews.updated,
+        documents: linked.documents.updated
+      }
+    });
+  } catch (error) {
+    console.error('Firm update error:', error);
+    res.status(500).json({
+      message: 'Error updating firm',
+      code: 'FIRM_UPDATE_ERROR'
+    });
+  }
+});
+
+// Delete firm (soft delete); linked records keep their firm name
+router.delete('/:id', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        message: 'Invalid firm ID format',
+        code: 'INVALID_FIRM_ID'
+      });
+    }
+
+    const firm = await Firm.findOne({ _id: req.params.id, ...visibleFirmsQuery(req.user.id) });
+
+    if (!firm) {
+      return res.status(404).json({
+        message: 'Firm not found',
+        code: 'FIRM_NOT_FOUND'
+      });
+    }
+
+    if (!canEdit(firm, req.user)) {
+      return res.status(403).json({
+        message: 'Shared firms can only be deleted by an admin',
+        code: 'FIRM_READ_ONLY'
+      });
+    }
+
+    firm.isArchived = true;
+    firm.archivedAt = new Date();
+    await firm.save();
+
+    const scope = firm.userId ? { userId: req.user.id } : {};
+    await Promise.all([
+      Contact.updateMany({ ...scope, firmId: firm._id }, { firmId: null }),
+      Interview.updateMany({ ...scope, firmId: firm._id }, { firmId: null }),
+      Document.updateMany({ ...scope, firmIds: firm._id }, { $pull: { firmIds: firm._id } })
+    ]);
+
+    res.json({
+      message: 'Firm archived successfully',
+      code: 'FIRM_ARCHIVED'
+    });
+  } catch (error) {
+    console.error('Firm deletion error:', error);
+    res.status(500).json({
+      message: 'Error archiving firm',
+      code: 'FIRM_DELETE_ERROR'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,41 +1,412 @@
 // routes/goals.js
 const express = require('express');
+const mongoose = require('mongoose');
+const { Goal } = require('../models');
 const { authenticateToken } = require('../middleware/auth');
+const { goalValidation, paginationValidation, handleValidationErrors } = require('../utils/validators');
+const {
+  defaultMetricByCategory,
+  isAutoTracked,
+  applyCompletion,
+  calculateProgressPercent,
+  computeGoalProgress,
+  refreshGoalProgress
+} = require('../utils/goalProgress');
+const { rolloverDueGoals } = require('../utils/recurringGoals');
+const { trackEvent } = require('../utils/analytics');
 
 const router = express.Router();
 
 // Apply authentication to all routes
 router.use(authenticateToken);
 
-// Placeholder for goals functionality
-router.get('/', async (req, res) => {
+// Fields a client is allowed to set on create/update
+const allowedFields = [
+  'title', 'description', 'category', 'type', 'metric', 'target', 'current', 'unit',
+  'timeframe', 'startDate', 'endDate', 'status', 'recurring'
+];
+
+const withProgress = (goal) => ({
+  ...goal.toObject(),
+  progressPercent: calculateProgressPercent(goal),
+  autoTracked: isAutoTracked(goal)
+});
+
+// Get all goals with filtering and pagination
+router.get('/', paginationValidation, handleValidationErrors, async (req, res) => {
   try {
+    const {
+      page = 1,
+      limit = 50,
+      search,
+      status,
+      category,
+      timeframe,
+      sortBy = 'endDate',
+      sortOrder = 'asc'
+    } = req.query;
+
+    const query = { userId: req.user.id, isArchived: { $ne: true } };
+
+    if (search) {
+      const searchRegex = { $regex: search, $options: 'i' };
+      query.$or = [
+        { title: searchRegex },
+        { description: searchRegex }
+      ];
+    }
+
+    if (status) query.status = status;
+    if (category) query.category = category;
+    if (timeframe) query.timeframe = timeframe;
+
+    const sort = {};
+    sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
+
+    // Don't wait for the nightly job to open the next window of recurring goals
+    await rolloverDueGoals({ userId: req.user.id });
+
+    const goals = await Goal.find(query)
+      .sort(sort)
+      .limit(Number(limit))
+      .skip((Number(page) - 1) * Number(limit));
+
+    // Show live progress for auto-tracked goals without writing on a read
+    await Promise.all(goals.map(goal => computeGoalProgress(goal)));
+
+    const total = await Goal.countDocuments(query);
+
     res.json({
-      message: 'Goals feature coming soon',
-      goals: []
+      goals: goals.map(withProgress),
+      pagination: {
+        currentPage: Number(page),
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        itemsPerPage: Number(limit),
+        hasNextPage: page < Math.ceil(total / limit),
+        hasPrevPage: page > 1
+      }
     });
   } catch (error) {
-    console.error('Goals error:', error);
-    res.status(500).json({ 
+    console.error('Goals fetch error:', error);
+    res.status(500).json({
       message: 'Error fetching goals',
-      code: 'GOALS_ERROR'
+      code: 'GOALS_FETCH_ERROR'
     });
   }
 });
 
-router.post('/', async (req, res) => {
+// Create new goal
+router.post('/', goalValidation.create, handleValidationErrors, async (req, res) => {
   try {
-    res.status(501).json({
-      message: 'Goals creation feature coming soon',
-      code: 'FEATURE_NOT_IMPLEMENTED'
+    const goalData = { userId: req.user.id };
+    allowedFields.forEach(field => {
+      if (req.body.hasOwnProperty(field)) goalData[field] = req.body[field];
+    });
+    if (!goalData.metric) goalData.metric = defaultMetricByCategory[goalData.category];
+
+    const goal = new Goal(goalData);
+    applyCompletion(goal);
+    await goal.save();
+    await refreshGoalProgress(goal);
+
+    res.status(201).json({
+      message: 'Goal created successfully',
+      goal: withProgress(goal)
     });
   } catch (error) {
     console.error('Goal creation error:', error);
-    res.status(500).json({ 
+    res.status(500).json({
       message: 'Error creating goal',
       code: 'GOAL_CREATE_ERROR'
     });
   }
 });
 
+// Get single goal
+router.get('/:id', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        message: 'Invalid goal ID format',
+        code: 'INVALID_GOAL_ID'
+      });
+    }
+
+    const goal = await Goal.findOne({ _id: req.params.id, userId: req.user.id });
+
+    if (!goal) {
+      return res.status(404).json({
+        message: 'Goal not found',
+        code: 'GOAL_NOT_FOUND'
+      });
+    }
+
+    await computeGoalProgress(goal);
+
+    res.json({ goal: withProgress(goal) });
+  } catch (error) {
+    console.error('Goal fetch error:', error);
+    res.status(500).json({
+      message: 'Error fetching goal',
+      code: 'GOAL_FETCH_ERROR'
+    });
+  }
+});
+
+// Get performance across every window of a recurring goal
+router.get('/:id/history', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        message: 'Invalid goal ID format',
+        code: 'INVALID_GOAL_ID'
+      });
+    }
+
+    const goal = await Goal.findOne({ _id: req.params.id, userId: req.user.id });
+
+    if (!goal) {
+      return res.status(404).json({
+        message: 'Goal not found',
+        code: 'GOAL_NOT_FOUND'
+      });
+    }
+
+    const seriesId = goal.seriesId || goal._id;
+    const latest = await Goal.findOne({
+      userId: req.user.id,
+      $or: [{ _id: seriesId }, { seriesId }]
+    }).sort({ startDate: -1 });
+
+    await computeGoalProgress(latest);
+
+    const { history } = latest;
+    const completedWindows = history.filter(entry => entry.status === 'Completed').length;
+    const averageResult = history.length > 0
+      ? history.reduce((sum, entry) => sum + entry.current, 0) / history.length
+      : 0;
+
+    res.json({
+      seriesId,
+      currentGoal: withProgress(latest),
+      history,
+      summary: {
+        totalWindows: history.length,
+        completedWindows,
+        completionRate: history.length > 0
+          ? parseFloat(((completedWindows / history.length) * 100).toFixed(1))
+          : 0,
+        averageResult: parseFloat(averageResult.toFixed(1))
+      }
+    });
+  } catch (error) {
+    console.error('Goal history error:', error);
+    res.status(500).json({
+      message: 'Error fetching goal history',
+      code: 'GOAL_HISTORY_ERROR'
+    });
+  }
+});
+
+// Update goal
+router.put('/:id', goalValidation.update, handleValidationErrors, async (req, res) => {
+  try {
+    const goal = await Goal.findOne({ _id: req.params.id, userId: req.user.id });
+
+    if (!goal) {
+      return res.status(404).json({
+        message: 'Goal not found',
+        code: 'GOAL_NOT_FOUND'
+      });
+    }
+
+    allowedFields.forEach(field => {
+      if (req.body.hasOwnProperty(field)) goal[field] = req.body[field];
+    });
+
+    if (goal.endDate < goal.startDate) {
+      return res.status(400).json({
+        message: 'End date cannot be before start date',
+        code: 'INVALID_GOAL_DATES'
+      });
+    }
+
+    // Re-opening a goal clears its completion stamp
+    if (goal.status !== 'Completed') goal.completedAt = undefined;
+    else if (!goal.completedAt) goal.completedAt = new Date();
+
+    applyCompletion(goal);
+    await goal.save();
+    await refreshGoalProgress(goal);
+
+    res.json({
+      message: 'Goal updated successfully',
+      goal: withProgress(goal)
+    });
+  } catch (error) {
+    console.error('Goal update error:', error);
+    res.status(500).json({
+      message: 'Error updating goal',
+      code: 'GOAL_UPDATE_ERROR'
+    });
+  }
+});
+
+// Update progress of a manually tracked goal
+router.patch('/:id/progress', goalValidation.updateProgress, handleValidationErrors, async (req, res) => {
+  try {
+    const goal = await Goal.findOne({
+      _id: req.params.id,
+      userId: req.user.id,
+      isArchived: { $ne: true }
+    });
+
+    if (!goal) {
+      return res.status(404).json({
+        message: 'Goal not found',
+        code: 'GOAL_NOT_FOUND'
+      });
+    }
+
+    if (isAutoTracked(goal)) {
+      return res.status(409).json({
+        message: 'Progress for this goal is computed automatically',
+        code: 'GOAL_AUTO_TRACKED',
+        metric: goal.metric
+      });
+    }
+
+    const previous = goal.current;
+    if (req.body.current !== undefined) {
+      goal.current = Number(req.body.current);
+    } else if (req.body.increment !== undefined) {
+      goal.current = Math.max(0, goal.current + Number(req.body.increment));
+    } else {
+      goal.current += 1;
+    }
+
+    applyCompletion(goal);
+    await goal.save();
+    if (goal.current !== previous) await trackEvent(req.user.id, 'goal_updated');
+
+    res.json({
+      message: 'Goal progress updated successfully',
+      goal: withProgress(goal)
+    });
+  } catch (error) {
+    console.error('Goal progress error:', error);
+    res.status(500).json({
+      message: 'Error updating goal progress',
+      code: 'GOAL_PROGRESS_ERROR'
+    });
+  }
+});
+
+// Recompute progress of an auto-tracked goal
+router.post('/:id/refresh', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        message: 'Invalid goal ID format',
+        code: 'INVALID_GOAL_ID'
+      });
+    }
+
+    const goal = await Goal.findOne({ _id: req.params.id, userId: req.user.id });
+
+    if (!goal) {
+      return res.status(404).json({
+        message: 'Goal not found',
+        code: 'GOAL_NOT_FOUND'
+      });
+    }
+
+    await refreshGoalProgress(goal);
+
+    res.json({
+      message: 'Goal progress refreshed successfully',
+      goal: withProgress(goal)
+    });
+  } catch (error) {
+    console.error('Goal refresh error:', error);
+    res.status(500).json({
+      message: 'Error refreshing goal progress',
+      code: 'GOAL_REFRESH_ERROR'
+    });
+  }
+});
+
+// Delete goal (soft delete)
+router.delete('/:id', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        message: 'Invalid goal ID format',
+        code: 'INVALID_GOAL_ID'
+      });
+    }
+
+    const goal = await Goal.findOneAndUpdate(
+      { _id: req.params.id, userId: req.user.id },
+      { isArchived: true, archivedAt: new Date() },
+      { new: true }
+    );
+
+    if (!goal) {
+      return res.status(404).json({
+        message: 'Goal not found',
+        code: 'GOAL_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      message: 'Goal archived successfully',
+      code: 'GOAL_ARCHIVED'
+    });
+  } catch (error) {
+    console.error('Goal deletion error:', error);
+    res.status(500).json({
+      message: 'Error archiving goal',
+      code: 'GOAL_DELETE_ERROR'
+    });
+  }
+});
+
+// Restore archived goal
+router.patch('/:id/restore', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        message: 'Invalid goal ID format',
+        code: 'INVALID_GOAL_ID'
+      });
+    }
+
+    const goal = await Goal.findOneAndUpdate(
+      { _id: req.params.id, userId: req.user.id, isArchived: true },
+      { isArchived: false, $unset: { archivedAt: 1 }, updatedAt: new Date() },
+      { new: true }
+    );
+
+    if (!goal) {
+      return res.status(404).json({
+        message: 'Archived goal not found',
+        code: 'GOAL_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      message: 'Goal restored successfully',
+      goal: withProgress(goal)
+    });
+  } catch (error) {
+    console.error('Goal restore error:', error);
+    res.status(500).json({
+      message: 'Error restoring goal',
+      code: 'GOAL_RESTORE_ERROR'
+    });
+  }
+});
+
 module.exports = router;
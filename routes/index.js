@@ -12,6 +12,9 @@ const goalRoutes = require('./goals');
 const analyticsRoutes = require('./analytics');
 const dashboardRoutes = require('./dashboard');
 const searchRoutes = require('./search');
+const firmRoutes = require('./firms');
+const retentionRoutes = require('./retention');
+const archiveRoutes = require('./archive');
 
 // Health check endpoint
 router.get('/health', (req, res) => {
@@ -41,7 +44,10 @@ router.get('/', (req, res) => {
       goals: '/api/v1/goals',
       analytics: '/api/v1/analytics',
       dashboard: '/api/v1/dashboard',
-      search: '/api/v1/search'
+      search: '/api/v1/search',
+      firms: '/api/v1/firms',
+      retention: '/api/v1/retention',
+      archive: '/api/v1/archive'
     }
   });
 });
@@ -57,5 +63,8 @@ router.use('/goals', goalRoutes);
 router.use('/analytics', analyticsRoutes);
 router.use('/dashboard', dashboardRoutes);
 router.use('/search', searchRoutes);
+router.use('/firms', firmRoutes);
+router.use('/retention', retentionRoutes);
+router.use('/archive', archiveRoutes);
 
 module.exports = router;
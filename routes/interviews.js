@@ -2,9 +2,82 @@ const express = require('express');
 const { Interview, Contact } = require('../models');
 const { authenticateToken } = require('../middleware/auth');
 const { interviewValidation, paginationValidation, handleValidationErrors } = require('../utils/validators');
+const { trackEvent } = require('../utils/analytics');
+const { stageTransitions, initialStages } = require('../config/interviewStages');
+const {
+  validateStageTransition,
+  recordStageChange,
+  advanceStageForRound,
+  buildStageTimeline,
+  computeFirmConversion
+} = require('../utils/interviewPipeline');
+const { ACTIVE_OFFER_STATUSES, calculateOfferTotals, compareOffers } = require('../utils/offers');
+const { findMissingContacts, dedupeLinks, syncReferralLink } = require('../utils/interviewContacts');
+const { resolveFirm } = require('../utils/firms');
 
 const router = express.Router();
 
+// Fields managed by the server that clients may not overwrite directly
+const protectedFields = [
+  '_id', 'userId', 'stageHistory', 'offer', 'createdAt', 'updatedAt', 'overrideStageRules'
+];
+
+const stripProtected = (body) => {
+  const data = { ...body };
+  protectedFields.forEach(field => delete data[field]);
+  return data;
+};
+
+const isOverride = (body) => body.overrideStageRules === true || body.overrideStageRules === 'true';
+
+// Responds with 422 and returns false when the move isn't in the transition graph
+const checkStageTransition = (res, fromStage, toStage, override) => {
+  const { allowed, allowedNextStages } = validateStageTransition(fromStage, toStage);
+  if (allowed || override) return true;
+
+  res.status(422).json({
+    message: fromStage
+      ? `Cannot move interview from "${fromStage}" to "${toStage}"`
+      : `Interviews cannot start in "${toStage}"`,
+    code: 'INVALID_STAGE_TRANSITION',
+    from: fromStage || null,
+    to: toStage,
+    allowedNextStages,
+    hint: 'Set overrideStageRules to true to record a correction'
+  });
+  return false;
+};
+
+// Referral plus every linked contact with their role
+const populateContacts = (query) => query
+  .populate('referralContactId', 'name firm position')
+  .populate('contacts.contactId', 'name firm position email');
+
+// Responds with 400 and returns null when a referenced contact isn't the user's;
+// otherwise returns the cleaned contact links (undefined if none were sent)
+const resolveContactLinks = async (res, userId, body) => {
+  const links = Array.isArray(body.contacts)
+    ? dedupeLinks(body.contacts.map(link => ({
+      contactId: String(link.contactId),
+      role: link.role,
+      notes: link.notes
+    })))
+    : undefined;
+  const ids = (links || []).map(link => link.contactId);
+  if (body.referralContactId) ids.push(String(body.referralContactId));
+
+  const missing = await findMissingContacts(userId, ids);
+  if (missing.length > 0) {
+    res.status(400).json({
+      message: 'One or more linked contacts were not found',
+      code: 'CONTACT_NOT_FOUND',
+      contactIds: missing
+    });
+    return null;
+  }
+  return links;
+};
+
 // Apply authentication to all routes
 router.use(authenticateToken);
 
@@ -75,12 +148,20 @@ router.get('/', paginationValidation, handleValidationErrors, async (req, res) =
 // Create new interview
 router.post('/', interviewValidation.create, handleValidationErrors, async (req, res) => {
   try {
-    const interviewData = { ...req.body, userId: req.user.id };
-    const interview = new Interview(interviewData);
+    const { stage, stageDate, contacts, ...interviewData } = stripProtected(req.body);
+    const override = isOverride(req.body);
+    if (!checkStageTransition(res, null, stage, override)) return;
+    
+    const links = await resolveContactLinks(res, req.user.id, req.body);
+    if (links === null) return;
+    
+    Object.assign(interviewData, await resolveFirm(req.user.id, interviewData.firm));
+    const interview = new Interview({ ...interviewData, contacts: links || [], userId: req.user.id });
+    syncReferralLink(interview);
+    recordStageChange(interview, stage, { date: stageDate, userId: req.user.id, override });
     await interview.save();
     
-    const populatedInterview = await Interview.findById(interview._id)
-      .populate('referralContactId', 'name firm position');
+    const populatedInterview = await populateContacts(Interview.findById(interview._id));
     
     res.status(201).json({ 
       message: 'Interview created successfully', 
@@ -95,13 +176,82 @@ router.post('/', interviewValidation.create, handleValidationErrors, async (req,
   }
 });
 
+// Get the configured stage transition graph
+router.get('/stages/transitions', (req, res) => {
+  res.json({
+    initialStages,
+    transitions: stageTransitions
+  });
+});
+
+// Compare all active offers side by side
+router.get('/offers/compare', async (req, res) => {
+  try {
+    const interviews = await Interview.find({
+      userId: req.user.id,
+      stage: 'Offer Received',
+      isArchived: { $ne: true },
+      $or: [
+        { 'offer.status': { $in: ACTIVE_OFFER_STATUSES } },
+        { 'offer.status': { $exists: false } }
+      ]
+    })
+      .select('firm position group office nextSteps nextStepsDate offer')
+      .lean();
+    
+    const offers = compareOffers(interviews.map(interview => ({
+      ...interview,
+      offer: interview.offer || {}
+    })));
+    
+    res.json({
+      offers,
+      summary: {
+        totalOffers: offers.length,
+        negotiating: offers.filter(row => row.offer.status === 'Negotiating').length,
+        expiringWithinWeek: offers.filter(row => row.deadlineInDays !== null && row.deadlineInDays >= 0 && row.deadlineInDays <= 7).length,
+        missingDetails: offers.filter(row => !row.offer.baseSalary).length
+      }
+    });
+  } catch (error) {
+    console.error('Offer comparison error:', error);
+    res.status(500).json({ 
+      message: 'Error comparing offers',
+      code: 'OFFER_COMPARE_ERROR'
+    });
+  }
+});
+
+// Conversion funnel and time-in-stage per firm, built from stage history
+router.get('/stats/conversion', async (req, res) => {
+  try {
+    const query = { userId: req.user.id, isArchived: { $ne: true } };
+    if (req.query.firm) query.firm = { $regex: req.query.firm, $options: 'i' };
+
+    const interviews = await Interview.find(query)
+      .select('firm stage stageDate stageHistory createdAt userId')
+      .lean();
+
+    res.json({
+      firms: computeFirmConversion(interviews),
+      overall: computeFirmConversion(interviews.map(interview => ({ ...interview, firm: 'All' })))[0] || null
+    });
+  } catch (error) {
+    console.error('Interview conversion error:', error);
+    res.status(500).json({ 
+      message: 'Error computing interview conversion',
+      code: 'INTERVIEW_CONVERSION_ERROR'
+    });
+  }
+});
+
 // Get single interview
 router.get('/:id', async (req, res) => {
   try {
-    const interview = await Interview.findOne({ 
+    const interview = await populateContacts(Interview.findOne({ 
       _id: req.params.id, 
       userId: req.user.id 
-    }).populate('referralContactId', 'name firm position');
+    }));
     
     if (!interview) {
       return res.status(404).json({ 
@@ -123,11 +273,7 @@ router.get('/:id', async (req, res) => {
 // Update interview
 router.put('/:id', interviewValidation.update, handleValidationErrors, async (req, res) => {
   try {
-    const interview = await Interview.findOneAndUpdate(
-      { _id: req.params.id, userId: req.user.id },
-      { ...req.body, updatedAt: new Date() },
-      { new: true }
-    ).populate('referralContactId', 'name firm position');
+    const interview = await Interview.findOne({ _id: req.params.id, userId: req.user.id });
     
     if (!interview) {
       return res.status(404).json({ 
@@ -136,9 +282,50 @@ router.put('/:id', interviewValidation.update, handleValidationErrors, async (re
       });
     }
     
+    const { stage, stageDate, contacts, ...updateData } = stripProtected(req.body);
+    const override = isOverride(req.body);
+    const stageChanged = stage !== undefined && stage !== interview.stage;
+    if (stageChanged && !checkStageTransition(res, interview.stage, stage, override)) return;
+    
+    const links = await resolveContactLinks(res, req.user.id, req.body);
+    if (links === null) return;
+    
+    if (updateData.firm !== undefined) {
+      Object.assign(updateData, await resolveFirm(req.user.id, updateData.firm));
+    }
+    
+    const previousReferral = interview.referralContactId;
+    if (updateData.referralContactId === '') updateData.referralContactId = null;
+    interview.set(updateData);
+    
+    if (links !== undefined) {
+      interview.contacts = links;
+    } else if (previousReferral && String(previousReferral) !== String(interview.referralContactId)) {
+      // The old referrer's link goes with the replaced referral
+      interview.contacts = interview.contacts.filter(link =>
+        !(link.role === 'Referrer' && String(link.contactId) === String(previousReferral))
+      );
+    }
+    syncReferralLink(interview);
+    
+    // Stage changes are appended to the history; a bare stageDate edit
+    // only corrects the date of the current stage
+    if (stageChanged) {
+      recordStageChange(interview, stage, { date: stageDate, userId: req.user.id, override });
+    } else if (stageDate !== undefined) {
+      interview.stageDate = stageDate;
+      const current = interview.stageHistory[interview.stageHistory.length - 1];
+      if (current && current.to === interview.stage && stageDate) current.date = stageDate;
+    }
+    
+    interview.updatedAt = new Date();
+    await interview.save();
+    
+    const populatedInterview = await populateContacts(Interview.findById(interview._id));
+    
     res.json({ 
       message: 'Interview updated successfully', 
-      interview 
+      interview: populatedInterview 
     });
   } catch (error) {
     console.error('Interview update error:', error);
@@ -149,6 +336,228 @@ router.put('/:id', interviewValidation.update, handleValidationErrors, async (re
   }
 });
 
+// Get stage timeline with time spent in each stage
+router.get('/:id/timeline', interviewValidation.timeline, handleValidationErrors, async (req, res) => {
+  try {
+    const interview = await Interview.findOne({ 
+      _id: req.params.id, 
+      userId: req.user.id 
+    }).populate('stageHistory.changedBy', 'email profile.firstName profile.lastName');
+    
+    if (!interview) {
+      return res.status(404).json({ 
+        message: 'Interview not found',
+        code: 'INTERVIEW_NOT_FOUND'
+      });
+    }
+    
+    const stages = buildStageTimeline(interview);
+    const rounds = [...interview.rounds]
+      .sort((a, b) => a.date.localeCompare(b.date))
+      .map(round => ({
+        id: round._id,
+        stage: round.stage,
+        date: round.date,
+        time: round.time,
+        outcome: round.outcome,
+        format: round.format
+      }));
+    
+    const firstDate = stages.length > 0 ? stages[0].date : null;
+    const totalDays = stages.reduce((sum, entry) => sum + (entry.daysInStage || 0), 0);
+    
+    res.json({
+      interview: {
+        id: interview._id,
+        firm: interview.firm,
+        position: interview.position,
+        stage: interview.stage,
+        stageDate: interview.stageDate
+      },
+      stages,
+      rounds,
+      summary: {
+        startedOn: firstDate,
+        totalDaysInPipeline: totalDays,
+        transitions: interview.stageHistory.length
+      }
+    });
+  } catch (error) {
+    console.error('Interview timeline error:', error);
+    res.status(500).json({ 
+      message: 'Error fetching interview timeline',
+      code: 'INTERVIEW_TIMELINE_ERROR'
+    });
+  }
+});
+
+// Record or update offer details
+router.put('/:id/offer', interviewValidation.offer, handleValidationErrors, async (req, res) => {
+  try {
+    const interview = await Interview.findOne({ 
+      _id: req.params.id, 
+      userId: req.user.id 
+    });
+    
+    if (!interview) {
+      return res.status(404).json({ 
+        message: 'Interview not found',
+        code: 'INTERVIEW_NOT_FOUND'
+      });
+    }
+    
+    if (interview.stage !== 'Offer Received') {
+      return res.status(409).json({ 
+        message: 'Offer details can only be recorded once the interview reaches "Offer Received"',
+        code: 'OFFER_STAGE_REQUIRED',
+        stage: interview.stage
+      });
+    }
+    
+    const allowedFields = [
+      'baseSalary', 'bonus', 'signingBonus', 'currency', 'startDate', 'deadline',
+      'location', 'receivedDate', 'status', 'notes'
+    ];
+    const offer = interview.offer && interview.offer.toObject ? interview.offer.toObject() : {};
+    allowedFields.forEach(field => {
+      if (req.body.hasOwnProperty(field)) {
+        offer[field] = typeof req.body[field] === 'string' ? req.body[field].trim() : req.body[field];
+      }
+    });
+    if (!offer.receivedDate) offer.receivedDate = interview.stageDate;
+    offer.updatedAt = new Date();
+    interview.offer = offer;
+    
+    // Open offers drive the "Negotiate Offer" next step; a decision clears it
+    const status = interview.offer.status;
+    if (status === 'Pending' || status === 'Negotiating') {
+      interview.nextSteps = 'Negotiate Offer';
+      if (interview.offer.deadline) interview.nextStepsDate = interview.offer.deadline;
+    } else if (interview.nextSteps === 'Negotiate Offer') {
+      interview.nextSteps = '';
+      interview.nextStepsDate = null;
+    }
+    
+    interview.updatedAt = new Date();
+    await interview.save();
+    
+    res.json({ 
+      message: 'Offer updated successfully', 
+      offer: interview.offer,
+      totals: calculateOfferTotals(interview.offer),
+      nextSteps: interview.nextSteps,
+      nextStepsDate: interview.nextStepsDate
+    });
+  } catch (error) {
+    console.error('Offer update error:', error);
+    res.status(500).json({ 
+      message: 'Error updating offer',
+      code: 'OFFER_UPDATE_ERROR'
+    });
+  }
+});
+
+// Link a contact to the interview with a role
+router.post('/:id/contacts', interviewValidation.addContact, handleValidationErrors, async (req, res) => {
+  try {
+    const interview = await Interview.findOne({ 
+      _id: req.params.id, 
+      userId: req.user.id 
+    });
+    
+    if (!interview) {
+      return res.status(404).json({ 
+        message: 'Interview not found',
+        code: 'INTERVIEW_NOT_FOUND'
+      });
+    }
+    
+    const { contactId, role, notes } = req.body;
+    const contact = await Contact.findOne({ _id: contactId, userId: req.user.id }).select('_id');
+    if (!contact) {
+      return res.status(404).json({ 
+        message: 'Contact not found',
+        code: 'CONTACT_NOT_FOUND'
+      });
+    }
+    
+    const existing = interview.contacts.find(link =>
+      String(link.contactId) === String(contactId) && link.role === role
+    );
+    if (existing) {
+      return res.status(409).json({ 
+        message: `Contact is already linked as ${role}`,
+        code: 'CONTACT_ALREADY_LINKED',
+        linkId: existing._id
+      });
+    }
+    
+    interview.contacts.push({ contactId, role, notes, addedAt: new Date() });
+    // A referrer added here becomes the referral if none is set yet
+    if (role === 'Referrer' && !interview.referralContactId) {
+      interview.referralContactId = contactId;
+    }
+    interview.updatedAt = new Date();
+    await interview.save();
+    
+    const populatedInterview = await populateContacts(Interview.findById(interview._id));
+    
+    res.status(201).json({ 
+      message: 'Contact linked successfully', 
+      contacts: populatedInterview.contacts
+    });
+  } catch (error) {
+    console.error('Interview contact link error:', error);
+    res.status(500).json({ 
+      message: 'Error linking contact',
+      code: 'INTERVIEW_CONTACT_LINK_ERROR'
+    });
+  }
+});
+
+// Remove a contact link
+router.delete('/:id/contacts/:linkId', interviewValidation.removeContact, handleValidationErrors, async (req, res) => {
+  try {
+    const interview = await Interview.findOne({ 
+      _id: req.params.id, 
+      userId: req.user.id 
+    });
+    
+    if (!interview) {
+      return res.status(404).json({ 
+        message: 'Interview not found',
+        code: 'INTERVIEW_NOT_FOUND'
+      });
+    }
+    
+    const link = interview.contacts.id(req.params.linkId);
+    if (!link) {
+      return res.status(404).json({ 
+        message: 'Contact link not found',
+        code: 'CONTACT_LINK_NOT_FOUND'
+      });
+    }
+    
+    if (link.role === 'Referrer' && String(link.contactId) === String(interview.referralContactId)) {
+      interview.referralContactId = null;
+    }
+    interview.contacts.pull(link._id);
+    interview.updatedAt = new Date();
+    await interview.save();
+    
+    res.json({ 
+      message: 'Contact link removed successfully',
+      code: 'CONTACT_LINK_REMOVED'
+    });
+  } catch (error) {
+    console.error('Interview contact unlink error:', error);
+    res.status(500).json({ 
+      message: 'Error removing contact link',
+      code: 'INTERVIEW_CONTACT_UNLINK_ERROR'
+    });
+  }
+});
+
 // Delete interview
 router.delete('/:id', async (req, res) => {
   try {
@@ -178,6 +587,35 @@ router.delete('/:id', async (req, res) => {
   }
 });
 
+// Restore archived interview
+router.patch('/:id/restore', interviewValidation.restore, handleValidationErrors, async (req, res) => {
+  try {
+    const interview = await Interview.findOneAndUpdate(
+      { _id: req.params.id, userId: req.user.id, isArchived: true },
+      { isArchived: false, $unset: { archivedAt: 1 }, updatedAt: new Date() },
+      { new: true }
+    );
+    
+    if (!interview) {
+      return res.status(404).json({ 
+        message: 'Archived interview not found',
+        code: 'INTERVIEW_NOT_FOUND'
+      });
+    }
+    
+    res.json({ 
+      message: 'Interview restored successfully',
+      interview
+    });
+  } catch (error) {
+    console.error('Interview restore error:', error);
+    res.status(500).json({ 
+      message: 'Error restoring interview',
+      code: 'INTERVIEW_RESTORE_ERROR'
+    });
+  }
+});
+
 // Add interview round
 router.post('/:id/rounds', interviewValidation.addRound, handleValidationErrors, async (req, res) => {
   try {
@@ -199,12 +637,17 @@ router.post('/:id/rounds', interviewValidation.addRound, handleValidationErrors,
     };
     
     interview.rounds.push(round);
+    const addedRound = interview.rounds[interview.rounds.length - 1];
+    const stageAdvanced = advanceStageForRound(interview, addedRound, { userId: req.user.id });
     interview.updatedAt = new Date();
     await interview.save();
+    await trackEvent(req.user.id, 'interview_scheduled');
     
     res.status(201).json({ 
       message: 'Interview round added successfully', 
-      round: interview.rounds[interview.rounds.length - 1] 
+      round: addedRound,
+      stage: interview.stage,
+      stageAdvanced
     });
   } catch (error) {
     console.error('Interview round creation error:', error);
@@ -215,4 +658,105 @@ router.post('/:id/rounds', interviewValidation.addRound, handleValidationErrors,
   }
 });
 
+// Update interview round
+router.put('/:id/rounds/:roundId', interviewValidation.updateRound, handleValidationErrors, async (req, res) => {
+  try {
+    const interview = await Interview.findOne({ 
+      _id: req.params.id, 
+      userId: req.user.id 
+    });
+    
+    if (!interview) {
+      return res.status(404).json({ 
+        message: 'Interview not found',
+        code: 'INTERVIEW_NOT_FOUND'
+      });
+    }
+    
+    const round = interview.rounds.id(req.params.roundId);
+    if (!round) {
+      return res.status(404).json({ 
+        message: 'Interview round not found',
+        code: 'ROUND_NOT_FOUND'
+      });
+    }
+    
+    const previousOutcome = round.outcome;
+    const allowedFields = [
+      'stage', 'date', 'time', 'duration', 'interviewer', 'format', 'outcome', 'notes', 'rating'
+    ];
+    allowedFields.forEach(field => {
+      if (req.body.hasOwnProperty(field)) {
+        if (typeof req.body[field] === 'string') {
+          round[field] = req.body[field].trim();
+        } else {
+          round[field] = req.body[field];
+        }
+      }
+    });
+    
+    let stageAdvanced = false;
+    if (round.outcome === 'Passed' && previousOutcome !== 'Passed') {
+      stageAdvanced = advanceStageForRound(interview, round, { userId: req.user.id });
+    }
+    
+    interview.updatedAt = new Date();
+    await interview.save();
+    
+    res.json({ 
+      message: 'Interview round updated successfully', 
+      round,
+      stage: interview.stage,
+      stageAdvanced
+    });
+  } catch (error) {
+    console.error('Interview round update error:', error);
+    res.status(500).json({ 
+      message: 'Error updating interview round',
+      code: 'ROUND_UPDATE_ERROR'
+    });
+  }
+});
+
+// Delete interview round
+router.delete('/:id/rounds/:roundId', interviewValidation.deleteRound, handleValidationErrors, async (req, res) => {
+  try {
+    const interview = await Interview.findOne({ 
+      _id: req.params.id, 
+      userId: req.user.id 
+    });
+    
+    if (!interview) {
+      return res.status(404).json({ 
+        message: 'Interview not found',
+        code: 'INTERVIEW_NOT_FOUND'
+      });
+    }
+    
+    const round = interview.rounds.id(req.params.roundId);
+    if (!round) {
+      return res.status(404).json({ 
+        message: 'Interview round not found',
+        code: 'ROUND_NOT_FOUND'
+      });
+    }
+    
+    // Stage changes already made from this round stay in the history
+    interview.rounds.pull(round._id);
+    interview.updatedAt = new Date();
+    await interview.save();
+    
+    res.json({ 
+      message: 'Interview round deleted successfully',
+      code: 'ROUND_DELETED'
+    });
+  } catch (error) {
+    console.error('Interview round deletion error:', error);
+    res.status(500).json({ 
+      message: 'Error deleting interview round',
+      code: 'ROUND_DELETE_ERROR'
+    });
+  }
+});
+
 module.exports = router;
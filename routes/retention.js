@@ -0,0 +1,67 @@
+// routes/retention.js
+const express = require('express');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { retentionValidation, handleValidationErrors } = require('../utils/validators');
+const { getRetentionDays, purgeExpiredArchives, listTrash } = require('../utils/dataRetention');
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(authenticateToken);
+
+// Archived records with the number of days until each is purged
+router.get('/trash', retentionValidation.trash, handleValidationErrors, async (req, res) => {
+  try {
+    const { type, limit = 50 } = req.query;
+    const trash = await listTrash(req.user, { type, limit: Number(limit) });
+
+    res.json(trash);
+  } catch (error) {
+    console.error('Trash fetch error:', error);
+    res.status(500).json({
+      message: 'Error fetching archived records',
+      code: 'TRASH_FETCH_ERROR'
+    });
+  }
+});
+
+// Dry run of the retention job for the current user: what would be purged now
+router.get('/report', async (req, res) => {
+  try {
+    const [report, trash] = await Promise.all([
+      purgeExpiredArchives({ userId: req.user._id, dryRun: true }),
+      listTrash(req.user, { limit: 100 })
+    ]);
+
+    res.json({
+      retentionDays: getRetentionDays(req.user),
+      globalRetentionDays: report.globalRetentionDays,
+      counts: report.counts,
+      total: report.total,
+      dueItems: trash.items.filter(item => item.daysUntilPurge === 0)
+    });
+  } catch (error) {
+    console.error('Retention report error:', error);
+    res.status(500).json({
+      message: 'Error building retention report',
+      code: 'RETENTION_REPORT_ERROR'
+    });
+  }
+});
+
+// Dry run of the retention job across all users (admin only)
+router.get('/report/all', requireAdmin, async (req, res) => {
+  try {
+    const report = await purgeExpiredArchives({ dryRun: true });
+
+    res.json({ report });
+  } catch (error) {
+    console.error('Retention report error:', error);
+    res.status(500).json({
+      message: 'Error building retention report',
+      code: 'RETENTION_REPORT_ERROR'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,41 +1,377 @@
 // routes/tasks.js
 const express = require('express');
+const mongoose = require('mongoose');
+const {
+  Task,
+  Contact,
+  Interview,
+  Document
+} = require('../models');
 const { authenticateToken } = require('../middleware/auth');
+const { taskValidation, paginationValidation, handleValidationErrors } = require('../utils/validators');
+const { trackEvent } = require('../utils/analytics');
 
 const router = express.Router();
 
 // Apply authentication to all routes
 router.use(authenticateToken);
 
-// Placeholder for tasks functionality
-router.get('/', async (req, res) => {
+// Fields a client is allowed to set on create/update
+const allowedFields = [
+  'title', 'description', 'type', 'status', 'priority', 'dueDate', 'dueTime',
+  'estimatedDuration', 'actualDuration', 'completedAt', 'relatedContact',
+  'relatedInterview', 'relatedDocument', 'tags', 'notes'
+];
+
+const relatedModels = {
+  relatedContact: Contact,
+  relatedInterview: Interview,
+  relatedDocument: Document
+};
+
+// First related record in the payload that doesn't belong to the user, if any
+const findForeignRelated = async (userId, data) => {
+  for (const [field, Model] of Object.entries(relatedModels)) {
+    if (data[field] && !(await Model.exists({ _id: data[field], userId }))) return field;
+  }
+  return null;
+};
+
+const relatedNotFound = (res, field) => res.status(404).json({
+  message: `Related record not found: ${field}`,
+  code: 'RELATED_RECORD_NOT_FOUND',
+  field
+});
+
+const populateRelated = (query) => query
+  .populate('relatedContact', 'name firm position')
+  .populate('relatedInterview', 'firm position stage')
+  .populate('relatedDocument', 'name type');
+
+// Keep completedAt/startedAt consistent with the status being written
+const applyStatusTimestamps = (task, previousStatus) => {
+  if (task.status === previousStatus) return;
+
+  if (task.status === 'In Progress' && !task.startedAt) {
+    task.startedAt = new Date();
+  }
+
+  if (task.status === 'Completed') {
+    if (!task.completedAt) task.completedAt = new Date();
+    if (!task.actualDuration && task.startedAt) {
+      const minutes = Math.round((task.completedAt - task.startedAt) / (1000 * 60));
+      task.actualDuration = Math.min(Math.max(minutes, 1), 600);
+    }
+  } else if (previousStatus === 'Completed') {
+    task.completedAt = undefined;
+  }
+};
+
+// Record analytics when a save moved the task into Completed
+const trackCompletion = async (task, previousStatus) => {
+  if (task.status !== 'Completed' || previousStatus === 'Completed') return;
+
+  const date = task.completedAt ? task.completedAt.toISOString() : undefined;
+  await trackEvent(task.userId, 'task_completed', { date });
+  if (task.type === 'Follow-up') {
+    await trackEvent(task.userId, 'follow_up_completed', { date });
+  }
+};
+
+// Get all tasks with filtering and pagination
+router.get('/', paginationValidation, handleValidationErrors, async (req, res) => {
   try {
+    const {
+      page = 1,
+      limit = 50,
+      search,
+      status,
+      priority,
+      type,
+      dueFrom,
+      dueTo,
+      relatedContact,
+      relatedInterview,
+      tags,
+      sortBy = 'dueDate',
+      sortOrder = 'asc'
+    } = req.query;
+
+    const query = { userId: req.user.id, isArchived: { $ne: true } };
+
+    if (search) {
+      const searchRegex = { $regex: search, $options: 'i' };
+      query.$or = [
+        { title: searchRegex },
+        { description: searchRegex },
+        { notes: searchRegex }
+      ];
+    }
+
+    if (status) query.status = Array.isArray(status) ? { $in: status } : status;
+    if (priority) query.priority = priority;
+    if (type) query.type = type;
+    if (dueFrom || dueTo) {
+      query.dueDate = {};
+      if (dueFrom) query.dueDate.$gte = dueFrom;
+      if (dueTo) query.dueDate.$lte = dueTo;
+    }
+    if (relatedContact && mongoose.Types.ObjectId.isValid(relatedContact)) {
+      query.relatedContact = relatedContact;
+    }
+    if (relatedInterview && mongoose.Types.ObjectId.isValid(relatedInterview)) {
+      query.relatedInterview = relatedInterview;
+    }
+    if (tags) {
+      const tagArray = Array.isArray(tags) ? tags : [tags];
+      query.tags = { $in: tagArray };
+    }
+
+    const sort = {};
+    sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
+
+    const tasks = await populateRelated(Task.find(query))
+      .sort(sort)
+      .limit(Number(limit))
+      .skip((Number(page) - 1) * Number(limit));
+
+    const total = await Task.countDocuments(query);
+
     res.json({
-      message: 'Tasks feature coming soon',
-      tasks: []
+      tasks,
+      pagination: {
+        currentPage: Number(page),
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        itemsPerPage: Number(limit),
+        hasNextPage: page < Math.ceil(total / limit),
+        hasPrevPage: page > 1
+      }
     });
   } catch (error) {
-    console.error('Tasks error:', error);
-    res.status(500).json({ 
+    console.error('Tasks fetch error:', error);
+    res.status(500).json({
       message: 'Error fetching tasks',
-      code: 'TASKS_ERROR'
+      code: 'TASKS_FETCH_ERROR'
     });
   }
 });
 
-router.post('/', async (req, res) => {
+// Create new task
+router.post('/', taskValidation.create, handleValidationErrors, async (req, res) => {
   try {
-    res.status(501).json({
-      message: 'Tasks creation feature coming soon',
-      code: 'FEATURE_NOT_IMPLEMENTED'
+    const taskData = { userId: req.user.id };
+    allowedFields.forEach(field => {
+      if (req.body.hasOwnProperty(field)) taskData[field] = req.body[field];
+    });
+
+    const foreignField = await findForeignRelated(req.user.id, taskData);
+    if (foreignField) return relatedNotFound(res, foreignField);
+
+    const task = new Task(taskData);
+    applyStatusTimestamps(task, 'Pending');
+    await task.save();
+    await trackCompletion(task, 'Pending');
+
+    const populatedTask = await populateRelated(Task.findById(task._id));
+
+    res.status(201).json({
+      message: 'Task created successfully',
+      task: populatedTask
     });
   } catch (error) {
     console.error('Task creation error:', error);
-    res.status(500).json({ 
+    res.status(500).json({
       message: 'Error creating task',
       code: 'TASK_CREATE_ERROR'
     });
   }
 });
 
+// Get single task
+router.get('/:id', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        message: 'Invalid task ID format',
+        code: 'INVALID_TASK_ID'
+      });
+    }
+
+    const task = await populateRelated(Task.findOne({
+      _id: req.params.id,
+      userId: req.user.id
+    }));
+
+    if (!task) {
+      return res.status(404).json({
+        message: 'Task not found',
+        code: 'TASK_NOT_FOUND'
+      });
+    }
+
+    res.json({ task });
+  } catch (error) {
+    console.error('Task fetch error:', error);
+    res.status(500).json({
+      message: 'Error fetching task',
+      code: 'TASK_FETCH_ERROR'
+    });
+  }
+});
+
+// Update task
+router.put('/:id', taskValidation.update, handleValidationErrors, async (req, res) => {
+  try {
+    const task = await Task.findOne({ _id: req.params.id, userId: req.user.id });
+
+    if (!task) {
+      return res.status(404).json({
+        message: 'Task not found',
+        code: 'TASK_NOT_FOUND'
+      });
+    }
+
+    const foreignField = await findForeignRelated(req.user.id, req.body);
+    if (foreignField) return relatedNotFound(res, foreignField);
+
+    const previousStatus = task.status;
+    allowedFields.forEach(field => {
+      if (req.body.hasOwnProperty(field)) task[field] = req.body[field];
+    });
+    applyStatusTimestamps(task, previousStatus);
+    await task.save();
+    await trackCompletion(task, previousStatus);
+
+    const populatedTask = await populateRelated(Task.findById(task._id));
+
+    res.json({
+      message: 'Task updated successfully',
+      task: populatedTask
+    });
+  } catch (error) {
+    console.error('Task update error:', error);
+    res.status(500).json({
+      message: 'Error updating task',
+      code: 'TASK_UPDATE_ERROR'
+    });
+  }
+});
+
+// Mark task as completed
+router.patch('/:id/complete', taskValidation.complete, handleValidationErrors, async (req, res) => {
+  try {
+    const task = await Task.findOne({
+      _id: req.params.id,
+      userId: req.user.id,
+      isArchived: { $ne: true }
+    });
+
+    if (!task) {
+      return res.status(404).json({
+        message: 'Task not found',
+        code: 'TASK_NOT_FOUND'
+      });
+    }
+
+    if (task.status === 'Completed') {
+      return res.status(409).json({
+        message: 'Task is already completed',
+        code: 'TASK_ALREADY_COMPLETED'
+      });
+    }
+
+    const previousStatus = task.status;
+    task.status = 'Completed';
+    task.completedAt = req.body.completedAt ? new Date(req.body.completedAt) : new Date();
+    if (req.body.actualDuration) task.actualDuration = Number(req.body.actualDuration);
+    applyStatusTimestamps(task, previousStatus);
+    await task.save();
+    await trackCompletion(task, previousStatus);
+
+    res.json({
+      message: 'Task completed successfully',
+      task
+    });
+  } catch (error) {
+    console.error('Task completion error:', error);
+    res.status(500).json({
+      message: 'Error completing task',
+      code: 'TASK_COMPLETE_ERROR'
+    });
+  }
+});
+
+// Delete task (soft delete)
+router.delete('/:id', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        message: 'Invalid task ID format',
+        code: 'INVALID_TASK_ID'
+      });
+    }
+
+    const task = await Task.findOneAndUpdate(
+      { _id: req.params.id, userId: req.user.id },
+      { isArchived: true, archivedAt: new Date() },
+      { new: true }
+    );
+
+    if (!task) {
+      return res.status(404).json({
+        message: 'Task not found',
+        code: 'TASK_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      message: 'Task archived successfully',
+      code: 'TASK_ARCHIVED'
+    });
+  } catch (error) {
+    console.error('Task deletion error:', error);
+    res.status(500).json({
+      message: 'Error archiving task',
+      code: 'TASK_DELETE_ERROR'
+    });
+  }
+});
+
+// Restore archived task
+router.patch('/:id/restore', async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        message: 'Invalid task ID format',
+        code: 'INVALID_TASK_ID'
+      });
+    }
+
+    const task = await Task.findOneAndUpdate(
+      { _id: req.params.id, userId: req.user.id, isArchived: true },
+      { isArchived: false, $unset: { archivedAt: 1 }, updatedAt: new Date() },
+      { new: true }
+    );
+
+    if (!task) {
+      return res.status(404).json({
+        message: 'Archived task not found',
+        code: 'TASK_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      message: 'Task restored successfully',
+      task
+    });
+  } catch (error) {
+    console.error('Task restore error:', error);
+    res.status(500).json({
+      message: 'Error restoring task',
+      code: 'TASK_RESTORE_ERROR'
+    });
+  }
+});
+
 module.exports = router;
@@ -1,9 +1,19 @@
 // routes/users.js
 const express = require('express');
+const fs = require('fs');
 const bcrypt = require('bcrypt');
-const { User } = require('../models');
+const { User, DataExport } = require('../models');
 const { authenticateToken } = require('../middleware/auth');
 const { userValidation, handleValidationErrors } = require('../utils/validators');
+const { getCadence, getUpcomingWindow } = require('../utils/followUpCadence');
+const { getStatusRules } = require('../utils/networkingStatus');
+const {
+  EXPORT_TTL_HOURS,
+  isEnabled: isDataExportEnabled,
+  buildDataExport,
+  failStaleExports
+} = require('../utils/dataExport');
+const { getGraceDays, requestAccountDeletion } = require('../utils/accountDeletion');
 
 const router = express.Router();
 
@@ -53,4 +63,238 @@ router.put('/profile', userValidation.updateProfile, handleValidationErrors, asy
   }
 });
 
+// Get follow-up cadence (defaults merged with the user's overrides)
+router.get('/follow-up-cadence', (req, res) => {
+  res.json({
+    cadence: getCadence(req.user),
+    upcomingWindowDays: getUpcomingWindow(req.user)
+  });
+});
+
+// Update follow-up intervals per networking status; null restores the default
+router.put('/follow-up-cadence', userValidation.followUpCadence, handleValidationErrors, async (req, res) => {
+  try {
+    const { intervals, upcomingWindowDays } = req.body;
+    
+    const user = await User.findById(req.user.id);
+    if (intervals) {
+      const overrides = new Map(user.preferences.followUpCadence || []);
+      Object.entries(intervals).forEach(([status, days]) => {
+        if (days === null) overrides.delete(status);
+        else overrides.set(status, days);
+      });
+      user.set('preferences.followUpCadence', overrides);
+    }
+    if (upcomingWindowDays !== undefined) {
+      user.set('preferences.followUpWindowDays', upcomingWindowDays || undefined);
+    }
+    
+    await user.save();
+    
+    res.json({ 
+      message: 'Follow-up cadence updated successfully',
+      cadence: getCadence(user),
+      upcomingWindowDays: getUpcomingWindow(user)
+    });
+  } catch (error) {
+    console.error('Follow-up cadence update error:', error);
+    res.status(500).json({ 
+      message: 'Error updating follow-up cadence',
+      code: 'FOLLOW_UP_CADENCE_UPDATE_ERROR'
+    });
+  }
+});
+
+// Get the rules that move networkingStatus when interactions are logged
+router.get('/status-rules', (req, res) => {
+  const preferences = req.user.preferences || {};
+  res.json({
+    rules: getStatusRules(req.user),
+    customized: (preferences.statusRules || []).length > 0,
+    autoAdvanceStatus: preferences.autoAdvanceStatus !== false
+  });
+});
+
+// Replace the status rules; null or an empty list restores the defaults
+router.put('/status-rules', userValidation.statusRules, handleValidationErrors, async (req, res) => {
+  try {
+    const { rules, autoAdvanceStatus } = req.body;
+
+    const user = await User.findById(req.user.id);
+    if (rules !== undefined) {
+      user.set('preferences.statusRules', (rules || []).map(({ from, types, when, to }) => ({ from, types, when, to })));
+    }
+    if (autoAdvanceStatus !== undefined) {
+      user.set('preferences.autoAdvanceStatus', autoAdvanceStatus);
+    }
+
+    await user.save();
+
+    res.json({
+      message: 'Status rules updated successfully',
+      rules: getStatusRules(user),
+      customized: user.preferences.statusRules.length > 0,
+      autoAdvanceStatus: user.preferences.autoAdvanceStatus !== false
+    });
+  } catch (error) {
+    console.error('Status rules update error:', error);
+    res.status(500).json({
+      message: 'Error updating status rules',
+      code: 'STATUS_RULES_UPDATE_ERROR'
+    });
+  }
+});
+
+// Start building an archive of all the user's data
+router.post('/me/export', async (req, res) => {
+  try {
+    if (!isDataExportEnabled()) {
+      return res.status(403).json({
+        message: 'Account data export is not enabled',
+        code: 'FEATURE_DISABLED'
+      });
+    }
+
+    await failStaleExports({ userId: req.user.id });
+    const inProgress = await DataExport.findOne({
+      userId: req.user.id,
+      status: { $in: ['pending', 'processing'] }
+    });
+    if (inProgress) {
+      return res.status(409).json({
+        message: 'An export is already being prepared',
+        code: 'EXPORT_IN_PROGRESS',
+        exportId: inProgress._id
+      });
+    }
+
+    const dataExport = await DataExport.create({ userId: req.user.id });
+    setImmediate(() => {
+      buildDataExport(dataExport._id).catch(error => console.error('Data export error:', error));
+    });
+
+    res.status(202).json({
+      message: `Export started; the download will be available for ${EXPORT_TTL_HOURS} hours once ready`,
+      exportId: dataExport._id,
+      status: dataExport.status
+    });
+  } catch (error) {
+    console.error('Data export request error:', error);
+    res.status(500).json({
+      message: 'Error starting data export',
+      code: 'DATA_EXPORT_ERROR'
+    });
+  }
+});
+
+// Status of a data export
+router.get('/me/export/:exportId', userValidation.dataExport, handleValidationErrors, async (req, res) => {
+  try {
+    const dataExport = await DataExport.findOne({ _id: req.params.exportId, userId: req.user.id })
+      .select('-filePath')
+      .lean();
+
+    if (!dataExport) {
+      return res.status(404).json({
+        message: 'Export not found',
+        code: 'EXPORT_NOT_FOUND'
+      });
+    }
+
+    res.json({ export: dataExport });
+  } catch (error) {
+    console.error('Data export status error:', error);
+    res.status(500).json({
+      message: 'Error fetching data export',
+      code: 'DATA_EXPORT_FETCH_ERROR'
+    });
+  }
+});
+
+// Download a finished data export until it expires
+router.get('/me/export/:exportId/download', userValidation.dataExport, handleValidationErrors, async (req, res) => {
+  try {
+    const dataExport = await DataExport.findOne({ _id: req.params.exportId, userId: req.user.id });
+
+    if (!dataExport) {
+      return res.status(404).json({
+        message: 'Export not found',
+        code: 'EXPORT_NOT_FOUND'
+      });
+    }
+
+    if (dataExport.status === 'expired' || (dataExport.expiresAt && dataExport.expiresAt <= new Date())) {
+      return res.status(410).json({
+        message: 'This export has expired; request a new one',
+        code: 'EXPORT_EXPIRED'
+      });
+    }
+
+    if (dataExport.status !== 'completed') {
+      return res.status(409).json({
+        message: 'Export is not ready yet',
+        code: 'EXPORT_NOT_READY',
+        status: dataExport.status
+      });
+    }
+
+    if (!fs.existsSync(dataExport.filePath)) {
+      return res.status(410).json({
+        message: 'Export file is no longer available; request a new one',
+        code: 'EXPORT_EXPIRED'
+      });
+    }
+
+    dataExport.downloadCount += 1;
+    dataExport.lastDownloadedAt = new Date();
+    await dataExport.save();
+
+    const date = dataExport.completedAt.toISOString().split('T')[0];
+    res.download(dataExport.filePath, `account-export-${date}.zip`);
+  } catch (error) {
+    console.error('Data export download error:', error);
+    res.status(500).json({
+      message: 'Error downloading data export',
+      code: 'DATA_EXPORT_DOWNLOAD_ERROR'
+    });
+  }
+});
+
+// Request deletion of the account; data is purged after the grace period
+router.delete('/me', userValidation.deleteAccount, handleValidationErrors, async (req, res) => {
+  try {
+    const { password, reason } = req.body;
+
+    const user = await User.findById(req.user.id);
+    const isPasswordValid = await bcrypt.compare(password, user.passwordHash);
+    if (!isPasswordValid) {
+      return res.status(400).json({
+        message: 'Password is incorrect',
+        code: 'INVALID_PASSWORD'
+      });
+    }
+
+    const deletion = await requestAccountDeletion(user, { reason });
+    if (!deletion) {
+      return res.status(409).json({
+        message: 'Account is already scheduled for deletion',
+        code: 'DELETION_ALREADY_PENDING'
+      });
+    }
+    res.clearCookie('refreshToken');
+
+    res.status(202).json({
+      message: `Account scheduled for deletion in ${getGraceDays()} days. Sign-in is disabled until then; cancel with POST /auth/cancel-deletion.`,
+      code: 'DELETION_SCHEDULED',
+      scheduledFor: deletion.scheduledFor
+    });
+  } catch (error) {
+    console.error('Account deletion request error:', error);
+    res.status(500).json({
+      message: 'Error requesting account deletion',
+      code: 'ACCOUNT_DELETION_ERROR'
+    });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,68 @@
+// scripts/backfillAnalytics.js
+// Rebuild Analytics documents from existing contacts, interviews, documents and tasks.
+//
+// Usage:
+//   npm run analytics:backfill -- [--user <userId>] [--start YYYY-MM-DD] [--end YYYY-MM-DD]
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const { backfillAnalytics } = require('../utils/analyticsBackfill');
+
+const parseArgs = (argv) => {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const [flag, inlineValue] = argv[i].split('=');
+    const value = inlineValue !== undefined ? inlineValue : argv[++i];
+    switch (flag) {
+      case '--user':
+        args.userId = value;
+        break;
+      case '--start':
+        args.startDate = value;
+        break;
+      case '--end':
+        args.endDate = value;
+        break;
+      default:
+        throw new Error(`Unknown option: ${flag}`);
+    }
+  }
+  return args;
+};
+
+const isDateString = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value);
+
+const run = async () => {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (args.userId && !mongoose.Types.ObjectId.isValid(args.userId)) {
+    throw new Error(`Invalid user ID: ${args.userId}`);
+  }
+  ['startDate', 'endDate'].forEach(key => {
+    if (args[key] && !isDateString(args[key])) {
+      throw new Error(`${key} must be in YYYY-MM-DD format`);
+    }
+  });
+
+  if (!process.env.MONGODB_URI) {
+    throw new Error('MONGODB_URI is not set');
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log('🔄 Rebuilding analytics...', args);
+
+  const summary = await backfillAnalytics(args);
+  summary.results.forEach(result => {
+    console.log(`  ${result.userId}: ${result.daysWithActivity} active days, ${result.upserted} created, ${result.modified} updated`);
+  });
+  console.log(`✅ Rebuilt analytics for ${summary.users} user(s) (${summary.startDate} → ${summary.endDate})`);
+};
+
+run()
+  .then(() => mongoose.connection.close())
+  .then(() => process.exit(0))
+  .catch(async (error) => {
+    console.error('❌ Analytics backfill failed:', error.message);
+    await mongoose.connection.close().catch(() => {});
+    process.exit(1);
+  });
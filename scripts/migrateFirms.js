@@ -0,0 +1,70 @@
+// scripts/migrateFirms.js
+// Seed the shared firm catalog and link existing contacts, interviews and
+// documents to canonical firms.
+//
+// Usage:
+//   npm run firms:migrate -- [--user <userId>] [--dry-run] [--skip-seed]
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const { seedFirmCatalog, linkExistingRecords } = require('../utils/firms');
+
+const parseArgs = (argv) => {
+  const args = { dryRun: false, seed: true };
+  for (let i = 0; i < argv.length; i++) {
+    const [flag, inlineValue] = argv[i].split('=');
+    switch (flag) {
+      case '--user':
+        args.userId = inlineValue !== undefined ? inlineValue : argv[++i];
+        break;
+      case '--dry-run':
+        args.dryRun = true;
+        break;
+      case '--skip-seed':
+        args.seed = false;
+        break;
+      default:
+        throw new Error(`Unknown option: ${flag}`);
+    }
+  }
+  return args;
+};
+
+const run = async () => {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (args.userId && !mongoose.Types.ObjectId.isValid(args.userId)) {
+    throw new Error(`Invalid user ID: ${args.userId}`);
+  }
+
+  if (!process.env.MONGODB_URI) {
+    throw new Error('MONGODB_URI is not set');
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI);
+
+  if (args.seed && !args.dryRun) {
+    const seeded = await seedFirmCatalog();
+    console.log(`🏦 Firm catalog: ${seeded.created} created, ${seeded.updated} updated (${seeded.firms} entries)`);
+  }
+
+  console.log(args.dryRun ? '🔍 Checking firm links (dry run)...' : '🔄 Linking records to firms...');
+  const summary = await linkExistingRecords({ userId: args.userId, dryRun: args.dryRun });
+  summary.results.forEach(result => {
+    console.log(`  ${result.userId}: ${result.contacts.updated} contacts, ${result.interviews.updated} interviews, ${result.documents.updated} documents`);
+    if (result.unmatched.length > 0) {
+      const names = result.unmatched.slice(0, 10).map(entry => `${entry.name} (${entry.count})`);
+      console.log(`    unmatched: ${names.join(', ')}${result.unmatched.length > 10 ? ', ...' : ''}`);
+    }
+  });
+  console.log(`✅ ${args.dryRun ? 'Checked' : 'Linked'} records for ${summary.users} user(s)`);
+};
+
+run()
+  .then(() => mongoose.connection.close())
+  .then(() => process.exit(0))
+  .catch(async (error) => {
+    console.error('❌ Firm migration failed:', error.message);
+    await mongoose.connection.close().catch(() => {});
+    process.exit(1);
+  });
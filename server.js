@@ -183,6 +183,7 @@ connectDB();
 
 // Import routes
 const apiRoutes = require('./routes');
+const { startScheduledJobs, stopScheduledJobs } = require('./utils/scheduler');
 
 // Health check endpoint with enhanced details
 app.get('/health', async (req, res) => {
@@ -331,6 +332,7 @@ app.use((error, req, res, next) => {
 // Graceful shutdown handlers
 const gracefulShutdown = (signal) => {
   console.log(`\n🛑 ${signal} received, initiating graceful shutdown...`);
+  stopScheduledJobs();
   
   server.close(async (err) => {
     if (err) {
@@ -370,6 +372,8 @@ const server = app.listen(PORT, () => {
   console.log(`🔐 Auth endpoints: http://localhost:${PORT}/api/v1/auth`);
   console.log(`📊 Dashboard: http://localhost:${PORT}/api/v1/dashboard`);
   console.log('🚀 ================================\n');
+
+  startScheduledJobs();
 });
 
 // Handle server errors
@@ -0,0 +1,33 @@
+// tests/helpers/app.js
+const express = require('express');
+const cookieParser = require('cookie-parser');
+const bcrypt = require('bcrypt');
+const jwt = require('jsonwebtoken');
+const { User } = require('../../models');
+const apiRoutes = require('../../routes');
+
+// The API routes without server.js's database connection, rate limits and listener
+const createApp = () => {
+  const app = express();
+  app.use(express.json());
+  app.use(cookieParser());
+  app.use('/api/v1', apiRoutes);
+  return app;
+};
+
+const TEST_PASSWORD = 'Password123!';
+
+const createUser = async (overrides = {}) => User.create({
+  email: `user-${Date.now()}-${Math.random().toString(36).slice(2)}@example.com`,
+  passwordHash: await bcrypt.hash(TEST_PASSWORD, 4),
+  ...overrides
+});
+
+const tokenFor = (user) => jwt.sign({ id: user._id, email: user.email }, process.env.JWT_SECRET, { expiresIn: '1h' });
+
+module.exports = {
+  TEST_PASSWORD,
+  createApp,
+  createUser,
+  tokenFor
+};
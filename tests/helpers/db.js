@@ -0,0 +1,31 @@
+// tests/helpers/db.js
+// In-memory mongod for route tests, standalone like the docker-compose database.
+// The binary version is pinned under config.mongodbMemoryServer in package.json
+// and downloaded on first use; MONGOMS_VERSION overrides it, and
+// MONGOMS_SYSTEM_BINARY points at a local mongod where downloads are blocked.
+const mongoose = require('mongoose');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+let server = null;
+
+const connect = async () => {
+  server = await MongoMemoryServer.create();
+  await mongoose.connect(server.getUri());
+};
+
+const clear = async () => {
+  const collections = Object.values(mongoose.connection.collections);
+  await Promise.all(collections.map(collection => collection.deleteMany({})));
+};
+
+const disconnect = async () => {
+  await mongoose.disconnect();
+  if (server) await server.stop();
+  server = null;
+};
+
+module.exports = {
+  connect,
+  clear,
+  disconnect
+};
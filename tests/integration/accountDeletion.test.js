@@ -0,0 +1,200 @@
+// tests/integration/accountDeletion.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const db = require('../helpers/db');
+const { TEST_PASSWORD, createApp, createUser, tokenFor } = require('../helpers/app');
+const { User, Contact, Document } = require('../../models');
+const { saveStoredFile } = require('../../utils/storage');
+const { claimAccountForPurge, purgeUserData, purgeDeletedAccounts } = require('../../utils/accountDeletion');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A user whose deletion grace period ends at scheduledFor
+const createDeletingUser = (scheduledFor, overrides = {}) => createUser({
+  status: 'pending-deletion',
+  deletion: { requestedAt: new Date(scheduledFor.getTime() - 30 * DAY_MS), scheduledFor },
+  ...overrides
+});
+
+describe('account deletion', () => {
+  const app = createApp();
+
+  beforeAll(db.connect);
+  afterAll(db.disconnect);
+  beforeEach(db.clear);
+
+  describe('DELETE /api/v1/users/me', () => {
+    it('requires the password', async () => {
+      const user = await createUser();
+
+      const res = await request(app)
+        .delete('/api/v1/users/me')
+        .set('Authorization', `Bearer ${tokenFor(user)}`)
+        .send({ password: 'wrong-password' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.code).toBe('INVALID_PASSWORD');
+      expect((await User.findById(user._id)).status).toBe('active');
+    });
+
+    it('schedules the deletion and locks out existing tokens', async () => {
+      const user = await createUser({ refreshTokens: ['refresh-token'] });
+      const token = tokenFor(user);
+
+      const res = await request(app)
+        .delete('/api/v1/users/me')
+        .set('Authorization', `Bearer ${token}`)
+        .send({ password: TEST_PASSWORD, reason: 'Found a job' });
+
+      expect(res.status).toBe(202);
+      expect(res.body.code).toBe('DELETION_SCHEDULED');
+
+      const stored = await User.findById(user._id);
+      expect(stored.status).toBe('pending-deletion');
+      expect(stored.deletion.reason).toBe('Found a job');
+      expect(stored.deletion.scheduledFor.getTime()).toBeGreaterThan(Date.now());
+      expect(stored.refreshTokens).toHaveLength(0);
+
+      const blocked = await request(app).get('/api/v1/contacts').set('Authorization', `Bearer ${token}`);
+      expect(blocked.status).toBe(403);
+      expect(blocked.body.code).toBe('ACCOUNT_PENDING_DELETION');
+    });
+  });
+
+  describe('POST /api/v1/auth/cancel-deletion', () => {
+    const cancel = (user, password = TEST_PASSWORD) => request(app)
+      .post('/api/v1/auth/cancel-deletion')
+      .send({ email: user.email, password });
+
+    it('reactivates an account in its grace period', async () => {
+      const user = await createDeletingUser(new Date(Date.now() + DAY_MS));
+
+      const res = await cancel(user);
+
+      expect(res.status).toBe(200);
+      const stored = await User.findById(user._id).lean();
+      expect(stored.status).toBe('active');
+      expect(stored.deletion).toBeUndefined();
+    });
+
+    it('is refused once the purge job has claimed the account', async () => {
+      const user = await createDeletingUser(new Date(Date.now() - DAY_MS));
+      await claimAccountForPurge(user._id);
+
+      const res = await cancel(user);
+
+      expect(res.status).toBe(409);
+      expect(res.body.code).toBe('DELETION_NOT_PENDING');
+      expect((await User.findById(user._id)).status).toBe('purging');
+    });
+
+    it('counts wrong passwords towards the login lockout', async () => {
+      const user = await createDeletingUser(new Date(Date.now() + DAY_MS));
+
+      expect((await cancel(user, 'wrong-password')).status).toBe(401);
+      expect((await User.findById(user._id)).loginAttempts).toBe(1);
+    });
+
+    it('refuses even the right password while the account is locked', async () => {
+      const user = await createDeletingUser(new Date(Date.now() + DAY_MS), {
+        loginAttempts: 5,
+        lockUntil: Date.now() + 60 * 60 * 1000
+      });
+
+      const res = await cancel(user);
+
+      expect(res.status).toBe(423);
+      expect(res.body.code).toBe('ACCOUNT_LOCKED');
+      expect((await User.findById(user._id)).status).toBe('pending-deletion');
+    });
+  });
+
+  describe('purgeDeletedAccounts', () => {
+    it('purges accounts past their grace period and nothing else', async () => {
+      const due = await createDeletingUser(new Date(Date.now() - DAY_MS));
+      const notDue = await createDeletingUser(new Date(Date.now() + DAY_MS));
+      const active = await createUser();
+      await Contact.create([
+        { userId: due._id, name: 'Jane Doe', firm: 'Lazard' },
+        { userId: notDue._id, name: 'John Roe', firm: 'Evercore' },
+        { userId: active._id, name: 'Ann Poe', firm: 'PJT' }
+      ]);
+
+      const result = await purgeDeletedAccounts();
+
+      expect(result).toEqual({ due: 1, purged: 1 });
+      expect(await User.exists({ _id: due._id })).toBeNull();
+      expect(await Contact.countDocuments({ userId: due._id })).toBe(0);
+      expect(await User.exists({ _id: notDue._id })).not.toBeNull();
+      expect(await Contact.countDocuments({ userId: { $in: [notDue._id, active._id] } })).toBe(2);
+    });
+
+    it('skips accounts cancelled after they were found', async () => {
+      const user = await createDeletingUser(new Date(Date.now() - DAY_MS));
+      await User.updateOne({ _id: user._id }, { status: 'active', $unset: { deletion: 1 } });
+
+      expect(await claimAccountForPurge(user._id)).toBeNull();
+      expect((await purgeDeletedAccounts()).purged).toBe(0);
+      expect(await User.exists({ _id: user._id })).not.toBeNull();
+    });
+
+    it('lets only one run claim an account', async () => {
+      const user = await createDeletingUser(new Date(Date.now() - DAY_MS));
+
+      const claims = await Promise.all([
+        claimAccountForPurge(user._id),
+        claimAccountForPurge(user._id)
+      ]);
+
+      expect(claims.filter(Boolean)).toHaveLength(1);
+      expect((await purgeDeletedAccounts()).purged).toBe(0);
+    });
+
+    it('retries a purge interrupted more than an hour ago', async () => {
+      const user = await createDeletingUser(new Date(Date.now() - DAY_MS));
+      await User.updateOne({ _id: user._id }, {
+        status: 'purging',
+        'deletion.purgeStartedAt': new Date(Date.now() - 2 * 60 * 60 * 1000)
+      });
+
+      expect((await purgeDeletedAccounts()).purged).toBe(1);
+      expect(await User.exists({ _id: user._id })).toBeNull();
+    });
+
+    it("removes the user's stored files and nobody else's", async () => {
+      const uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'uploads-'));
+      const originalUploadPath = process.env.UPLOAD_PATH;
+      process.env.UPLOAD_PATH = uploadDir;
+      try {
+        const user = await createDeletingUser(new Date(Date.now() - DAY_MS));
+        const other = await createUser();
+        const file = { originalname: 'cv.txt', buffer: Buffer.from('resume') };
+        const ownFile = await saveStoredFile(user._id, 'doc-1', file);
+        const otherFile = await saveStoredFile(other._id, 'doc-2', file);
+        await Document.create([
+          { userId: user._id, name: 'CV', type: 'Resume', storedFile: ownFile },
+          // Pointing a document at someone else's key must not reach their file
+          { userId: user._id, name: 'Not mine', type: 'Resume', storedFile: otherFile },
+          { userId: other._id, name: 'CV', type: 'Resume', storedFile: otherFile }
+        ]);
+
+        expect((await purgeDeletedAccounts()).purged).toBe(1);
+
+        expect(fs.existsSync(path.join(uploadDir, ownFile.key))).toBe(false);
+        expect(fs.existsSync(path.join(uploadDir, otherFile.key))).toBe(true);
+      } finally {
+        process.env.UPLOAD_PATH = originalUploadPath;
+        fs.rmSync(uploadDir, { recursive: true, force: true });
+      }
+    });
+
+    it('never purges an unclaimed account directly', async () => {
+      const user = await createDeletingUser(new Date(Date.now() - DAY_MS));
+
+      await expect(purgeUserData(user._id)).rejects.toThrow('Account has not been claimed for purging');
+      expect(await User.exists({ _id: user._id })).not.toBeNull();
+    });
+  });
+});
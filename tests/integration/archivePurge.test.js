@@ -0,0 +1,169 @@
+// tests/integration/archivePurge.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const db = require('../helpers/db');
+const { createApp, createUser, tokenFor } = require('../helpers/app');
+const { Contact, ContactHistory, Document, Task } = require('../../models');
+const { saveStoredFile } = require('../../utils/storage');
+const { purgeExpiredArchives } = require('../../utils/dataRetention');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const daysAgo = (days) => new Date(Date.now() - days * DAY_MS);
+
+describe('archive purging', () => {
+  const app = createApp();
+  const originalDays = process.env.DATA_RETENTION_DAYS;
+  const originalUploadPath = process.env.UPLOAD_PATH;
+  let uploadDir;
+  let user;
+  let token;
+
+  beforeAll(db.connect);
+  afterAll(db.disconnect);
+
+  beforeEach(async () => {
+    await db.clear();
+    process.env.DATA_RETENTION_DAYS = '30';
+    uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'uploads-'));
+    process.env.UPLOAD_PATH = uploadDir;
+    user = await createUser();
+    token = tokenFor(user);
+  });
+
+  afterEach(() => {
+    if (originalDays === undefined) delete process.env.DATA_RETENTION_DAYS;
+    else process.env.DATA_RETENTION_DAYS = originalDays;
+    process.env.UPLOAD_PATH = originalUploadPath;
+    fs.rmSync(uploadDir, { recursive: true, force: true });
+  });
+
+  const storeFile = (owner) => saveStoredFile(owner._id, 'doc', { originalname: 'cv.txt', buffer: Buffer.from('x') });
+
+  const archivedContact = (archivedAt, overrides = {}) => Contact.create({
+    userId: user._id,
+    name: 'Jane Doe',
+    firm: 'Lazard',
+    isArchived: true,
+    archivedAt,
+    ...overrides
+  });
+
+  describe('purgeExpiredArchives', () => {
+    it('deletes records archived longer than the retention window', async () => {
+      const expired = await archivedContact(daysAgo(31));
+      const recent = await archivedContact(daysAgo(5));
+      const active = await Contact.create({ userId: user._id, name: 'John Roe', firm: 'Lazard' });
+      const task = await Task.create({ userId: user._id, title: 'Call Jane', type: 'Contact', relatedContact: expired._id });
+
+      const report = await purgeExpiredArchives();
+
+      expect(report.counts.contacts).toBe(1);
+      expect(await Contact.exists({ _id: expired._id })).toBeNull();
+      expect(await Contact.exists({ _id: recent._id })).not.toBeNull();
+      expect(await Contact.exists({ _id: active._id })).not.toBeNull();
+      expect((await Task.findById(task._id)).relatedContact).toBeUndefined();
+      expect(await ContactHistory.exists({ contactId: expired._id, action: 'delete', source: 'retention:purge' }))
+        .not.toBeNull();
+    });
+
+    it('uses a shorter per-user retention setting', async () => {
+      user.preferences.archiveRetentionDays = 7;
+      await user.save();
+      const contact = await archivedContact(daysAgo(10));
+
+      await purgeExpiredArchives();
+
+      expect(await Contact.exists({ _id: contact._id })).toBeNull();
+    });
+
+    it("removes expired documents' own stored files and nobody else's", async () => {
+      const other = await createUser();
+      const ownFile = await storeFile(user);
+      const otherFile = await storeFile(other);
+      await Document.create([
+        { userId: user._id, name: 'CV', type: 'Resume', isArchived: true, archivedAt: daysAgo(31), storedFile: ownFile },
+        { userId: user._id, name: 'Not mine', type: 'Resume', isArchived: true, archivedAt: daysAgo(31), storedFile: otherFile }
+      ]);
+
+      const report = await purgeExpiredArchives();
+
+      expect(report.counts.documents).toBe(2);
+      expect(fs.existsSync(path.join(uploadDir, ownFile.key))).toBe(false);
+      expect(fs.existsSync(path.join(uploadDir, otherFile.key))).toBe(true);
+    });
+
+    it('only counts records on a dry run', async () => {
+      const contact = await archivedContact(daysAgo(31));
+
+      const report = await purgeExpiredArchives({ dryRun: true });
+
+      expect(report).toMatchObject({ dryRun: true, total: 1, users: 1 });
+      expect(await Contact.exists({ _id: contact._id })).not.toBeNull();
+    });
+  });
+
+  describe('DELETE /api/v1/archive/:type/:id', () => {
+    const remove = (type, id) => request(app)
+      .delete(`/api/v1/archive/${type}/${id}`)
+      .set('Authorization', `Bearer ${token}`);
+
+    it('permanently deletes an archived record', async () => {
+      const contact = await archivedContact(daysAgo(1));
+
+      const res = await remove('contacts', contact._id);
+
+      expect(res.status).toBe(200);
+      expect(res.body.code).toBe('RECORD_DELETED');
+      expect(await Contact.exists({ _id: contact._id })).toBeNull();
+    });
+
+    it('leaves active records alone', async () => {
+      const contact = await Contact.create({ userId: user._id, name: 'John Roe', firm: 'Lazard' });
+
+      const res = await remove('contacts', contact._id);
+
+      expect(res.status).toBe(404);
+      expect(await Contact.exists({ _id: contact._id })).not.toBeNull();
+    });
+
+    it('validates the type and id', async () => {
+      expect((await remove('widgets', user._id)).status).toBe(400);
+      expect((await remove('contacts', 'not-an-id')).status).toBe(400);
+    });
+
+    it("removes an archived document's own file and never another user's", async () => {
+      const other = await createUser();
+      const ownFile = await storeFile(user);
+      const otherFile = await storeFile(other);
+      const [own, foreignKey] = await Document.create([
+        { userId: user._id, name: 'CV', type: 'Resume', isArchived: true, archivedAt: daysAgo(1), storedFile: ownFile },
+        { userId: user._id, name: 'Not mine', type: 'Resume', isArchived: true, archivedAt: daysAgo(1), storedFile: otherFile }
+      ]);
+
+      expect((await remove('documents', own._id)).status).toBe(200);
+      expect((await remove('documents', foreignKey._id)).status).toBe(200);
+
+      expect(fs.existsSync(path.join(uploadDir, ownFile.key))).toBe(false);
+      expect(fs.existsSync(path.join(uploadDir, otherFile.key))).toBe(true);
+    });
+
+    it("can't delete another user's archived document", async () => {
+      const other = await createUser();
+      const otherFile = await storeFile(other);
+      const document = await Document.create({
+        userId: other._id,
+        name: 'CV',
+        type: 'Resume',
+        isArchived: true,
+        archivedAt: daysAgo(1),
+        storedFile: otherFile
+      });
+
+      expect((await remove('documents', document._id)).status).toBe(404);
+      expect(await Document.exists({ _id: document._id })).not.toBeNull();
+      expect(fs.existsSync(path.join(uploadDir, otherFile.key))).toBe(true);
+    });
+  });
+});
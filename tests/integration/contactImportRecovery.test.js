@@ -0,0 +1,58 @@
+// tests/integration/contactImportRecovery.test.js
+const db = require('../helpers/db');
+const { createUser } = require('../helpers/app');
+const { Contact, ContactImport } = require('../../models');
+const { importExpiry, recoverStaleImports } = require('../../utils/contactImport');
+
+describe('recoverStaleImports', () => {
+  let user;
+
+  beforeAll(db.connect);
+  afterAll(db.disconnect);
+
+  beforeEach(async () => {
+    await db.clear();
+    user = await createUser();
+  });
+
+  const createImport = (status) => ContactImport.create({
+    userId: user._id,
+    format: 'csv',
+    status,
+    columns: ['Name', 'Company'],
+    rows: [['Jane Doe', 'Lazard']],
+    mapping: [{ column: 'Name', field: 'name' }, { column: 'Company', field: 'firm' }],
+    expiresAt: importExpiry()
+  });
+
+  const later = () => new Date(Date.now() + 60 * 60 * 1000);
+
+  it('fails interrupted imports instead of importing their rows again', async () => {
+    const job = await createImport('processing');
+
+    const result = await recoverStaleImports({ now: later() });
+
+    expect(result).toEqual({ failed: 1, restarted: 0 });
+    const stored = await ContactImport.findById(job._id);
+    expect(stored.status).toBe('failed');
+    expect(stored.error).toMatch(/interrupted/);
+    expect(await Contact.countDocuments()).toBe(0);
+  });
+
+  it('runs imports that were queued but never started', async () => {
+    const job = await createImport('queued');
+
+    const result = await recoverStaleImports({ now: later() });
+
+    expect(result).toEqual({ failed: 0, restarted: 1 });
+    expect((await ContactImport.findById(job._id)).status).toBe('completed');
+    expect(await Contact.exists({ userId: user._id, name: 'Jane Doe' })).not.toBeNull();
+  });
+
+  it('leaves imports that are still making progress', async () => {
+    const job = await createImport('processing');
+
+    expect(await recoverStaleImports()).toEqual({ failed: 0, restarted: 0 });
+    expect((await ContactImport.findById(job._id)).status).toBe('processing');
+  });
+});
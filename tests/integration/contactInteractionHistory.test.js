@@ -0,0 +1,74 @@
+// tests/integration/contactInteractionHistory.test.js
+const request = require('supertest');
+const db = require('../helpers/db');
+const { createApp, createUser, tokenFor } = require('../helpers/app');
+const { Contact, ContactHistory } = require('../../models');
+
+describe('contact interaction history', () => {
+  const app = createApp();
+  let user;
+  let token;
+  let contact;
+  let interaction;
+
+  beforeAll(db.connect);
+  afterAll(db.disconnect);
+
+  beforeEach(async () => {
+    await db.clear();
+    user = await createUser();
+    token = tokenFor(user);
+    contact = await Contact.create({
+      userId: user._id,
+      name: 'Jane Doe',
+      firm: 'Lazard',
+      interactions: [{
+        type: 'Call',
+        title: 'Intro call',
+        date: '2024-03-01',
+        notes: 'Talked about the group'
+      }]
+    });
+    [interaction] = contact.interactions;
+  });
+
+  const interactionPath = () => `/api/v1/contacts/${contact._id}/interactions/${interaction._id}`;
+
+  it('records the interaction before and after an edit', async () => {
+    const res = await request(app)
+      .put(interactionPath())
+      .set('Authorization', `Bearer ${token}`)
+      .send({ title: 'Intro call with Jane' });
+
+    expect(res.status).toBe(200);
+    const entries = await ContactHistory.find({ contactId: contact._id });
+    expect(entries).toHaveLength(1);
+    expect(entries[0].action).toBe('update');
+    const change = entries[0].changes.find(item => item.field === 'interactions');
+    expect(change.oldValue.title).toBe('Intro call');
+    expect(change.newValue.title).toBe('Intro call with Jane');
+  });
+
+  it('skips the history entry when an edit changes nothing', async () => {
+    const res = await request(app)
+      .put(interactionPath())
+      .set('Authorization', `Bearer ${token}`)
+      .send({ title: 'Intro call' });
+
+    expect(res.status).toBe(200);
+    expect(await ContactHistory.countDocuments({ contactId: contact._id })).toBe(0);
+  });
+
+  it('records the deleted interaction', async () => {
+    const res = await request(app)
+      .delete(interactionPath())
+      .set('Authorization', `Bearer ${token}`);
+
+    expect(res.status).toBe(200);
+    const entries = await ContactHistory.find({ contactId: contact._id, 'changes.field': 'interactions' });
+    expect(entries).toHaveLength(1);
+    const change = entries[0].changes.find(item => item.field === 'interactions');
+    expect(change.oldValue.title).toBe('Intro call');
+    expect(change.newValue).toBeNull();
+  });
+});
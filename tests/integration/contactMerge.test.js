@@ -0,0 +1,178 @@
+// tests/integration/contactMerge.test.js
+const request = require('supertest');
+const mongoose = require('mongoose');
+const db = require('../helpers/db');
+const { createApp, createUser, tokenFor } = require('../helpers/app');
+const { Contact, ContactHistory, Interview, Task } = require('../../models');
+
+describe('POST /api/v1/contacts/merge', () => {
+  const app = createApp();
+  let user;
+  let token;
+
+  beforeAll(db.connect);
+  afterAll(db.disconnect);
+
+  beforeEach(async () => {
+    await db.clear();
+    user = await createUser();
+    token = tokenFor(user);
+  });
+
+  const merge = (body) => request(app)
+    .post('/api/v1/contacts/merge')
+    .set('Authorization', `Bearer ${token}`)
+    .send(body);
+
+  it('folds duplicates into the survivor and repoints their references', async () => {
+    const survivor = await Contact.create({
+      userId: user._id,
+      name: 'Jane Doe',
+      firm: 'Goldman Sachs',
+      email: 'jane@gs.com',
+      tags: ['tmt']
+    });
+    const duplicate = await Contact.create({
+      userId: user._id,
+      name: 'Jane Doe',
+      firm: 'Goldman Sachs',
+      phone: '+1 212 555 0100',
+      tags: ['TMT', 'london'],
+      priority: 'High'
+    });
+    const interview = await Interview.create({
+      userId: user._id,
+      firm: 'Goldman Sachs',
+      position: 'Analyst',
+      referralContactId: duplicate._id
+    });
+    const task = await Task.create({
+      userId: user._id,
+      title: 'Follow up with Jane',
+      type: 'Follow-up',
+      relatedContact: duplicate._id
+    });
+
+    const res = await merge({ survivorId: survivor._id, duplicateIds: [duplicate._id] });
+
+    expect(res.status).toBe(200);
+    expect(res.body.mergedIds).toEqual([String(duplicate._id)]);
+    expect(res.body.contact).toMatchObject({
+      email: 'jane@gs.com',
+      phone: '+1 212 555 0100',
+      priority: 'High',
+      tags: ['tmt', 'london']
+    });
+
+    expect(await Contact.exists({ _id: duplicate._id })).toBeNull();
+    const [updatedInterview, updatedTask] = await Promise.all([
+      Interview.findById(interview._id),
+      Task.findById(task._id)
+    ]);
+    expect(String(updatedInterview.referralContactId)).toBe(String(survivor._id));
+    expect(String(updatedTask.relatedContact)).toBe(String(survivor._id));
+
+    const history = await ContactHistory.find({ action: 'merge' }).lean();
+    expect(history.map(entry => String(entry.contactId)).sort())
+      .toEqual([String(survivor._id), String(duplicate._id)].sort());
+  });
+
+  it("doesn't merge another user's contacts", async () => {
+    const other = await createUser();
+    const survivor = await Contact.create({ userId: user._id, name: 'Jane Doe', firm: 'Lazard' });
+    const foreign = await Contact.create({ userId: other._id, name: 'Jane Doe', firm: 'Lazard' });
+
+    const res = await merge({ survivorId: survivor._id, duplicateIds: [foreign._id] });
+
+    expect(res.status).toBe(404);
+    expect(res.body.code).toBe('CONTACT_NOT_FOUND');
+    expect(res.body.contactIds).toEqual([String(foreign._id)]);
+    expect(await Contact.exists({ _id: foreign._id })).not.toBeNull();
+  });
+
+  it('refuses duplicates another merge has claimed and leaves everything unchanged', async () => {
+    const survivor = await Contact.create({ userId: user._id, name: 'Jane Doe', firm: 'Lazard' });
+    const otherSurvivor = await Contact.create({ userId: user._id, name: 'J. Doe', firm: 'Lazard' });
+    const duplicate = await Contact.create({
+      userId: user._id,
+      name: 'Jane Doe',
+      firm: 'Lazard',
+      email: 'jane@lazard.com',
+      mergedInto: otherSurvivor._id
+    });
+    const spare = await Contact.create({ userId: user._id, name: 'Jane Doe', firm: 'Lazard' });
+
+    const res = await merge({ survivorId: survivor._id, duplicateIds: [duplicate._id, spare._id] });
+
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe('CONTACT_MERGE_CONFLICT');
+    const [storedSurvivor, storedDuplicate, storedSpare] = await Promise.all([
+      Contact.findById(survivor._id),
+      Contact.findById(duplicate._id),
+      Contact.findById(spare._id)
+    ]);
+    expect(storedSurvivor.email).toBeUndefined();
+    expect(String(storedDuplicate.mergedInto)).toBe(String(otherSurvivor._id));
+    expect(storedSpare.mergedInto).toBeUndefined();
+  });
+
+  it('refuses a survivor that is being merged into another contact', async () => {
+    const other = await Contact.create({ userId: user._id, name: 'J. Doe', firm: 'Lazard' });
+    const survivor = await Contact.create({
+      userId: user._id,
+      name: 'Jane Doe',
+      firm: 'Lazard',
+      mergedInto: other._id
+    });
+    const duplicate = await Contact.create({
+      userId: user._id,
+      name: 'Jane Doe',
+      firm: 'Lazard',
+      phone: '555'
+    });
+
+    const res = await merge({ survivorId: survivor._id, duplicateIds: [duplicate._id] });
+
+    expect(res.status).toBe(409);
+    expect((await Contact.findById(duplicate._id)).mergedInto).toBeUndefined();
+    expect((await Contact.findById(survivor._id)).phone).toBeUndefined();
+  });
+
+  it('finishes a merge that stopped before deleting the duplicates', async () => {
+    const survivor = await Contact.create({
+      userId: user._id,
+      name: 'Jane Doe',
+      firm: 'Lazard',
+      notes: 'Met at the fair'
+    });
+    const duplicate = await Contact.create({
+      userId: user._id,
+      name: 'Jane Doe',
+      firm: 'Lazard',
+      notes: 'Prefers email',
+      mergedInto: survivor._id
+    });
+
+    const res = await merge({ survivorId: survivor._id, duplicateIds: [duplicate._id] });
+
+    expect(res.status).toBe(200);
+    expect(await Contact.exists({ _id: duplicate._id })).toBeNull();
+    expect(res.body.contact.notes)
+      .toBe('Met at the fair\n\n--- Merged from Jane Doe (Lazard) ---\nPrefers email');
+  });
+
+  it('rejects merging a contact into itself', async () => {
+    const survivor = await Contact.create({ userId: user._id, name: 'Jane Doe', firm: 'Lazard' });
+
+    const res = await merge({ survivorId: survivor._id, duplicateIds: [survivor._id] });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('NOTHING_TO_MERGE');
+  });
+
+  it('rejects invalid ids', async () => {
+    const res = await merge({ survivorId: 'not-an-id', duplicateIds: [new mongoose.Types.ObjectId()] });
+
+    expect(res.status).toBe(400);
+  });
+});
@@ -0,0 +1,78 @@
+// tests/integration/contactRevert.test.js
+const request = require('supertest');
+const db = require('../helpers/db');
+const { createApp, createUser, tokenFor } = require('../helpers/app');
+const { Contact, ContactHistory } = require('../../models');
+
+describe('POST /api/v1/contacts/:id/history/:entryId/revert', () => {
+  const app = createApp();
+  let user;
+  let token;
+  let contact;
+  let entry;
+
+  beforeAll(db.connect);
+  afterAll(db.disconnect);
+
+  beforeEach(async () => {
+    await db.clear();
+    user = await createUser();
+    token = tokenFor(user);
+    contact = await Contact.create({ userId: user._id, name: 'Jane Doe', firm: 'Lazard', position: 'VP' });
+    entry = await ContactHistory.create({
+      userId: user._id,
+      contactId: contact._id,
+      action: 'update',
+      changes: [{ field: 'position', oldValue: 'Analyst', newValue: 'VP' }]
+    });
+  });
+
+  const revert = (body) => request(app)
+    .post(`/api/v1/contacts/${contact._id}/history/${entry._id}/revert`)
+    .set('Authorization', `Bearer ${token}`)
+    .send(body);
+
+  it('restores the previous value and records the revert', async () => {
+    const res = await revert({ field: 'position' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.value).toBe('Analyst');
+    expect((await Contact.findById(contact._id)).position).toBe('Analyst');
+
+    const reverted = await ContactHistory.findOne({ action: 'revert' }).lean();
+    expect(String(reverted.revertOf.entryId)).toBe(String(entry._id));
+    expect(reverted.changes).toEqual([{ field: 'position', oldValue: 'VP', newValue: 'Analyst' }]);
+  });
+
+  it('refuses to undo a later edit unless forced', async () => {
+    await Contact.updateOne({ _id: contact._id }, { position: 'Director' });
+
+    const superseded = await revert({ field: 'position' });
+    expect(superseded.status).toBe(409);
+    expect(superseded.body.code).toBe('CHANGE_SUPERSEDED');
+
+    // A string "false" must not count as forcing the revert
+    const notForced = await revert({ field: 'position', force: 'false' });
+    expect(notForced.status).toBe(409);
+
+    const forced = await revert({ field: 'position', force: true });
+    expect(forced.status).toBe(200);
+    expect((await Contact.findById(contact._id)).position).toBe('Analyst');
+  });
+
+  it('rejects fields that cannot be reverted', async () => {
+    const res = await revert({ field: 'isArchived' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('FIELD_NOT_REVERTABLE');
+  });
+
+  it("doesn't revert another user's history", async () => {
+    token = tokenFor(await createUser());
+
+    const res = await revert({ field: 'position' });
+
+    expect(res.status).toBe(404);
+    expect(res.body.code).toBe('CONTACT_NOT_FOUND');
+  });
+});
@@ -0,0 +1,104 @@
+// tests/integration/documentFiles.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+const db = require('../helpers/db');
+const { createApp, createUser, tokenFor } = require('../helpers/app');
+const { Document } = require('../../models');
+
+describe('document files', () => {
+  const app = createApp();
+  const originalUploadPath = process.env.UPLOAD_PATH;
+  let uploadDir;
+  let user;
+  let token;
+
+  beforeAll(db.connect);
+  afterAll(db.disconnect);
+
+  beforeEach(async () => {
+    await db.clear();
+    uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'uploads-'));
+    process.env.UPLOAD_PATH = uploadDir;
+    user = await createUser();
+    token = tokenFor(user);
+  });
+
+  afterEach(() => {
+    fs.rmSync(uploadDir, { recursive: true, force: true });
+    process.env.UPLOAD_PATH = originalUploadPath;
+  });
+
+  const createDocument = (owner = user) => Document.create({ userId: owner._id, name: 'CV', type: 'Resume' });
+
+  const upload = (documentId, contents, fileName = 'cv.txt') => request(app)
+    .post(`/api/v1/documents/${documentId}/file`)
+    .set('Authorization', `Bearer ${token}`)
+    .attach('file', Buffer.from(contents), fileName);
+
+  it('stores the file under the owner and serves it back', async () => {
+    const document = await createDocument();
+
+    const res = await upload(document._id, 'resume');
+
+    expect(res.status).toBe(201);
+    expect(res.body.document.fileData).toMatchObject({ name: 'cv.txt', size: 6, type: 'txt' });
+    const stored = await Document.findById(document._id);
+    expect(stored.storedFile.key.startsWith(`users/${user._id}/`)).toBe(true);
+
+    const download = await request(app)
+      .get(`/api/v1/documents/${document._id}/file`)
+      .set('Authorization', `Bearer ${token}`);
+    expect(download.status).toBe(200);
+    expect(download.text).toBe('resume');
+  });
+
+  it('removes the previous file when a new one is uploaded', async () => {
+    const document = await createDocument();
+    await upload(document._id, 'first');
+    const firstKey = (await Document.findById(document._id)).storedFile.key;
+
+    await upload(document._id, 'second');
+
+    expect(fs.existsSync(path.join(uploadDir, firstKey))).toBe(false);
+  });
+
+  it("refuses uploads to another user's document", async () => {
+    const other = await createUser();
+    const document = await createDocument(other);
+
+    const res = await upload(document._id, 'resume');
+
+    expect(res.status).toBe(404);
+    expect(fs.readdirSync(uploadDir)).toEqual([]);
+  });
+
+  it('rejects file types that are not allowed', async () => {
+    const document = await createDocument();
+
+    const res = await upload(document._id, '#!/bin/sh', 'run.sh');
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('INVALID_FILE');
+  });
+
+  it('never takes the storage key from the request body', async () => {
+    const other = await createUser();
+    const storedFile = { provider: 'local', key: `users/${other._id}/cv.txt` };
+
+    const created = await request(app)
+      .post('/api/v1/documents')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ name: 'CV', type: 'Resume', storedFile });
+    expect(created.status).toBe(201);
+
+    const { _id } = created.body.document;
+    await request(app)
+      .put(`/api/v1/documents/${_id}`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ $set: { storedFile }, 'storedFile.key': storedFile.key });
+
+    expect((await Document.findById(_id)).storedFile.key).toBeUndefined();
+  });
+});
@@ -0,0 +1,95 @@
+// tests/integration/tasks.test.js
+const request = require('supertest');
+const db = require('../helpers/db');
+const { createApp, createUser, tokenFor } = require('../helpers/app');
+const { Contact, Task } = require('../../models');
+
+describe('tasks', () => {
+  const app = createApp();
+  let user;
+  let token;
+
+  beforeAll(db.connect);
+  afterAll(db.disconnect);
+
+  beforeEach(async () => {
+    await db.clear();
+    user = await createUser();
+    token = tokenFor(user);
+  });
+
+  const api = (method, path) => request(app)[method](`/api/v1/tasks${path}`).set('Authorization', `Bearer ${token}`);
+
+  describe('POST /api/v1/tasks', () => {
+    it('creates a task linked to one of the user’s contacts', async () => {
+      const contact = await Contact.create({ userId: user._id, name: 'Jane Doe', firm: 'Lazard' });
+
+      const res = await api('post', '/').send({ title: 'Send thank-you note', type: 'Follow-up', relatedContact: contact._id });
+
+      expect(res.status).toBe(201);
+      expect(res.body.task).toMatchObject({ title: 'Send thank-you note', status: 'Pending' });
+      expect(res.body.task.relatedContact._id).toBe(String(contact._id));
+    });
+
+    it("refuses to link another user's contact", async () => {
+      const other = await createUser();
+      const contact = await Contact.create({ userId: other._id, name: 'Jane Doe', firm: 'Lazard' });
+
+      const res = await api('post', '/').send({ title: 'Call Jane', type: 'Contact', relatedContact: contact._id });
+
+      expect(res.status).toBe(404);
+      expect(res.body).toMatchObject({ code: 'RELATED_RECORD_NOT_FOUND', field: 'relatedContact' });
+      expect(await Task.countDocuments()).toBe(0);
+    });
+
+    it('validates the task type', async () => {
+      const res = await api('post', '/').send({ title: 'Call Jane', type: 'Errand' });
+
+      expect(res.status).toBe(400);
+    });
+  });
+
+  describe('PUT /api/v1/tasks/:id', () => {
+    it("refuses to relink a task to another user's contact", async () => {
+      const other = await createUser();
+      const contact = await Contact.create({ userId: other._id, name: 'Jane Doe', firm: 'Lazard' });
+      const task = await Task.create({ userId: user._id, title: 'Call Jane', type: 'Contact' });
+
+      const res = await api('put', `/${task._id}`).send({ relatedContact: contact._id });
+
+      expect(res.status).toBe(404);
+      expect((await Task.findById(task._id)).relatedContact).toBeUndefined();
+    });
+  });
+
+  describe('PATCH /api/v1/tasks/:id/complete', () => {
+    it('completes a task once', async () => {
+      const task = await Task.create({ userId: user._id, title: 'Call Jane', type: 'Contact' });
+
+      const first = await api('patch', `/${task._id}/complete`).send({});
+      const second = await api('patch', `/${task._id}/complete`).send({});
+
+      expect(first.status).toBe(200);
+      expect(first.body.task.status).toBe('Completed');
+      expect(first.body.task.completedAt).toBeTruthy();
+      expect(second.status).toBe(409);
+      expect(second.body.code).toBe('TASK_ALREADY_COMPLETED');
+    });
+  });
+
+  describe('DELETE and restore', () => {
+    it('archives and restores a task', async () => {
+      const task = await Task.create({ userId: user._id, title: 'Call Jane', type: 'Contact' });
+
+      expect((await api('delete', `/${task._id}`)).status).toBe(200);
+      expect((await Task.findById(task._id)).isArchived).toBe(true);
+
+      expect((await api('patch', `/${task._id}/restore`)).status).toBe(200);
+      expect((await Task.findById(task._id)).isArchived).toBe(false);
+    });
+
+    it('rejects malformed ids', async () => {
+      expect((await api('delete', '/not-an-id')).status).toBe(400);
+    });
+  });
+});
@@ -0,0 +1,8 @@
+// tests/setup.js
+// Runs before each test file, ahead of any app module being required
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+process.env.ENABLE_SCHEDULED_JOBS = 'false';
+
+// Route handlers log their errors; keep the test output readable
+jest.spyOn(console, 'log').mockImplementation(() => {});
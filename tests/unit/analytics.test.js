@@ -0,0 +1,100 @@
+// tests/unit/analytics.test.js
+const { addDays, daysInRange, getBucket, buildSeries } = require('../../utils/analytics');
+
+describe('analytics', () => {
+  describe('date helpers', () => {
+    it('adds days across month and year ends', () => {
+      expect(addDays('2024-02-28', 1)).toBe('2024-02-29');
+      expect(addDays('2024-12-31', 1)).toBe('2025-01-01');
+      expect(addDays('2024-03-01', -1)).toBe('2024-02-29');
+    });
+
+    it('counts range days inclusively', () => {
+      expect(daysInRange('2024-03-01', '2024-03-01')).toBe(1);
+      expect(daysInRange('2024-03-01', '2024-03-31')).toBe(31);
+    });
+  });
+
+  describe('getBucket', () => {
+    it('starts weeks on Monday', () => {
+      // 2024-03-10 is a Sunday
+      expect(getBucket('2024-03-10', 'weekly')).toEqual({
+        period: '2024-03-04',
+        startDate: '2024-03-04',
+        endDate: '2024-03-10'
+      });
+      expect(getBucket('2024-03-11', 'weekly').startDate).toBe('2024-03-11');
+    });
+
+    it('uses calendar months', () => {
+      expect(getBucket('2024-02-15', 'monthly')).toEqual({
+        period: '2024-02',
+        startDate: '2024-02-01',
+        endDate: '2024-02-29'
+      });
+    });
+
+    it('uses the day itself by default', () => {
+      expect(getBucket('2024-02-15', 'daily')).toEqual({
+        period: '2024-02-15',
+        startDate: '2024-02-15',
+        endDate: '2024-02-15'
+      });
+    });
+  });
+
+  describe('buildSeries', () => {
+    const records = [
+      { date: '2024-03-01', metrics: { contactsAdded: 2 } },
+      { date: '2024-03-03', metrics: { contactsAdded: 4, tasksCompleted: 1 } },
+      { date: '2024-02-28', metrics: { contactsAdded: 3 } }
+    ];
+
+    it('fills every day in the range and computes change and moving averages', () => {
+      const { series } = buildSeries(records, {
+        startDate: '2024-03-01',
+        endDate: '2024-03-03',
+        metrics: ['contactsAdded'],
+        window: 2
+      });
+
+      expect(series.map(point => point.period)).toEqual(['2024-03-01', '2024-03-02', '2024-03-03']);
+      expect(series.map(point => point.values)).toEqual([
+        { contactsAdded: 2 },
+        { contactsAdded: 0 },
+        { contactsAdded: 4 }
+      ]);
+      expect(series.map(point => point.change.contactsAdded)).toEqual([null, -2, 4]);
+      expect(series.map(point => point.movingAverage.contactsAdded)).toEqual([2, 1, 2]);
+    });
+
+    it('compares totals with the same number of days before the range', () => {
+      const { totals, comparison } = buildSeries(records, {
+        startDate: '2024-03-01',
+        endDate: '2024-03-03',
+        metrics: ['contactsAdded']
+      });
+
+      expect(totals).toEqual({ contactsAdded: 6 });
+      expect(comparison).toMatchObject({
+        previousStartDate: '2024-02-27',
+        previousEndDate: '2024-02-29',
+        previousTotals: { contactsAdded: 3 },
+        deltas: { contactsAdded: { absolute: 3 } }
+      });
+    });
+
+    it('sums days into weekly buckets', () => {
+      const { series } = buildSeries(records, {
+        startDate: '2024-02-26',
+        endDate: '2024-03-10',
+        granularity: 'weekly',
+        metrics: ['contactsAdded']
+      });
+
+      expect(series).toHaveLength(2);
+      expect(series[0]).toMatchObject({ period: '2024-02-26', values: { contactsAdded: 9 } });
+      expect(series[1]).toMatchObject({ period: '2024-03-04', values: { contactsAdded: 0 } });
+    });
+  });
+});
@@ -0,0 +1,97 @@
+// tests/unit/contactDuplicates.test.js
+const {
+  normalizeEmail,
+  normalizeLinkedin,
+  nameSimilarity,
+  scoreDuplicatePair,
+  findDuplicatePairs
+} = require('../../utils/contactDuplicates');
+
+describe('contactDuplicates', () => {
+  describe('normalizers', () => {
+    it('lowercases and trims emails', () => {
+      expect(normalizeEmail('  Jane.Doe@GS.com ')).toBe('jane.doe@gs.com');
+      expect(normalizeEmail(undefined)).toBe('');
+    });
+
+    it('reduces LinkedIn URLs to the profile slug', () => {
+      expect(normalizeLinkedin('https://www.linkedin.com/in/JSmith/')).toBe('jsmith');
+      expect(normalizeLinkedin('linkedin.com/in/jsmith?trk=abc')).toBe('jsmith');
+      expect(normalizeLinkedin('')).toBe('');
+    });
+  });
+
+  describe('nameSimilarity', () => {
+    it('treats identical names as a full match regardless of case and punctuation', () => {
+      expect(nameSimilarity('Jane Doe', 'jane  doe')).toBe(1);
+      expect(nameSimilarity('Mary-Jane Doe', 'mary jane doe')).toBe(1);
+    });
+
+    it('counts a shortened first name with the same last name as a near match', () => {
+      expect(nameSimilarity('Jon Smith', 'Jonathan Smith')).toBeGreaterThanOrEqual(0.85);
+      expect(nameSimilarity('J. Smith', 'Jane Smith')).toBeGreaterThanOrEqual(0.85);
+    });
+
+    it('scores unrelated names low', () => {
+      expect(nameSimilarity('Jane Doe', 'Robert Brown')).toBeLessThan(0.5);
+      expect(nameSimilarity('', 'Jane Doe')).toBe(0);
+    });
+  });
+
+  describe('scoreDuplicatePair', () => {
+    it('adds up the matching signals', () => {
+      const result = scoreDuplicatePair(
+        { name: 'Jane Doe', email: 'jane@gs.com', firm: 'Goldman Sachs' },
+        { name: 'Jane Doe', email: 'JANE@gs.com ', firm: 'Goldman Sachs' }
+      );
+      expect(result.reasons).toEqual(['email', 'name', 'firm']);
+      expect(result.score).toBe(100);
+    });
+
+    it('weights a similar name by its similarity', () => {
+      const result = scoreDuplicatePair({ name: 'Jon Smith' }, { name: 'Jonathan Smith' });
+      expect(result.reasons).toEqual(['similar name']);
+      expect(result.score).toBeGreaterThanOrEqual(34);
+      expect(result.score).toBeLessThan(40);
+    });
+
+    it('compares firms by firmId when both have one', () => {
+      const result = scoreDuplicatePair(
+        { name: 'A', firm: 'Goldman Sachs', firmId: 'f1' },
+        { name: 'B', firm: 'Goldman Sachs', firmId: 'f2' }
+      );
+      expect(result.reasons).not.toContain('firm');
+    });
+
+    it('scores nothing for unrelated contacts', () => {
+      expect(scoreDuplicatePair({ name: 'Jane Doe' }, { name: 'Robert Brown' })).toEqual({ score: 0, reasons: [] });
+    });
+  });
+
+  describe('findDuplicatePairs', () => {
+    const contacts = [
+      { _id: 'a', name: 'Jane Doe', email: 'jane@gs.com', createdAt: '2024-01-01', interactions: [] },
+      { _id: 'b', name: 'Jane Doe', email: 'jane@gs.com', createdAt: '2024-02-01', interactions: [{}] },
+      { _id: 'c', name: 'Robert Brown', email: 'rob@ms.com', createdAt: '2024-01-01' }
+    ];
+
+    it('reports pairs above the threshold and suggests the most active contact as survivor', () => {
+      const pairs = findDuplicatePairs(contacts);
+      expect(pairs).toHaveLength(1);
+      expect(pairs[0].contacts.map(contact => contact._id)).toEqual(['a', 'b']);
+      expect(pairs[0].suggestedSurvivorId).toBe('b');
+    });
+
+    it('honours the threshold', () => {
+      expect(findDuplicatePairs(contacts, { threshold: 101 })).toEqual([]);
+    });
+
+    it('keeps the oldest contact when activity is equal', () => {
+      const [pair] = findDuplicatePairs([
+        { _id: 'new', name: 'Jane Doe', email: 'jane@gs.com', createdAt: '2024-03-01' },
+        { _id: 'old', name: 'Jane Doe', email: 'jane@gs.com', createdAt: '2024-01-01' }
+      ]);
+      expect(pair.suggestedSurvivorId).toBe('old');
+    });
+  });
+});
@@ -0,0 +1,143 @@
+// tests/unit/contactImport.test.js
+const {
+  detectFormat,
+  parseImportFile,
+  suggestMapping,
+  mapRow,
+  validateRow,
+  toStoredRows,
+  fromStoredRows
+} = require('../../utils/contactImport');
+
+const file = (originalname, text) => ({ originalname, buffer: Buffer.from(text, 'utf8') });
+
+describe('contactImport', () => {
+  describe('detectFormat', () => {
+    it('recognises vCards, LinkedIn exports and plain CSV', () => {
+      expect(detectFormat('contacts.vcf', '')).toBe('vcard');
+      expect(detectFormat('x.txt', 'BEGIN:VCARD\nEND:VCARD')).toBe('vcard');
+      expect(detectFormat('Connections.csv', 'Notes:\n\nFirst Name,Last Name,URL,Email Address,Company,Position\n'))
+        .toBe('linkedin');
+      expect(detectFormat('contacts.csv', 'Name,Firm\n')).toBe('csv');
+    });
+  });
+
+  describe('parseImportFile', () => {
+    it('parses CSV with a byte order mark and trims headers', async () => {
+      const parsed = await parseImportFile(file('contacts.csv', '\uFEFFName , Company\nJane Doe,Goldman Sachs\n'));
+      expect(parsed).toEqual({
+        format: 'csv',
+        columns: ['Name', 'Company'],
+        rows: [{ Name: 'Jane Doe', Company: 'Goldman Sachs' }],
+        truncated: false
+      });
+    });
+
+    it('skips the LinkedIn preamble', async () => {
+      const text = [
+        'Notes:',
+        '"Connections exported from LinkedIn"',
+        '',
+        'First Name,Last Name,URL,Email Address,Company,Position,Connected On',
+        'Jane,Doe,https://www.linkedin.com/in/janedoe,jane@gs.com,Goldman Sachs,Analyst,12 Mar 2024'
+      ].join('\n');
+      const parsed = await parseImportFile(file('Connections.csv', text));
+      expect(parsed.format).toBe('linkedin');
+      expect(parsed.rows[0]).toMatchObject({ 'First Name': 'Jane', Company: 'Goldman Sachs' });
+    });
+
+    it('parses folded and escaped vCard properties', async () => {
+      const text = [
+        'BEGIN:VCARD',
+        'VERSION:3.0',
+        'N:Doe;Jane;;;',
+        'FN:Jane Doe',
+        'ORG:Goldman Sachs;TMT',
+        'EMAIL;TYPE=work:jane@gs.com',
+        'NOTE:Met at the\\, conference',
+        '  in London',
+        'END:VCARD'
+      ].join('\r\n');
+      const parsed = await parseImportFile(file('contacts.vcf', text));
+      expect(parsed.rows).toEqual([{
+        'First Name': 'Jane',
+        'Last Name': 'Doe',
+        'Full Name': 'Jane Doe',
+        Organization: 'Goldman Sachs',
+        Department: 'TMT',
+        Email: 'jane@gs.com',
+        Note: 'Met at the, conference in London'
+      }]);
+    });
+  });
+
+  describe('suggestMapping', () => {
+    it('maps headers to fields, each field at most once', () => {
+      expect(suggestMapping(['First Name', 'Last Name', 'Email Address', 'Company', 'Organization', 'Unknown']))
+        .toEqual({
+          'First Name': 'firstName',
+          'Last Name': 'lastName',
+          'Email Address': 'email',
+          Company: 'firm'
+        });
+    });
+  });
+
+  describe('mapRow', () => {
+    const mapping = {
+      'First Name': 'firstName',
+      'Last Name': 'lastName',
+      Company: 'firm',
+      Tags: 'tags',
+      Referred: 'referred',
+      'Connected On': 'networkingDate'
+    };
+
+    it('combines first and last name and converts typed fields', () => {
+      const data = mapRow({
+        'First Name': ' Jane ',
+        'Last Name': 'Doe',
+        Company: 'Goldman Sachs',
+        Tags: 'tmt; london,,',
+        Referred: 'Yes',
+        'Connected On': '2024-03-12T10:00:00Z'
+      }, mapping);
+      expect(data).toEqual({
+        name: 'Jane Doe',
+        firm: 'Goldman Sachs',
+        tags: ['tmt', 'london'],
+        referred: true,
+        networkingDate: '2024-03-12'
+      });
+    });
+
+    it('falls back to the default firm and skips empty values', () => {
+      expect(mapRow({ 'First Name': 'Jane', Company: '' }, mapping, { defaultFirm: 'Lazard' }))
+        .toEqual({ name: 'Jane', firm: 'Lazard' });
+    });
+  });
+
+  describe('validateRow', () => {
+    it('requires a name and firm and checks emails, dates and enums', () => {
+      expect(validateRow({ name: 'Jane Doe', firm: 'Lazard' })).toEqual([]);
+      const errors = validateRow({ email: 'not-an-email', networkingDate: '12/03/2024', priority: 'Urgent' });
+      expect(errors).toEqual(expect.arrayContaining([
+        'Name is required',
+        'Firm is required',
+        'Invalid email: not-an-email',
+        'Invalid date for networkingDate: 12/03/2024'
+      ]));
+      expect(errors.some(error => error.startsWith('Invalid priority: Urgent'))).toBe(true);
+    });
+  });
+
+  describe('stored rows', () => {
+    it('round-trips rows through value arrays', () => {
+      const columns = ['Name', 'a.b', '$c'];
+      const rows = [{ Name: 'Jane', 'a.b': 'x' }];
+      const stored = toStoredRows(columns, rows);
+      expect(stored).toEqual([['Jane', 'x', '']]);
+      expect(fromStoredRows(columns, stored)).toEqual([{ Name: 'Jane', 'a.b': 'x', $c: '' }]);
+    });
+  });
+});
@@ -0,0 +1,47 @@
+// tests/unit/dataRetention.test.js
+const { getGlobalRetentionDays, getRetentionDays, purgeDate } = require('../../utils/dataRetention');
+
+describe('dataRetention', () => {
+  const originalDays = process.env.DATA_RETENTION_DAYS;
+
+  afterEach(() => {
+    if (originalDays === undefined) delete process.env.DATA_RETENTION_DAYS;
+    else process.env.DATA_RETENTION_DAYS = originalDays;
+  });
+
+  describe('getRetentionDays', () => {
+    it('keeps archived records forever with no setting', () => {
+      delete process.env.DATA_RETENTION_DAYS;
+      expect(getGlobalRetentionDays()).toBeNull();
+      expect(getRetentionDays({ preferences: {} })).toBeNull();
+      expect(getRetentionDays(undefined)).toBeNull();
+    });
+
+    it('uses the shorter of the user preference and DATA_RETENTION_DAYS', () => {
+      process.env.DATA_RETENTION_DAYS = '90';
+      expect(getRetentionDays({ preferences: { archiveRetentionDays: 30 } })).toBe(30);
+      expect(getRetentionDays({ preferences: { archiveRetentionDays: 365 } })).toBe(90);
+      expect(getRetentionDays({ preferences: {} })).toBe(90);
+    });
+
+    it('ignores invalid global values', () => {
+      process.env.DATA_RETENTION_DAYS = 'never';
+      expect(getGlobalRetentionDays()).toBeNull();
+      expect(getRetentionDays({ preferences: { archiveRetentionDays: 30 } })).toBe(30);
+    });
+  });
+
+  describe('purgeDate', () => {
+    it('counts from archivedAt', () => {
+      expect(purgeDate({ archivedAt: '2024-03-01T12:00:00.000Z' }, 30)).toEqual(new Date('2024-03-31T12:00:00.000Z'));
+    });
+
+    it('falls back to updatedAt for records archived before archivedAt existed', () => {
+      expect(purgeDate({ updatedAt: '2024-03-01T00:00:00.000Z' }, 1)).toEqual(new Date('2024-03-02T00:00:00.000Z'));
+    });
+
+    it('is null without a retention window', () => {
+      expect(purgeDate({ archivedAt: new Date() }, null)).toBeNull();
+    });
+  });
+});
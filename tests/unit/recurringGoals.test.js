@@ -0,0 +1,103 @@
+// tests/unit/recurringGoals.test.js
+const { addMonths, getNextWindow } = require('../../utils/recurringGoals');
+
+const goal = (timeframe, startDate, endDate, history = []) => ({
+  timeframe,
+  startDate,
+  endDate,
+  history
+});
+
+describe('recurringGoals', () => {
+  describe('addMonths', () => {
+    it('keeps the day of month when the target month has it', () => {
+      expect(addMonths('2024-01-15', 1)).toBe('2024-02-15');
+      expect(addMonths('2024-11-30', 3)).toBe('2025-02-28');
+    });
+
+    it('clamps to the end of shorter months instead of rolling over', () => {
+      expect(addMonths('2024-01-31', 1)).toBe('2024-02-29');
+      expect(addMonths('2023-01-31', 1)).toBe('2023-02-28');
+      expect(addMonths('2024-03-31', 1)).toBe('2024-04-30');
+    });
+
+    it('lands on the requested day of month when given one', () => {
+      expect(addMonths('2024-02-29', 1, 31)).toBe('2024-03-31');
+      expect(addMonths('2024-04-30', 10, 31)).toBe('2025-02-28');
+    });
+  });
+
+  describe('getNextWindow', () => {
+    it('starts the day after the current window ends', () => {
+      expect(getNextWindow(goal('Daily', '2024-03-10', '2024-03-10'))).toEqual({
+        startDate: '2024-03-11',
+        endDate: '2024-03-11'
+      });
+      expect(getNextWindow(goal('Weekly', '2024-03-04', '2024-03-10'))).toEqual({
+        startDate: '2024-03-11',
+        endDate: '2024-03-17'
+      });
+    });
+
+    it('builds calendar month, quarter and year windows', () => {
+      expect(getNextWindow(goal('Monthly', '2024-01-01', '2024-01-31'))).toEqual({
+        startDate: '2024-02-01',
+        endDate: '2024-02-29'
+      });
+      expect(getNextWindow(goal('Quarterly', '2024-01-01', '2024-03-31'))).toEqual({
+        startDate: '2024-04-01',
+        endDate: '2024-06-30'
+      });
+      expect(getNextWindow(goal('Yearly', '2024-01-01', '2024-12-31'))).toEqual({
+        startDate: '2025-01-01',
+        endDate: '2025-12-31'
+      });
+    });
+
+    it('keeps month windows anchored to the day the series started', () => {
+      // Series started on the 31st; February was clamped to the 28th/29th
+      const history = [{ startDate: '2024-01-31' }];
+      expect(getNextWindow(goal('Monthly', '2024-02-29', '2024-03-30', history))).toEqual({
+        startDate: '2024-03-31',
+        endDate: '2024-04-29'
+      });
+      expect(getNextWindow(goal('Monthly', '2024-03-31', '2024-04-29', history))).toEqual({
+        startDate: '2024-04-30',
+        endDate: '2024-05-30'
+      });
+    });
+
+    it('anchors on the day after a short first window ends', () => {
+      // Monthly goal created mid-month and run to the end of that month
+      expect(getNextWindow(goal('Monthly', '2026-10-19', '2026-10-31'))).toEqual({
+        startDate: '2026-11-01',
+        endDate: '2026-11-30'
+      });
+
+      const history = [{ startDate: '2026-10-19', endDate: '2026-10-31' }];
+      expect(getNextWindow(goal('Monthly', '2026-11-01', '2026-11-30', history))).toEqual({
+        startDate: '2026-12-01',
+        endDate: '2026-12-31'
+      });
+      expect(getNextWindow(goal('Quarterly', '2026-10-19', '2026-12-31'))).toEqual({
+        startDate: '2027-01-01',
+        endDate: '2027-03-31'
+      });
+    });
+
+    it('keeps the start day when the first window was a full period', () => {
+      const history = [{ startDate: '2024-01-31', endDate: '2024-02-28' }];
+      expect(getNextWindow(goal('Monthly', '2024-02-29', '2024-03-30', history))).toEqual({
+        startDate: '2024-03-31',
+        endDate: '2024-04-29'
+      });
+    });
+
+    it('repeats custom windows with the same length', () => {
+      expect(getNextWindow(goal('Custom', '2024-03-01', '2024-03-10'))).toEqual({
+        startDate: '2024-03-11',
+        endDate: '2024-03-20'
+      });
+    });
+  });
+});
@@ -0,0 +1,130 @@
+// tests/unit/storage.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const cloudinary = require('cloudinary').v2;
+const {
+  resolveStoredFile,
+  saveStoredFile,
+  readStoredFile,
+  removeStoredFile
+} = require('../../utils/storage');
+
+describe('storage', () => {
+  const originalEnv = { ...process.env };
+  const userId = '64b000000000000000000001';
+  const otherUserId = '64b000000000000000000002';
+  let uploadDir;
+
+  beforeEach(() => {
+    uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'uploads-'));
+    process.env.UPLOAD_PATH = uploadDir;
+    delete process.env.CLOUDINARY_CLOUD_NAME;
+    delete process.env.CLOUDINARY_API_KEY;
+    delete process.env.CLOUDINARY_API_SECRET;
+    global.fetch = jest.fn();
+  });
+
+  afterEach(() => {
+    fs.rmSync(uploadDir, { recursive: true, force: true });
+    process.env = { ...originalEnv };
+    delete global.fetch;
+    jest.restoreAllMocks();
+  });
+
+  const localFile = (key) => ({ provider: 'local', key });
+
+  describe('resolveStoredFile', () => {
+    it("resolves keys under the owner's prefix", () => {
+      expect(resolveStoredFile(localFile(`users/${userId}/doc-1.pdf`), userId)).toEqual({
+        provider: 'local',
+        filePath: path.join(uploadDir, 'users', userId, 'doc-1.pdf')
+      });
+    });
+
+    it("rejects another user's keys and anything outside storage", () => {
+      expect(resolveStoredFile(localFile(`users/${otherUserId}/doc-1.pdf`), userId)).toBeNull();
+      expect(resolveStoredFile(localFile(`users/${userId}/../${otherUserId}/doc-1.pdf`), userId)).toBeNull();
+      expect(resolveStoredFile(localFile('/etc/passwd'), userId)).toBeNull();
+      expect(resolveStoredFile({ provider: 'ftp', key: `users/${userId}/doc-1.pdf` }, userId)).toBeNull();
+    });
+
+    it('ignores records without a stored key, such as plain URLs', () => {
+      expect(resolveStoredFile('/uploads/cv.pdf', userId)).toBeNull();
+      expect(resolveStoredFile({ url: 'https://example.com/cv.pdf' }, userId)).toBeNull();
+      expect(resolveStoredFile(undefined, userId)).toBeNull();
+      expect(resolveStoredFile(localFile(`users/${userId}/doc-1.pdf`), undefined)).toBeNull();
+    });
+
+    it('resolves Cloudinary keys only when an account is configured', () => {
+      const storedFile = { provider: 'cloudinary', key: `users/${userId}/doc-1.pdf`, resourceType: 'raw' };
+      expect(resolveStoredFile(storedFile, userId)).toBeNull();
+
+      process.env.CLOUDINARY_CLOUD_NAME = 'our-cloud';
+      expect(resolveStoredFile(storedFile, userId)).toEqual({
+        provider: 'cloudinary',
+        publicId: `users/${userId}/doc-1.pdf`,
+        resourceType: 'raw'
+      });
+    });
+  });
+
+  describe('saveStoredFile', () => {
+    it("writes local files under the owner's prefix", async () => {
+      const storedFile = await saveStoredFile(userId, 'doc-1', {
+        originalname: 'My CV.PDF',
+        buffer: Buffer.from('resume')
+      });
+
+      expect(storedFile.provider).toBe('local');
+      expect(storedFile.key).toMatch(new RegExp(`^users/${userId}/doc-1-[0-9a-f]{16}\\.pdf$`));
+      expect((await readStoredFile(storedFile, userId)).toString()).toBe('resume');
+    });
+  });
+
+  describe('readStoredFile', () => {
+    it("never reads another user's files", async () => {
+      const storedFile = await saveStoredFile(otherUserId, 'doc-1', { originalname: 'cv.txt', buffer: Buffer.from('x') });
+
+      expect(await readStoredFile(storedFile, userId)).toBeNull();
+      expect(await readStoredFile('http://169.254.169.254/latest/meta-data', userId)).toBeNull();
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
+
+    it('downloads Cloudinary files from a signed URL without following redirects', async () => {
+      process.env.CLOUDINARY_CLOUD_NAME = 'our-cloud';
+      process.env.CLOUDINARY_API_KEY = 'key';
+      process.env.CLOUDINARY_API_SECRET = 'secret';
+      global.fetch.mockResolvedValue({ ok: true, arrayBuffer: async () => Buffer.from('pdf') });
+
+      const data = await readStoredFile({ provider: 'cloudinary', key: `users/${userId}/doc-1.pdf` }, userId);
+
+      expect(data.toString()).toBe('pdf');
+      const [url, options] = global.fetch.mock.calls[0];
+      expect(url).toMatch(new RegExp(`^https://res\\.cloudinary\\.com/our-cloud/raw/authenticated/s--[^/]+--/.*users/${userId}/doc-1\\.pdf$`));
+      expect(options).toMatchObject({ redirect: 'error' });
+    });
+  });
+
+  describe('removeStoredFile', () => {
+    it("removes the owner's file and leaves other users' files", async () => {
+      const own = await saveStoredFile(userId, 'doc-1', { originalname: 'cv.txt', buffer: Buffer.from('x') });
+      const other = await saveStoredFile(otherUserId, 'doc-2', { originalname: 'cv.txt', buffer: Buffer.from('y') });
+
+      expect(await removeStoredFile(own, userId)).toBe(true);
+      expect(await removeStoredFile(other, userId)).toBe(false);
+
+      expect(fs.existsSync(path.join(uploadDir, own.key))).toBe(false);
+      expect(fs.existsSync(path.join(uploadDir, other.key))).toBe(true);
+    });
+
+    it('destroys Cloudinary files by their recorded key', async () => {
+      process.env.CLOUDINARY_CLOUD_NAME = 'our-cloud';
+      const destroy = jest.spyOn(cloudinary.uploader, 'destroy').mockResolvedValue({ result: 'ok' });
+
+      await removeStoredFile({ provider: 'cloudinary', key: `users/${userId}/doc-1.pdf`, resourceType: 'raw' }, userId);
+
+      expect(destroy).toHaveBeenCalledWith(`users/${userId}/doc-1.pdf`, { resource_type: 'raw', type: 'authenticated' });
+    });
+  });
+});
@@ -0,0 +1,153 @@
+// utils/accountDeletion.js
+const fs = require('fs');
+const {
+  User,
+  Contact,
+  ContactHistory,
+  ContactImport,
+  Interview,
+  Document,
+  Task,
+  Goal,
+  Analytics,
+  Firm,
+  DataExport
+} = require('../models');
+const { removeStoredFile } = require('./storage');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const getGraceDays = () => Number(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 30;
+
+// A purge still running after this long was interrupted and may be claimed again
+const PURGE_RETRY_MS = 60 * 60 * 1000;
+
+// Collections holding the user's rows, deleted by userId
+const USER_DATA_MODELS = {
+  contacts: Contact,
+  contactHistory: ContactHistory,
+  contactImports: ContactImport,
+  interviews: Interview,
+  documents: Document,
+  tasks: Task,
+  goals: Goal,
+  analytics: Analytics,
+  firms: Firm,
+  dataExports: DataExport
+};
+
+// Put the account into its grace period and sign it out everywhere. Returns
+// null if the account is no longer active (e.g. already being deleted).
+const requestAccountDeletion = async (user, { reason } = {}) => {
+  const requestedAt = new Date();
+  const updated = await User.findOneAndUpdate(
+    { _id: user._id, status: 'active' },
+    {
+      status: 'pending-deletion',
+      deletion: {
+        requestedAt,
+        scheduledFor: new Date(requestedAt.getTime() + getGraceDays() * DAY_MS),
+        reason
+      },
+      refreshTokens: []
+    },
+    { new: true }
+  );
+  return updated ? updated.deletion : null;
+};
+
+// Reactivate the account while it is still in its grace period. Returns false
+// once the purge job has claimed it.
+const cancelAccountDeletion = async (user) => {
+  const updated = await User.findOneAndUpdate(
+    { _id: user._id, status: 'pending-deletion' },
+    { status: 'active', $unset: { deletion: 1 } }
+  );
+  return Boolean(updated);
+};
+
+// Claim an account whose grace period has ended so a concurrent cancellation
+// or purge run can't touch it. Accounts left 'purging' by an interrupted run
+// are claimed again after PURGE_RETRY_MS.
+const claimAccountForPurge = (userId, now = new Date()) => User.findOneAndUpdate(
+  {
+    _id: userId,
+    $or: [
+      { status: 'pending-deletion', 'deletion.scheduledFor': { $lte: now } },
+      { status: 'purging', 'deletion.purgeStartedAt': { $lte: new Date(now.getTime() - PURGE_RETRY_MS) } }
+    ]
+  },
+  { status: 'purging', 'deletion.purgeStartedAt': now }
+);
+
+// Hard-delete every row and stored file belonging to the user, then the user.
+// The account must already be claimed with claimAccountForPurge.
+const purgeUserData = async (userId) => {
+  if (!await User.exists({ _id: userId, status: 'purging' })) {
+    throw new Error('Account has not been claimed for purging');
+  }
+
+  const [documents, dataExports] = await Promise.all([
+    Document.find({ userId, 'storedFile.key': { $exists: true } }).select('storedFile').lean(),
+    DataExport.find({ userId, filePath: { $exists: true } }).select('filePath').lean()
+  ]);
+
+  let filesRemoved = 0;
+  const fileErrors = [];
+  for (const document of documents) {
+    try {
+      if (await removeStoredFile(document.storedFile, userId)) filesRemoved++;
+    } catch (error) {
+      fileErrors.push(`${document._id}: ${error.message}`);
+    }
+  }
+  for (const dataExport of dataExports) {
+    await fs.promises.unlink(dataExport.filePath)
+      .then(() => { filesRemoved++; })
+      .catch(error => {
+        if (error.code !== 'ENOENT') fileErrors.push(`${dataExport._id}: ${error.message}`);
+      });
+  }
+
+  const deleted = {};
+  for (const [name, Model] of Object.entries(USER_DATA_MODELS)) {
+    const result = await Model.deleteMany({ userId });
+    deleted[name] = result.deletedCount;
+  }
+  await User.deleteOne({ _id: userId, status: 'purging' });
+
+  if (fileErrors.length > 0) console.error('Account purge file errors:', userId, fileErrors);
+  return { deleted, filesRemoved, fileErrors: fileErrors.length };
+};
+
+// Purge accounts whose grace period has ended; each is claimed first and
+// skipped if it was cancelled or claimed elsewhere in the meantime
+const purgeDeletedAccounts = async (now = new Date()) => {
+  const users = await User.find({
+    $or: [
+      { status: 'pending-deletion', 'deletion.scheduledFor': { $lte: now } },
+      { status: 'purging', 'deletion.purgeStartedAt': { $lte: new Date(now.getTime() - PURGE_RETRY_MS) } }
+    ]
+  }).select('_id').lean();
+
+  let purged = 0;
+  for (const user of users) {
+    try {
+      if (!await claimAccountForPurge(user._id, now)) continue;
+      await purgeUserData(user._id);
+      purged++;
+    } catch (error) {
+      console.error('Account purge error:', user._id, error);
+    }
+  }
+  return { due: users.length, purged };
+};
+
+module.exports = {
+  getGraceDays,
+  requestAccountDeletion,
+  cancelAccountDeletion,
+  claimAccountForPurge,
+  purgeUserData,
+  purgeDeletedAccounts
+};
@@ -0,0 +1,201 @@
+// utils/analytics.js
+const { Analytics } = require('../models');
+
+// Keys of analyticsSchema.metrics, in display order
+const METRIC_KEYS = [
+  'contactsAdded',
+  'interactionsLogged',
+  'interviewsScheduled',
+  'followUpsCompleted',
+  'documentsCreated',
+  'tasksCompleted',
+  'goalsProgress'
+];
+
+// Domain event -> metric it increments
+const ACTION_METRICS = {
+  contact_added: 'contactsAdded',
+  interaction_logged: 'interactionsLogged',
+  interview_scheduled: 'interviewsScheduled',
+  follow_up_completed: 'followUpsCompleted',
+  document_created: 'documentsCreated',
+  task_completed: 'tasksCompleted',
+  goal_updated: 'goalsProgress'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toDateString = (date) => date.toISOString().split('T')[0];
+
+const parseDate = (dateString) => new Date(`${dateString.split('T')[0]}T00:00:00.000Z`);
+
+const addDays = (dateString, days) => toDateString(new Date(parseDate(dateString).getTime() + days * DAY_MS));
+
+const daysInRange = (startDate, endDate) => Math.round((parseDate(endDate) - parseDate(startDate)) / DAY_MS) + 1;
+
+const emptyMetrics = () => METRIC_KEYS.reduce((acc, key) => ({ ...acc, [key]: 0 }), {});
+
+// Bucket boundaries: weeks start on Monday, months on the 1st
+const getBucket = (dateString, granularity) => {
+  const date = parseDate(dateString);
+
+  if (granularity === 'weekly') {
+    const offset = (date.getUTCDay() + 6) % 7;
+    const startDate = addDays(dateString, -offset);
+    return { period: startDate, startDate, endDate: addDays(startDate, 6) };
+  }
+
+  if (granularity === 'monthly') {
+    const startDate = `${dateString.slice(0, 7)}-01`;
+    const nextMonth = parseDate(startDate);
+    nextMonth.setUTCMonth(nextMonth.getUTCMonth() + 1);
+    return {
+      period: dateString.slice(0, 7),
+      startDate,
+      endDate: addDays(toDateString(nextMonth), -1)
+    };
+  }
+
+  return { period: dateString, startDate: dateString, endDate: dateString };
+};
+
+const sumMetrics = (records) => records.reduce((totals, record) => {
+  METRIC_KEYS.forEach(key => {
+    totals[key] += (record.metrics && record.metrics[key]) || 0;
+  });
+  return totals;
+}, emptyMetrics());
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const percentChange = (current, previous) => {
+  if (previous === 0) return current === 0 ? 0 : null;
+  return round(((current - previous) / previous) * 100);
+};
+
+// Roll daily Analytics documents up into a chartable series. `records` may
+// include days before startDate (the comparison period); days without a
+// document count as zero so the series has no gaps.
+const buildSeries = (records, {
+  startDate,
+  endDate,
+  granularity = 'daily',
+  metrics = METRIC_KEYS,
+  window = 7
+}) => {
+  const byDate = new Map(records.map(record => [record.date, record.metrics || {}]));
+
+  // Collect ordered buckets across the requested range
+  const buckets = [];
+  const bucketIndex = new Map();
+  for (let day = startDate; day <= endDate; day = addDays(day, 1)) {
+    const bucket = getBucket(day, granularity);
+    if (!bucketIndex.has(bucket.period)) {
+      bucketIndex.set(bucket.period, buckets.length);
+      buckets.push({ ...bucket, values: emptyMetrics() });
+    }
+    const dayMetrics = byDate.get(day);
+    if (dayMetrics) {
+      const { values } = buckets[bucketIndex.get(bucket.period)];
+      METRIC_KEYS.forEach(key => {
+        values[key] += dayMetrics[key] || 0;
+      });
+    }
+  }
+
+  const series = buckets.map((bucket, index) => {
+    const windowStart = Math.max(0, index - window + 1);
+    const windowBuckets = buckets.slice(windowStart, index + 1);
+    const previous = buckets[index - 1];
+
+    const values = {};
+    const movingAverage = {};
+    const change = {};
+    metrics.forEach(key => {
+      values[key] = bucket.values[key];
+      movingAverage[key] = round(
+        windowBuckets.reduce((sum, b) => sum + b.values[key], 0) / windowBuckets.length
+      );
+      change[key] = previous ? bucket.values[key] - previous.values[key] : null;
+    });
+
+    return {
+      period: bucket.period,
+      startDate: bucket.startDate,
+      endDate: bucket.endDate,
+      values,
+      movingAverage,
+      change
+    };
+  });
+
+  // Period-over-period: compare with the same number of days immediately before
+  const length = daysInRange(startDate, endDate);
+  const previousStart = addDays(startDate, -length);
+  const current = sumMetrics(records.filter(r => r.date >= startDate && r.date <= endDate));
+  const previousPeriod = sumMetrics(records.filter(r => r.date >= previousStart && r.date < startDate));
+
+  const totals = {};
+  const averages = {};
+  const previousTotals = {};
+  const deltas = {};
+  metrics.forEach(key => {
+    totals[key] = current[key];
+    averages[key] = round(current[key] / Math.max(buckets.length, 1));
+    previousTotals[key] = previousPeriod[key];
+    deltas[key] = {
+      absolute: current[key] - previousPeriod[key],
+      percent: percentChange(current[key], previousPeriod[key])
+    };
+  });
+
+  return {
+    series,
+    totals,
+    averages,
+    comparison: {
+      previousStartDate: previousStart,
+      previousEndDate: addDays(startDate, -1),
+      previousTotals,
+      deltas
+    }
+  };
+};
+
+// Atomically bump the daily counter for an action; creates the day's document on first use
+const recordEvent = (userId, action, { date, count = 1 } = {}) => {
+  const metric = ACTION_METRICS[action];
+  if (!metric) throw new Error(`Unknown analytics action: ${action}`);
+
+  const day = date ? String(date).split('T')[0] : toDateString(new Date());
+  return Analytics.updateOne(
+    { userId, date: day },
+    { $inc: { [`metrics.${metric}`]: count } },
+    { upsert: true }
+  );
+};
+
+// Server-side capture from route handlers. Tracking must never fail the
+// request that triggered it, so errors are only logged.
+const trackEvent = async (userId, action, options = {}) => {
+  if (process.env.ENABLE_ANALYTICS_TRACKING === 'false') return;
+  if (options.count === 0) return;
+
+  try {
+    await recordEvent(userId, action, options);
+  } catch (error) {
+    console.error(`Analytics capture error (${action}):`, error.message);
+  }
+};
+
+module.exports = {
+  METRIC_KEYS,
+  ACTION_METRICS,
+  recordEvent,
+  trackEvent,
+  toDateString,
+  addDays,
+  daysInRange,
+  getBucket,
+  buildSeries
+};
@@ -0,0 +1,183 @@
+// utils/analyticsBackfill.js
+const mongoose = require('mongoose');
+const {
+  User,
+  Contact,
+  Interview,
+  Document,
+  Task,
+  Analytics
+} = require('../models');
+const { toDateString, addDays } = require('./analytics');
+const { FOLLOW_UP_STATUSES } = require('./networkingStatus');
+
+// Metrics that can be derived from stored records. goalsProgress only exists
+// as captured events, so a rebuild leaves it untouched.
+const DERIVED_METRICS = [
+  'contactsAdded',
+  'interactionsLogged',
+  'interviewsScheduled',
+  'followUpsCompleted',
+  'documentsCreated',
+  'tasksCompleted'
+];
+
+const EARLIEST_DATE = '1970-01-01';
+
+const dayOf = (field) => ({ $dateToString: { format: '%Y-%m-%d', date: field } });
+
+const toDateRange = (startDate, endDate) => ({
+  $gte: new Date(`${startDate}T00:00:00.000Z`),
+  $lt: new Date(`${addDays(endDate, 1)}T00:00:00.000Z`)
+});
+
+// Count activity per day for one user; returns Map(date -> metrics)
+const computeDailyMetrics = async (userId, startDate, endDate) => {
+  const objectId = new mongoose.Types.ObjectId(userId);
+  const range = toDateRange(startDate, endDate);
+
+  const [contacts, interactions, statusChanges, rounds, documents, tasks] = await Promise.all([
+    Contact.aggregate([
+      { $match: { userId: objectId, createdAt: range } },
+      { $group: { _id: dayOf('$createdAt'), count: { $sum: 1 } } }
+    ]),
+    Contact.aggregate([
+      { $match: { userId: objectId } },
+      { $unwind: '$interactions' },
+      { $match: { 'interactions.date': { $gte: startDate, $lt: addDays(endDate, 1) } } },
+      { $group: { _id: { $substrBytes: ['$interactions.date', 0, 10] }, count: { $sum: 1 } } }
+    ]),
+    // Follow-ups also complete when a contact moves into a follow-up status.
+    // Live capture dates interaction-driven moves by the interaction and manual
+    // ones by the day they were made.
+    Contact.aggregate([
+      { $match: { userId: objectId } },
+      { $unwind: '$statusHistory' },
+      { $match: { 'statusHistory.to': { $in: FOLLOW_UP_STATUSES } } },
+      {
+        $project: {
+          day: {
+            $cond: [
+              { $eq: ['$statusHistory.source', 'interaction'] },
+              { $substrBytes: ['$statusHistory.date', 0, 10] },
+              dayOf('$statusHistory.changedAt')
+            ]
+          }
+        }
+      },
+      { $match: { day: { $gte: startDate, $lte: endDate } } },
+      { $group: { _id: '$day', count: { $sum: 1 } } }
+    ]),
+    // Rounds count on the day they were added, matching live capture
+    Interview.aggregate([
+      { $match: { userId: objectId } },
+      { $unwind: '$rounds' },
+      { $match: { 'rounds.createdAt': range } },
+      { $group: { _id: dayOf('$rounds.createdAt'), count: { $sum: 1 } } }
+    ]),
+    Document.aggregate([
+      { $match: { userId: objectId, createdAt: range } },
+      { $group: { _id: dayOf('$createdAt'), count: { $sum: 1 } } }
+    ]),
+    Task.aggregate([
+      { $match: { userId: objectId, status: 'Completed', completedAt: range } },
+      {
+        $group: {
+          _id: dayOf('$completedAt'),
+          count: { $sum: 1 },
+          followUps: { $sum: { $cond: [{ $eq: ['$type', 'Follow-up'] }, 1, 0] } }
+        }
+      }
+    ])
+  ]);
+
+  const days = new Map();
+  const add = (date, metric, count) => {
+    if (!count) return;
+    if (!days.has(date)) {
+      days.set(date, DERIVED_METRICS.reduce((acc, key) => ({ ...acc, [key]: 0 }), {}));
+    }
+    days.get(date)[metric] += count;
+  };
+
+  contacts.forEach(row => add(row._id, 'contactsAdded', row.count));
+  interactions.forEach(row => add(row._id, 'interactionsLogged', row.count));
+  statusChanges.forEach(row => add(row._id, 'followUpsCompleted', row.count));
+  rounds.forEach(row => add(row._id, 'interviewsScheduled', row.count));
+  documents.forEach(row => add(row._id, 'documentsCreated', row.count));
+  tasks.forEach(row => {
+    add(row._id, 'tasksCompleted', row.count);
+    add(row._id, 'followUpsCompleted', row.followUps);
+  });
+
+  return days;
+};
+
+// Overwrite the derived metrics of one user's Analytics documents in the range.
+// Safe to run repeatedly: every day in the range ends up matching the source data.
+const backfillUserAnalytics = async (userId, startDate, endDate) => {
+  const days = await computeDailyMetrics(userId, startDate, endDate);
+
+  const setMetrics = (metrics) => DERIVED_METRICS.reduce((acc, key) => ({
+    ...acc,
+    [`metrics.${key}`]: metrics ? metrics[key] : 0
+  }), {});
+
+  const operations = [...days.entries()].map(([date, metrics]) => ({
+    updateOne: {
+      filter: { userId, date },
+      update: { $set: setMetrics(metrics) },
+      upsert: true
+    }
+  }));
+
+  // Days that have a document but no activity left in the source data
+  operations.push({
+    updateMany: {
+      filter: {
+        userId,
+        date: { $gte: startDate, $lte: endDate, $nin: [...days.keys()] }
+      },
+      update: { $set: setMetrics(null) }
+    }
+  });
+
+  const result = await Analytics.bulkWrite(operations, { ordered: false });
+
+  return {
+    userId: String(userId),
+    daysWithActivity: days.size,
+    upserted: result.upsertedCount,
+    modified: result.modifiedCount
+  };
+};
+
+// Rebuild analytics for one user or everyone. Without a startDate the whole
+// history is rebuilt, including interactions logged with dates before signup.
+const backfillAnalytics = async ({
+  userId,
+  startDate = EARLIEST_DATE,
+  endDate = toDateString(new Date())
+} = {}) => {
+  const userQuery = userId ? { _id: userId } : {};
+  const users = await User.find(userQuery).select('_id').lean();
+
+  const results = [];
+  for (const user of users) {
+    results.push(await backfillUserAnalytics(user._id, startDate, endDate));
+  }
+
+  return {
+    users: results.length,
+    startDate,
+    endDate,
+    results
+  };
+};
+
+module.exports = {
+  DERIVED_METRICS,
+  computeDailyMetrics,
+  backfillUserAnalytics,
+  backfillAnalytics
+};
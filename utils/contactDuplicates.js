@@ -0,0 +1,181 @@
+// utils/contactDuplicates.js
+const { normalizeFirmName } = require('./firms');
+
+// Points each signal adds to a candidate pair's 0-100 score
+const DUPLICATE_WEIGHTS = {
+  email: 40,
+  linkedin: 40,
+  name: 40,
+  firm: 20
+};
+
+// Pairs scoring below this are not reported
+const DEFAULT_THRESHOLD = 50;
+
+// Names less similar than this don't count towards the score at all
+const MIN_NAME_SIMILARITY = 0.75;
+
+const normalizeEmail = (email) => (email || '').trim().toLowerCase();
+
+// "https://www.linkedin.com/in/jsmith/" and "linkedin.com/in/JSmith" both become "jsmith"
+const normalizeLinkedin = (url) => {
+  const value = (url || '').trim().toLowerCase();
+  if (!value) return '';
+  const match = value.match(/linkedin\.com\/(?:in|pub)\/([^/?#]+)/);
+  return match ? match[1] : value.replace(/^https?:\/\//, '').replace(/^www\./, '').replace(/\/+$/, '');
+};
+
+const nameTokens = (name) => (name || '')
+  .toLowerCase()
+  .replace(/[^a-z0-9 ]/g, ' ')
+  .split(/\s+/)
+  .filter(Boolean);
+
+const levenshtein = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+const stringSimilarity = (a, b) => {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+  return 1 - levenshtein(a, b) / Math.max(a.length, b.length);
+};
+
+// 0-1 similarity of two person names. Same last name with one first name
+// starting the other ("Jon"/"Jonathan", "J."/"Jane") counts as a near match.
+const nameSimilarity = (a, b) => {
+  const left = nameTokens(a);
+  const right = nameTokens(b);
+  if (left.length === 0 || right.length === 0) return 0;
+  if (left.join(' ') === right.join(' ')) return 1;
+
+  const overall = stringSimilarity(left.join(' '), right.join(' '));
+  if (left.length < 2 || right.length < 2) return overall;
+
+  const [firstA, lastA] = [left[0], left[left.length - 1]];
+  const [firstB, lastB] = [right[0], right[right.length - 1]];
+  const lastSimilarity = stringSimilarity(lastA, lastB);
+  const firstMatches = firstA.startsWith(firstB) || firstB.startsWith(firstA);
+
+  if (lastSimilarity === 1 && firstMatches) return Math.max(overall, 0.85);
+  if (lastSimilarity >= 0.8 && firstA === firstB) return Math.max(overall, 0.8);
+  return overall;
+};
+
+const sameFirm = (a, b) => {
+  if (a.firmId && b.firmId) return String(a.firmId) === String(b.firmId);
+  const left = normalizeFirmName(a.firm);
+  return Boolean(left) && left === normalizeFirmName(b.firm);
+};
+
+// Score how likely two contacts are the same person, with the signals that matched
+const scoreDuplicatePair = (a, b) => {
+  const reasons = [];
+  let score = 0;
+
+  const email = normalizeEmail(a.email);
+  if (email && email === normalizeEmail(b.email)) {
+    score += DUPLICATE_WEIGHTS.email;
+    reasons.push('email');
+  }
+
+  const linkedin = normalizeLinkedin(a.linkedin);
+  if (linkedin && linkedin === normalizeLinkedin(b.linkedin)) {
+    score += DUPLICATE_WEIGHTS.linkedin;
+    reasons.push('linkedin');
+  }
+
+  const similarity = nameSimilarity(a.name, b.name);
+  if (similarity >= MIN_NAME_SIMILARITY) {
+    score += DUPLICATE_WEIGHTS.name * similarity;
+    reasons.push(similarity === 1 ? 'name' : 'similar name');
+  }
+
+  if (sameFirm(a, b)) {
+    score += DUPLICATE_WEIGHTS.firm;
+    reasons.push('firm');
+  }
+
+  return { score: Math.min(100, Math.round(score)), reasons };
+};
+
+// Keys that a duplicate pair is likely to share, so only contacts in the same
+// bucket are compared instead of every pair
+const blockingKeys = (contact) => {
+  const tokens = nameTokens(contact.name);
+  return [
+    normalizeEmail(contact.email) && `email:${normalizeEmail(contact.email)}`,
+    normalizeLinkedin(contact.linkedin) && `linkedin:${normalizeLinkedin(contact.linkedin)}`,
+    tokens.length > 0 && `last:${tokens[tokens.length - 1]}`,
+    tokens.length > 0 && `first:${tokens[0].slice(0, 3)}`
+  ].filter(Boolean);
+};
+
+// The contact to keep: the one with the most history, then the oldest
+const pickSurvivor = (a, b) => {
+  const activity = (contact) => (contact.interactions || []).length;
+  if (activity(a) !== activity(b)) return activity(a) > activity(b) ? a : b;
+  return new Date(a.createdAt) <= new Date(b.createdAt) ? a : b;
+};
+
+// Likely duplicate pairs among the given contacts, highest score first
+const findDuplicatePairs = (contacts, { threshold = DEFAULT_THRESHOLD, limit = 50 } = {}) => {
+  const buckets = new Map();
+  contacts.forEach((contact, index) => {
+    blockingKeys(contact).forEach(key => {
+      if (!buckets.has(key)) buckets.set(key, []);
+      buckets.get(key).push(index);
+    });
+  });
+
+  const compared = new Set();
+  const pairs = [];
+  buckets.forEach(indexes => {
+    for (let i = 0; i < indexes.length; i++) {
+      for (let j = i + 1; j < indexes.length; j++) {
+        const key = `${indexes[i]}:${indexes[j]}`;
+        if (compared.has(key)) continue;
+        compared.add(key);
+
+        const a = contacts[indexes[i]];
+        const b = contacts[indexes[j]];
+        const { score, reasons } = scoreDuplicatePair(a, b);
+        if (score < threshold) continue;
+
+        const survivor = pickSurvivor(a, b);
+        pairs.push({
+          score,
+          reasons,
+          suggestedSurvivorId: survivor._id,
+          contacts: [a, b]
+        });
+      }
+    }
+  });
+
+  return pairs
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+};
+
+module.exports = {
+  DUPLICATE_WEIGHTS,
+  DEFAULT_THRESHOLD,
+  normalizeEmail,
+  normalizeLinkedin,
+  nameSimilarity,
+  scoreDuplicatePair,
+  findDuplicatePairs
+};
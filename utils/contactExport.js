@@ -0,0 +1,194 @@
+// utils/contactExport.js
+const { createObjectCsvStringifier } = require('csv-writer');
+
+const joinList = (values) => (values || []).join('; ');
+const dateOnly = (value) => (value ? new Date(value).toISOString().split('T')[0] : '');
+
+// Every column a contact export can include, in default order
+const CONTACT_COLUMNS = {
+  name: { title: 'Name', value: contact => contact.name },
+  firm: { title: 'Firm', value: contact => contact.firm },
+  position: { title: 'Position', value: contact => contact.position },
+  group: { title: 'Group', value: contact => contact.group },
+  seniority: { title: 'Seniority', value: contact => contact.seniority },
+  email: { title: 'Email', value: contact => contact.email },
+  phone: { title: 'Phone', value: contact => contact.phone },
+  linkedin: { title: 'LinkedIn', value: contact => contact.linkedin },
+  networkingStatus: { title: 'Networking Status', value: contact => contact.networkingStatus },
+  networkingDate: { title: 'Networking Date', value: contact => contact.networkingDate },
+  lastContactDate: { title: 'Last Contact Date', value: contact => contact.lastContactDate },
+  nextSteps: { title: 'Next Steps', value: contact => contact.nextSteps },
+  nextStepsDate: { title: 'Next Steps Date', value: contact => contact.nextStepsDate },
+  priority: { title: 'Priority', value: contact => contact.priority },
+  referred: { title: 'Referred', value: contact => (contact.referred ? 'Yes' : 'No') },
+  relationshipScore: { title: 'Relationship Score', value: contact => contact.relationshipScore },
+  tags: { title: 'Tags', value: contact => joinList(contact.tags) },
+  interactionCount: { title: 'Interactions', value: contact => (contact.interactions || []).length },
+  notes: { title: 'Notes', value: contact => contact.notes },
+  createdAt: { title: 'Created', value: contact => dateOnly(contact.createdAt) },
+  updatedAt: { title: 'Updated', value: contact => dateOnly(contact.updatedAt) }
+};
+
+// Columns added to each row of the flattened interactions sheet
+const INTERACTION_COLUMNS = {
+  interactionType: { title: 'Interaction Type', value: interaction => interaction.type },
+  interactionTitle: { title: 'Interaction Title', value: interaction => interaction.title },
+  interactionDate: { title: 'Interaction Date', value: interaction => interaction.date },
+  interactionDuration: { title: 'Duration (min)', value: interaction => interaction.duration },
+  interactionSentiment: { title: 'Sentiment', value: interaction => interaction.sentiment },
+  interactionNotes: { title: 'Interaction Notes', value: interaction => interaction.notes }
+};
+
+const DEFAULT_INTERACTION_CONTACT_COLUMNS = ['name', 'firm', 'position'];
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const cellValue = (value, { escapeFormulas }) => {
+  if (value === undefined || value === null) return '';
+  const text = String(value);
+  return escapeFormulas && FORMULA_PREFIX.test(text) ? `'${text}` : text;
+};
+
+const clientDisconnected = () => Object.assign(new Error('Client disconnected during export'), {
+  code: 'CLIENT_DISCONNECTED'
+});
+
+// Write to the response, waiting when its buffer is full. A client that goes
+// away never drains, so closing rejects instead of waiting forever.
+const write = async (res, chunk) => {
+  if (res.destroyed) throw clientDisconnected();
+  if (res.write(chunk)) return;
+
+  await new Promise((resolve, reject) => {
+    const settle = (callback) => (value) => {
+      res.off('drain', onDrain);
+      res.off('close', onClose);
+      res.off('error', onError);
+      callback(value);
+    };
+    const onDrain = settle(resolve);
+    const onClose = settle(() => reject(clientDisconnected()));
+    const onError = settle(reject);
+    res.on('drain', onDrain);
+    res.on('close', onClose);
+    res.on('error', onError);
+  });
+};
+
+const csvRows = (contact, sheet, columns) => {
+  if (sheet === 'contacts') {
+    return [Object.fromEntries(columns.map(key => [key, CONTACT_COLUMNS[key].value(contact)]))];
+  }
+  return (contact.interactions || []).map(interaction => ({
+    ...Object.fromEntries(columns.map(key => [key, CONTACT_COLUMNS[key].value(contact)])),
+    ...Object.fromEntries(Object.entries(INTERACTION_COLUMNS).map(([key, column]) => [key, column.value(interaction)]))
+  }));
+};
+
+// Stream contacts as CSV. "excel" adds a byte order mark, CRLF line endings and
+// formula escaping so the file opens cleanly in Excel.
+const streamCsv = async (res, cursor, { sheet, columns, excel }) => {
+  const header = [
+    ...columns.map(key => ({ id: key, title: CONTACT_COLUMNS[key].title })),
+    ...(sheet === 'interactions'
+      ? Object.entries(INTERACTION_COLUMNS).map(([key, column]) => ({ id: key, title: column.title }))
+      : [])
+  ];
+  const stringifier = createObjectCsvStringifier({
+    header,
+    alwaysQuote: true,
+    recordDelimiter: excel ? '\r\n' : '\n'
+  });
+
+  await write(res, (excel ? '\uFEFF' : '') + stringifier.getHeaderString());
+  for await (const contact of cursor) {
+    const rows = csvRows(contact, sheet, columns).map(row => Object.fromEntries(
+      Object.entries(row).map(([key, value]) => [key, cellValue(value, { escapeFormulas: excel })])
+    ));
+    if (rows.length > 0) await write(res, stringifier.stringifyRecords(rows));
+  }
+};
+
+const escapeVCard = (value) => String(value || '')
+  .replace(/\\/g, '\\\\')
+  .replace(/\n/g, '\\n')
+  .replace(/([,;])/g, '\\$1');
+
+// Lines longer than 75 characters continue on the next line after a space
+const foldLine = (line) => {
+  const parts = [];
+  for (let start = 0; start < line.length; start += 74) parts.push(line.slice(start, start + 74));
+  return parts.join('\r\n ');
+};
+
+// vCard 3.0 card for one contact
+const toVCard = (contact) => {
+  const names = (contact.name || '').trim().split(/\s+/);
+  const last = names.length > 1 ? names.pop() : '';
+  const lines = [
+    'BEGIN:VCARD',
+    'VERSION:3.0',
+    `N:${escapeVCard(last)};${escapeVCard(names.join(' '))};;;`,
+    `FN:${escapeVCard(contact.name)}`,
+    `ORG:${escapeVCard(contact.firm)}${contact.group ? `;${escapeVCard(contact.group)}` : ''}`,
+    contact.position && `TITLE:${escapeVCard(contact.position)}`,
+    contact.email && `EMAIL;TYPE=INTERNET:${contact.email}`,
+    contact.phone && `TEL;TYPE=CELL:${contact.phone}`,
+    contact.linkedin && `URL:${contact.linkedin}`,
+    contact.tags && contact.tags.length > 0 && `CATEGORIES:${contact.tags.map(escapeVCard).join(',')}`,
+    contact.notes && `NOTE:${escapeVCard(contact.notes)}`,
+    'END:VCARD'
+  ].filter(Boolean);
+  return `${lines.map(foldLine).join('\r\n')}\r\n`;
+};
+
+const streamVCards = async (res, cursor) => {
+  for await (const contact of cursor) await write(res, toVCard(contact));
+};
+
+// Same shape as the previous JSON export, written one contact at a time
+const streamJson = async (res, cursor, { total }) => {
+  await write(res, `{"exportDate":${JSON.stringify(new Date().toISOString())},"totalContacts":${total},"contacts":[`);
+  let first = true;
+  for await (const contact of cursor) {
+    await write(res, (first ? '' : ',') + JSON.stringify(contact));
+    first = false;
+  }
+  await write(res, ']}');
+};
+
+const EXPORT_TYPES = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  excel: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  vcard: { contentType: 'text/vcard; charset=utf-8', extension: 'vcf' },
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json' }
+};
+
+// Set download headers and stream the cursor's contacts in the requested format
+const streamContactExport = async (res, cursor, { format = 'csv', sheet = 'contacts', columns, total }) => {
+  const { contentType, extension } = EXPORT_TYPES[format];
+  const name = sheet === 'interactions' ? 'interactions' : 'contacts';
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${name}-${Date.now()}.${extension}"`);
+
+  try {
+    if (format === 'vcard') await streamVCards(res, cursor);
+    else if (format === 'json') await streamJson(res, cursor, { total });
+    else {
+      const selected = columns || (sheet === 'interactions' ? DEFAULT_INTERACTION_CONTACT_COLUMNS : Object.keys(CONTACT_COLUMNS));
+      await streamCsv(res, cursor, { sheet, columns: selected, excel: format === 'excel' });
+    }
+    res.end();
+  } finally {
+    // Release the Mongo cursor when the export stops early
+    await cursor.close().catch(() => {});
+  }
+};
+
+module.exports = {
+  CONTACT_COLUMNS,
+  INTERACTION_COLUMNS,
+  toVCard,
+  streamContactExport
+};
@@ -0,0 +1,122 @@
+// utils/contactGraph.js
+const { getRelationshipScore } = require('./relationshipScore');
+
+const today = () => new Date().toISOString().split('T')[0];
+
+// How much of the introducer's strength carries across an edge
+const RELATIONSHIP_WEIGHTS = {
+  Introduced: 1,
+  Friend: 1,
+  Mentor: 1,
+  Colleague: 0.9,
+  'Former Colleague': 0.7,
+  Alumni: 0.5,
+  Other: 0.5
+};
+
+const normalize = (value) => (value || '').trim().toLowerCase();
+
+// Undirected adjacency list over the given contacts; edges to contacts that
+// aren't in the list (archived or deleted) are ignored
+const buildAdjacency = (contacts) => {
+  const adjacency = new Map(contacts.map(contact => [String(contact._id), new Map()]));
+  const link = (from, to, relationship) => {
+    const edges = adjacency.get(from);
+    const weight = RELATIONSHIP_WEIGHTS[relationship] || RELATIONSHIP_WEIGHTS.Other;
+    if (!edges.has(to) || edges.get(to).weight < weight) edges.set(to, { relationship, weight });
+  };
+
+  contacts.forEach(contact => {
+    const from = String(contact._id);
+    (contact.connections || []).forEach(connection => {
+      const to = String(connection.contactId);
+      if (to === from || !adjacency.has(to)) return;
+      link(from, to, connection.relationship);
+      link(to, from, connection.relationship);
+    });
+  });
+
+  return adjacency;
+};
+
+// Shortest warm-introduction path to every contact at the target firm and/or
+// group. Paths start at a contact the user has interacted with; each further
+// step needs an introduction. Among equally short paths the strongest wins,
+// where strength is the first contact's relationship score scaled by the
+// weight of every edge crossed.
+const findReferralPaths = (contacts, { firm, group, maxHops = 2, limit = 10, asOf = today() } = {}) => {
+  const nodes = new Map(contacts.map(contact => [
+    String(contact._id),
+    { contact, strength: getRelationshipScore(contact, asOf) }
+  ]));
+  const adjacency = buildAdjacency(contacts);
+
+  const isTarget = ({ contact }) =>
+    (!firm || normalize(contact.firm) === normalize(firm)) &&
+    (!group || normalize(contact.group) === normalize(group));
+
+  const reached = new Map();
+  let frontier = [];
+  nodes.forEach((node, id) => {
+    if (node.strength > 0) {
+      reached.set(id, { introductions: 0, score: node.strength, previous: null, relationship: null });
+      frontier.push(id);
+    }
+  });
+
+  for (let step = 1; step <= maxHops && frontier.length > 0; step++) {
+    const candidates = new Map();
+    frontier.forEach(id => {
+      // A path ends at the first contact inside the target
+      if (isTarget(nodes.get(id))) return;
+      const { score } = reached.get(id);
+      adjacency.get(id).forEach(({ relationship, weight }, neighbourId) => {
+        if (reached.has(neighbourId)) return;
+        const candidate = { introductions: step, score: score * weight, previous: id, relationship };
+        const current = candidates.get(neighbourId);
+        if (!current || candidate.score > current.score) candidates.set(neighbourId, candidate);
+      });
+    });
+    candidates.forEach((entry, id) => reached.set(id, entry));
+    frontier = [...candidates.keys()];
+  }
+
+  const describe = (id, relationship) => {
+    const { contact, strength } = nodes.get(id);
+    return {
+      contactId: contact._id,
+      name: contact.name,
+      firm: contact.firm,
+      group: contact.group,
+      position: contact.position,
+      seniority: contact.seniority,
+      relationshipScore: strength,
+      relationship
+    };
+  };
+
+  const paths = [];
+  reached.forEach((entry, id) => {
+    if (!isTarget(nodes.get(id))) return;
+    const path = [];
+    for (let cursor = id; cursor; cursor = reached.get(cursor).previous) {
+      path.unshift(describe(cursor, reached.get(cursor).relationship));
+    }
+    paths.push({
+      target: path[path.length - 1],
+      introductions: entry.introductions,
+      strength: Math.round(entry.score * 10) / 10,
+      path
+    });
+  });
+
+  return paths
+    .sort((a, b) => a.introductions - b.introductions || b.strength - a.strength)
+    .slice(0, limit);
+};
+
+module.exports = {
+  RELATIONSHIP_WEIGHTS,
+  buildAdjacency,
+  findReferralPaths
+};
@@ -0,0 +1,107 @@
+// utils/contactHistory.js
+const { ContactHistory } = require('../models');
+
+// Fields users edit directly; derived values (relationshipScore, firmId) and
+// sub-documents with their own routes (interactions, connections) are left out
+const TRACKED_FIELDS = [
+  'name', 'firm', 'position', 'group', 'seniority', 'email', 'phone', 'linkedin',
+  'networkingStatus', 'networkingDate', 'lastContactDate', 'nextSteps', 'nextStepsDate',
+  'priority', 'referred', 'notes', 'tags', 'isArchived'
+];
+
+// Fields a single history change may be reverted on; archiving has its own routes
+const REVERTABLE_FIELDS = TRACKED_FIELDS.filter(field => field !== 'isArchived');
+
+const normalizeValue = (value) => {
+  if (value === undefined || value === '') return null;
+  if (Array.isArray(value)) return [...value];
+  return value;
+};
+
+const snapshotContact = (contact) => {
+  const source = contact && contact.toObject ? contact.toObject() : (contact || {});
+  return TRACKED_FIELDS.reduce((acc, field) => ({ ...acc, [field]: normalizeValue(source[field]) }), {});
+};
+
+const sameValue = (a, b) => JSON.stringify(normalizeValue(a)) === JSON.stringify(normalizeValue(b));
+
+// Per-field differences between two versions of a contact
+const diffContact = (before, after) => {
+  const previous = snapshotContact(before);
+  const next = snapshotContact(after);
+  return TRACKED_FIELDS
+    .filter(field => !sameValue(previous[field], next[field]))
+    .map(field => ({ field, oldValue: previous[field], newValue: next[field] }));
+};
+
+// "PUT /api/v1/contacts/:id" for the route handling the request
+const routeSource = (req) => `${req.method} ${req.baseUrl}${req.route ? req.route.path : ''}`;
+
+// Store history entries for one or more contacts. Entries without changes are
+// skipped. Like analytics capture, a failure is logged rather than failing a
+// mutation that has already been saved.
+const recordContactHistory = async (entries) => {
+  const documents = (Array.isArray(entries) ? entries : [entries])
+    .filter(entry => entry.changes && entry.changes.length > 0);
+  if (documents.length === 0) return;
+
+  try {
+    await ContactHistory.insertMany(documents, { ordered: false });
+  } catch (error) {
+    console.error('Contact history capture error:', error.message);
+  }
+};
+
+// History entry for a change made in a request
+const buildEntry = (req, contactId, action, changes, extra = {}) => ({
+  userId: req.user.id,
+  contactId,
+  action,
+  changes,
+  actor: req.user.id,
+  source: routeSource(req),
+  ...extra
+});
+
+// Record the difference between two versions of a contact for this request
+const recordContactChange = (req, action, before, after) => recordContactHistory(
+  buildEntry(req, (after || before)._id, action, diffContact(before, after))
+);
+
+// Interactions have their own routes and aren't tracked fields, so adding,
+// editing or deleting one is stored as an "interactions" change holding the
+// interaction before and after (null when it was added or deleted)
+const INTERACTION_FIELDS = ['_id', 'type', 'title', 'date', 'time', 'duration', 'notes', 'sentiment'];
+
+const snapshotInteraction = (interaction) => {
+  if (!interaction) return null;
+  const source = interaction.toObject ? interaction.toObject() : interaction;
+  return INTERACTION_FIELDS.reduce(
+    (acc, field) => ({ ...acc, [field]: normalizeValue(source[field]) }),
+    {}
+  );
+};
+
+// Record an interaction change along with any contact fields it moved
+// (lastContactDate, networkingStatus, next steps)
+const recordInteractionChange = (req, before, after, previousInteraction, nextInteraction) => {
+  const oldValue = snapshotInteraction(previousInteraction);
+  const newValue = snapshotInteraction(nextInteraction);
+  const changes = diffContact(before, after);
+  if (!sameValue(oldValue, newValue)) changes.push({ field: 'interactions', oldValue, newValue });
+  return recordContactHistory(buildEntry(req, after._id, 'update', changes));
+};
+
+module.exports = {
+  TRACKED_FIELDS,
+  REVERTABLE_FIELDS,
+  snapshotContact,
+  sameValue,
+  diffContact,
+  routeSource,
+  recordContactHistory,
+  buildEntry,
+  recordContactChange,
+  snapshotInteraction,
+  recordInteractionChange
+};
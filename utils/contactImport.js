@@ -0,0 +1,432 @@
+// utils/contactImport.js
+const { Readable } = require('stream');
+const csv = require('csv-parser');
+const { Contact, ContactImport } = require('../models');
+const { createFirmResolver } = require('./firms');
+const { diffContact, recordContactHistory } = require('./contactHistory');
+const { trackEvent } = require('./analytics');
+
+const MAX_IMPORT_FILE_SIZE = 5 * 1024 * 1024;
+const MAX_IMPORT_ROWS = 5000;
+// Files with more rows than this are committed by a background job
+const BACKGROUND_IMPORT_ROWS = 200;
+const IMPORT_TTL_HOURS = 24;
+const PREVIEW_ROWS = 20;
+const MAX_STORED_ROW_ERRORS = 500;
+const BATCH_SIZE = 50;
+// Imports save progress after every batch, so one this long without an update
+// was interrupted (e.g. by a restart) rather than still running
+const IMPORT_TIMEOUT_MINUTES = Number(process.env.CONTACT_IMPORT_TIMEOUT_MINUTES) || 15;
+
+// Contact fields a column can be mapped to, with headers that suggest them.
+// firstName/lastName are combined into name when no full name column is mapped.
+const IMPORT_FIELDS = {
+  name: ['name', 'fullname', 'contactname', 'displayname'],
+  firstName: ['firstname', 'givenname', 'first'],
+  lastName: ['lastname', 'surname', 'familyname', 'last'],
+  firm: ['firm', 'company', 'companyname', 'organization', 'organisation', 'employer'],
+  position: ['position', 'title', 'jobtitle', 'role'],
+  group: ['group', 'department', 'team', 'coverage'],
+  seniority: ['seniority', 'level'],
+  email: ['email', 'emailaddress', 'email1', 'primaryemail', 'workemail'],
+  phone: ['phone', 'phonenumber', 'mobile', 'mobilephone', 'tel', 'telephone', 'cell'],
+  linkedin: ['linkedin', 'linkedinurl', 'linkedinprofile', 'url', 'profileurl'],
+  networkingStatus: ['networkingstatus', 'status'],
+  networkingDate: ['networkingdate', 'connectedon'],
+  lastContactDate: ['lastcontactdate', 'lastcontact', 'lastcontacted'],
+  priority: ['priority'],
+  referred: ['referred'],
+  notes: ['notes', 'note', 'comments'],
+  tags: ['tags', 'labels', 'categories']
+};
+
+const DATE_FIELDS = ['networkingDate', 'lastContactDate'];
+const ENUM_FIELDS = ['seniority', 'networkingStatus', 'priority'];
+
+const normalizeHeader = (header) => String(header || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const stripBom = (text) => text.replace(/^\uFEFF/, '');
+
+// LinkedIn's Connections.csv starts with a "Notes:" preamble before the header row
+const LINKEDIN_HEADER = /^First Name,Last Name,(URL,)?Email Address,Company,Position/m;
+
+const detectFormat = (fileName, text) => {
+  if (/^\s*BEGIN:VCARD/i.test(text) || /\.vcf$/i.test(fileName || '')) return 'vcard';
+  if (LINKEDIN_HEADER.test(text)) return 'linkedin';
+  return 'csv';
+};
+
+// Parse CSV text into { columns, rows }
+const parseCsv = (text, format) => new Promise((resolve, reject) => {
+  let body = text;
+  if (format === 'linkedin') {
+    const match = body.match(LINKEDIN_HEADER);
+    body = body.slice(match.index);
+  }
+
+  let columns = [];
+  const rows = [];
+  Readable.from([body])
+    .pipe(csv({ mapHeaders: ({ header }) => header.trim() }))
+    .on('headers', headers => { columns = headers.filter(Boolean); })
+    .on('data', row => {
+      if (rows.length < MAX_IMPORT_ROWS + 1) rows.push(row);
+    })
+    .on('error', reject)
+    .on('end', () => resolve({ columns, rows }));
+});
+
+const unescapeVCard = (value) => value
+  .replace(/\\n/gi, '\n')
+  .replace(/\\([,;\\])/g, '$1');
+
+// Parse vCard 2.1-4.0 text into rows with fixed column names
+const parseVCard = (text) => {
+  const lines = text.replace(/\r\n/g, '\n').split('\n')
+    // Folded lines continue the previous line after a leading space or tab
+    .reduce((acc, line) => {
+      if (/^[ \t]/.test(line) && acc.length > 0) acc[acc.length - 1] += line.slice(1);
+      else acc.push(line);
+      return acc;
+    }, []);
+
+  const rows = [];
+  let card = null;
+  lines.forEach(line => {
+    if (/^BEGIN:VCARD/i.test(line)) {
+      card = {};
+      return;
+    }
+    if (/^END:VCARD/i.test(line)) {
+      if (card && rows.length < MAX_IMPORT_ROWS + 1) rows.push(card);
+      card = null;
+      return;
+    }
+    if (!card) return;
+
+    const separator = line.indexOf(':');
+    if (separator === -1) return;
+    const property = line.slice(0, separator).split(';')[0].replace(/^item\d+\./i, '').toUpperCase();
+    const value = line.slice(separator + 1);
+    const setOnce = (column, text) => {
+      if (text && !card[column]) card[column] = text.trim();
+    };
+
+    switch (property) {
+      case 'FN':
+        setOnce('Full Name', unescapeVCard(value));
+        break;
+      case 'N': {
+        const [last, first] = value.split(';').map(unescapeVCard);
+        setOnce('First Name', first);
+        setOnce('Last Name', last);
+        break;
+      }
+      case 'ORG': {
+        const [company, department] = value.split(';').map(unescapeVCard);
+        setOnce('Organization', company);
+        setOnce('Department', department);
+        break;
+      }
+      case 'TITLE':
+        setOnce('Title', unescapeVCard(value));
+        break;
+      case 'EMAIL':
+        setOnce('Email', value);
+        break;
+      case 'TEL':
+        setOnce('Phone', value);
+        break;
+      case 'URL':
+        if (/linkedin\.com/i.test(value)) setOnce('LinkedIn', value);
+        break;
+      case 'NOTE':
+        setOnce('Note', unescapeVCard(value));
+        break;
+      case 'CATEGORIES':
+        setOnce('Categories', unescapeVCard(value));
+        break;
+      default:
+        break;
+    }
+  });
+
+  const columns = [...new Set(rows.flatMap(row => Object.keys(row)))];
+  return { columns, rows };
+};
+
+// Detect the format of an uploaded file and parse it into columns and rows
+const parseImportFile = async (file) => {
+  const text = stripBom(file.buffer.toString('utf8'));
+  const format = detectFormat(file.originalname, text);
+  const parsed = format === 'vcard' ? parseVCard(text) : await parseCsv(text, format);
+  return {
+    format,
+    columns: parsed.columns,
+    rows: parsed.rows.slice(0, MAX_IMPORT_ROWS),
+    truncated: parsed.rows.length > MAX_IMPORT_ROWS
+  };
+};
+
+// Rows are stored as value arrays in column order, since column headers may not
+// be valid MongoDB keys; these convert to and from keyed rows
+const storedValue = (value) => (value === undefined || value === null ? '' : value);
+const toStoredRows = (columns, rows) => rows.map(row => columns.map(column => storedValue(row[column])));
+const fromStoredRows = (columns, rows) => rows.map(values =>
+  Object.fromEntries(columns.map((column, index) => [column, values[index]]))
+);
+
+// Mapping as { column: field } for the API, and as pairs for the import record
+const toStoredMapping = (mapping) => Object.entries(mapping).map(([column, field]) => ({ column, field }));
+const fromStoredMapping = (pairs) => Object.fromEntries(pairs.map(({ column, field }) => [column, field]));
+
+// Best-guess column -> field mapping from the header names
+const suggestMapping = (columns) => {
+  const used = new Set();
+  return columns.reduce((acc, column) => {
+    const key = normalizeHeader(column);
+    const field = Object.keys(IMPORT_FIELDS).find(candidate =>
+      !used.has(candidate) && IMPORT_FIELDS[candidate].includes(key)
+    );
+    if (field) {
+      used.add(field);
+      acc[column] = field;
+    }
+    return acc;
+  }, {});
+};
+
+const toDateString = (value) => {
+  if (/^\d{4}-\d{2}-\d{2}/.test(value)) return value.slice(0, 10);
+  // "12 Mar 2024" parses as local midnight, so read the local calendar date back
+  const parsed = new Date(value);
+  if (Number.isNaN(parsed.getTime())) return undefined;
+  const pad = (number) => String(number).padStart(2, '0');
+  return `${parsed.getFullYear()}-${pad(parsed.getMonth() + 1)}-${pad(parsed.getDate())}`;
+};
+
+// Apply a column mapping to one raw row
+const mapRow = (row, mapping, { defaultFirm } = {}) => {
+  const data = {};
+  Object.entries(mapping).forEach(([column, field]) => {
+    const value = typeof row[column] === 'string' ? row[column].trim() : row[column];
+    if (!field || value === undefined || value === null || value === '') return;
+    if (data[field] !== undefined) return;
+
+    if (field === 'tags') data.tags = String(value).split(/[,;]/).map(tag => tag.trim()).filter(Boolean);
+    else if (field === 'referred') data.referred = ['yes', 'y', 'true', '1'].includes(String(value).toLowerCase());
+    else if (DATE_FIELDS.includes(field)) data[field] = toDateString(String(value)) || value;
+    else data[field] = String(value);
+  });
+
+  if (!data.name) {
+    const name = [data.firstName, data.lastName].filter(Boolean).join(' ');
+    if (name) data.name = name;
+  }
+  delete data.firstName;
+  delete data.lastName;
+  if (!data.firm && defaultFirm) data.firm = defaultFirm;
+  return data;
+};
+
+// Problems that would stop a mapped row from being imported
+const validateRow = (data) => {
+  const errors = [];
+  if (!data.name) errors.push('Name is required');
+  if (!data.firm) errors.push('Firm is required');
+  if (data.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(data.email)) errors.push(`Invalid email: ${data.email}`);
+  DATE_FIELDS.forEach(field => {
+    if (data[field] && !/^\d{4}-\d{2}-\d{2}$/.test(data[field])) errors.push(`Invalid date for ${field}: ${data[field]}`);
+  });
+  ENUM_FIELDS.forEach(field => {
+    const allowed = Contact.schema.path(field).enumValues;
+    if (data[field] && !allowed.includes(data[field])) {
+      errors.push(`Invalid ${field}: ${data[field]}. Expected one of: ${allowed.join(', ')}`);
+    }
+  });
+  return errors;
+};
+
+// Mapped first rows with their validation errors, plus an error count for the file
+const buildPreview = (rows, mapping, options = {}) => {
+  const checked = rows.map((row, index) => {
+    const data = mapRow(row, mapping, options);
+    return { row: index + 1, data, errors: validateRow(data) };
+  });
+
+  return {
+    totalRows: rows.length,
+    validRows: checked.filter(entry => entry.errors.length === 0).length,
+    invalidRows: checked.filter(entry => entry.errors.length > 0).length,
+    rows: checked.slice(0, PREVIEW_ROWS)
+  };
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Existing contact with the same name and firm, as the JSON import has always checked
+const findExistingContact = (userId, data) => Contact.findOne({
+  userId,
+  name: { $regex: new RegExp(`^${escapeRegex(data.name)}`, 'i') },
+  firm: { $regex: new RegExp(`^${escapeRegex(data.firm)}`, 'i') },
+  isArchived: { $ne: true }
+});
+
+const trimmed = (value) => (typeof value === 'string' ? value.trim() : '');
+
+// Contact document fields for an imported record
+const cleanImportedContact = (data, userId, resolveFirmName) => ({
+  name: trimmed(data.name),
+  ...resolveFirmName(String(data.firm)),
+  position: trimmed(data.position),
+  group: trimmed(data.group),
+  seniority: data.seniority || 'Other',
+  email: trimmed(data.email).toLowerCase(),
+  phone: trimmed(data.phone),
+  linkedin: trimmed(data.linkedin),
+  networkingStatus: data.networkingStatus || 'Not Yet Contacted',
+  networkingDate: data.networkingDate || null,
+  lastContactDate: data.lastContactDate || null,
+  priority: data.priority || 'Medium',
+  referred: Boolean(data.referred),
+  notes: trimmed(data.notes),
+  tags: Array.isArray(data.tags) ? data.tags.filter(tag => trimmed(tag)) : [],
+  userId,
+  createdAt: new Date(),
+  updatedAt: new Date()
+});
+
+const importExpiry = () => new Date(Date.now() + IMPORT_TTL_HOURS * 60 * 60 * 1000);
+
+// Apply a committed import's mapping to its rows in batches, saving progress
+// after each batch so the status endpoint can report it
+const runContactImport = async (importId) => {
+  // Claim the queued import so it runs once even if started twice
+  const job = await ContactImport.findOneAndUpdate(
+    { _id: importId, status: 'queued' },
+    { status: 'processing', startedAt: new Date() },
+    { new: true }
+  );
+  if (!job) return null;
+
+  const userId = job.userId;
+  const rows = fromStoredRows(job.columns, job.rows);
+  const mapping = fromStoredMapping(job.mapping);
+  const options = { defaultFirm: job.options.defaultFirm };
+  const progress = { total: rows.length, processed: 0, imported: 0, skipped: 0, failed: 0 };
+  const rowErrors = [];
+
+  try {
+    await ContactImport.updateOne({ _id: job._id }, { progress });
+    const resolveFirmName = await createFirmResolver(userId);
+
+    for (let start = 0; start < rows.length; start += BATCH_SIZE) {
+      const historyEntries = [];
+
+      for (const [offset, row] of rows.slice(start, start + BATCH_SIZE).entries()) {
+        const rowNumber = start + offset + 1;
+        const data = mapRow(row, mapping, options);
+        const errors = validateRow(data);
+
+        try {
+          if (errors.length === 0) {
+            data.firm = resolveFirmName(data.firm).firm;
+            if (job.options.skipDuplicates && await findExistingContact(userId, data)) {
+              progress.skipped++;
+            } else {
+              const contact = new Contact(cleanImportedContact(data, userId, resolveFirmName));
+              await contact.save();
+              historyEntries.push({
+                userId,
+                contactId: contact._id,
+                action: 'create',
+                changes: diffContact(null, contact),
+                actor: userId,
+                source: `import:${job.format}`
+              });
+              progress.imported++;
+            }
+          }
+        } catch (error) {
+          errors.push(error.message);
+        }
+
+        if (errors.length > 0) {
+          progress.failed++;
+          if (rowErrors.length < MAX_STORED_ROW_ERRORS) rowErrors.push({ row: rowNumber, messages: errors });
+        }
+        progress.processed++;
+      }
+
+      await recordContactHistory(historyEntries);
+      await ContactImport.updateOne({ _id: job._id }, { progress, rowErrors });
+    }
+
+    await ContactImport.updateOne({ _id: job._id }, {
+      status: 'completed',
+      completedAt: new Date(),
+      $unset: { rows: 1 }
+    });
+    await trackEvent(userId, 'contact_added', { count: progress.imported });
+  } catch (error) {
+    console.error('Contact import job error:', error);
+    await ContactImport.updateOne({ _id: job._id }, {
+      status: 'failed',
+      error: error.message,
+      completedAt: new Date(),
+      progress,
+      rowErrors
+    });
+  }
+
+  return progress;
+};
+
+// Recover imports a restart left behind. Queued imports never started, so they
+// are run now; processing imports are failed rather than rerun, since the
+// contacts they already created would be imported twice
+const recoverStaleImports = async ({ userId, now = new Date() } = {}) => {
+  const cutoff = new Date(now.getTime() - IMPORT_TIMEOUT_MINUTES * 60 * 1000);
+  const scope = userId ? { userId } : {};
+
+  const failed = await ContactImport.updateMany(
+    { ...scope, status: 'processing', updatedAt: { $lte: cutoff } },
+    {
+      status: 'failed',
+      error: 'Import was interrupted; contacts imported before that were kept',
+      completedAt: now
+    }
+  );
+
+  const queued = await ContactImport.find({ ...scope, status: 'queued', updatedAt: { $lte: cutoff } }).select('_id');
+  let restarted = 0;
+  for (const job of queued) {
+    if (await runContactImport(job._id)) restarted++;
+  }
+
+  return { failed: failed.modifiedCount, restarted };
+};
+
+module.exports = {
+  MAX_IMPORT_FILE_SIZE,
+  MAX_IMPORT_ROWS,
+  BACKGROUND_IMPORT_ROWS,
+  IMPORT_FIELDS,
+  detectFormat,
+  parseCsv,
+  parseVCard,
+  parseImportFile,
+  toStoredRows,
+  fromStoredRows,
+  toStoredMapping,
+  fromStoredMapping,
+  suggestMapping,
+  mapRow,
+  validateRow,
+  buildPreview,
+  findExistingContact,
+  cleanImportedContact,
+  importExpiry,
+  runContactImport,
+  recoverStaleImports
+};
@@ -0,0 +1,215 @@
+// utils/contactMerge.js
+const mongoose = require('mongoose');
+const { Contact, Interview, Task } = require('../models');
+const { dedupeLinks, syncReferralLink } = require('./interviewContacts');
+const { normalizeFirmName, resolveFirm } = require('./firms');
+const { applyRelationshipScore } = require('./relationshipScore');
+
+// Filled on the survivor from the first duplicate that has a value
+const FILL_FIELDS = ['position', 'group', 'email', 'phone', 'linkedin', 'nextSteps', 'nextStepsDate'];
+
+const STATUS_ORDER = Contact.schema.path('networkingStatus').enumValues;
+const PRIORITY_ORDER = ['Low', 'Medium', 'High'];
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+const furthest = (order, values) => values
+  .filter(value => order.includes(value))
+  .reduce((best, value) => (!best || order.indexOf(value) > order.indexOf(best) ? value : best), null);
+
+const latestDate = (values) => values
+  .filter(Boolean)
+  .reduce((max, value) => (!max || value > max ? value : max), null);
+
+// Fold the duplicates' data into the survivor document (not saved)
+const mergeContactFields = (survivor, duplicates) => {
+  const all = [survivor, ...duplicates];
+  const mergedIds = new Set(all.map(contact => String(contact._id)));
+
+  FILL_FIELDS.forEach(field => {
+    if (!isBlank(survivor[field])) return;
+    const source = duplicates.find(contact => !isBlank(contact[field]));
+    if (source) survivor[field] = source[field];
+  });
+
+  // The firm name and its firmId move together so the firm link isn't lost.
+  // A linked duplicate fills a blank firm, or links the same firm by name.
+  if (isBlank(survivor.firm) || !survivor.firmId) {
+    const survivorKey = normalizeFirmName(survivor.firm);
+    const candidates = duplicates.filter(contact => !isBlank(contact.firm) &&
+      (isBlank(survivor.firm) || (contact.firmId && normalizeFirmName(contact.firm) === survivorKey)));
+    const source = candidates.find(contact => contact.firmId) || candidates[0];
+    if (source) {
+      survivor.firm = source.firm;
+      survivor.firmId = source.firmId || null;
+    }
+  }
+
+  if (survivor.seniority === 'Other') {
+    const source = duplicates.find(contact => contact.seniority && contact.seniority !== 'Other');
+    if (source) survivor.seniority = source.seniority;
+  }
+
+  survivor.networkingStatus = furthest(STATUS_ORDER, all.map(contact => contact.networkingStatus)) || survivor.networkingStatus;
+  survivor.priority = furthest(PRIORITY_ORDER, all.map(contact => contact.priority)) || survivor.priority;
+  survivor.networkingDate = latestDate(all.map(contact => contact.networkingDate)) || survivor.networkingDate;
+  survivor.lastContactDate = latestDate(all.map(contact => contact.lastContactDate)) || survivor.lastContactDate;
+  survivor.referred = all.some(contact => contact.referred);
+
+  const tags = new Map();
+  all.forEach(contact => (contact.tags || []).forEach(tag => {
+    if (!tags.has(tag.toLowerCase())) tags.set(tag.toLowerCase(), tag);
+  }));
+  survivor.tags = [...tags.values()];
+
+  const notes = [(survivor.notes || '').trim()].filter(Boolean);
+  duplicates.forEach(contact => {
+    const text = (contact.notes || '').trim();
+    if (text && !notes.some(existing => existing.includes(text))) {
+      notes.push(`--- Merged from ${contact.name} (${contact.firm}) ---\n${text}`);
+    }
+  });
+  survivor.notes = notes.join('\n\n');
+
+  // Same interaction logged on both records only counts once
+  const seenInteractions = new Set();
+  const interactions = all
+    .flatMap(contact => contact.interactions.map(interaction => interaction.toObject()))
+    .filter(interaction => {
+      const key = [interaction.type, interaction.date, interaction.title, interaction.notes].join('|');
+      if (seenInteractions.has(key)) return false;
+      seenInteractions.add(key);
+      return true;
+    })
+    .sort((a, b) => b.date.localeCompare(a.date));
+  survivor.interactions = interactions;
+
+  const seenConnections = new Set();
+  survivor.connections = all
+    .flatMap(contact => contact.connections.map(connection => connection.toObject()))
+    .filter(connection => {
+      const key = String(connection.contactId);
+      if (mergedIds.has(key) || seenConnections.has(key)) return false;
+      seenConnections.add(key);
+      return true;
+    });
+
+  survivor.statusHistory = all
+    .flatMap(contact => contact.statusHistory.map(entry => entry.toObject()))
+    .sort((a, b) => new Date(a.changedAt) - new Date(b.changedAt));
+
+  applyRelationshipScore(survivor);
+  survivor.updatedAt = new Date();
+  return survivor;
+};
+
+// Point interviews, tasks and other contacts' connections at the survivor
+const repointContactReferences = async (userId, survivorId, duplicateIds) => {
+  const referrals = await Interview.updateMany(
+    { userId, referralContactId: { $in: duplicateIds } },
+    { referralContactId: survivorId, updatedAt: new Date() }
+  );
+
+  const interviews = await Interview.find({ userId, 'contacts.contactId': { $in: duplicateIds } });
+  for (const interview of interviews) {
+    const links = interview.contacts.map(link => {
+      const entry = link.toObject();
+      return duplicateIds.some(id => String(id) === String(entry.contactId))
+        ? { ...entry, contactId: survivorId }
+        : entry;
+    });
+    interview.contacts = dedupeLinks(links);
+    syncReferralLink(interview);
+    interview.updatedAt = new Date();
+    await interview.save();
+  }
+
+  const tasks = await Task.updateMany(
+    { userId, relatedContact: { $in: duplicateIds } },
+    { relatedContact: survivorId }
+  );
+
+  const connected = await Contact.find({
+    userId,
+    _id: { $nin: [survivorId, ...duplicateIds] },
+    'connections.contactId': { $in: duplicateIds }
+  });
+  for (const contact of connected) {
+    const seen = new Set();
+    contact.connections = contact.connections
+      .map(connection => {
+        const entry = connection.toObject();
+        return duplicateIds.some(id => String(id) === String(entry.contactId))
+          ? { ...entry, contactId: survivorId }
+          : entry;
+      })
+      .filter(connection => {
+        const key = String(connection.contactId);
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+    contact.updatedAt = new Date();
+    await contact.save();
+  }
+
+  return {
+    interviewReferrals: referrals.modifiedCount,
+    interviewLinks: interviews.length,
+    tasks: tasks.modifiedCount,
+    connections: connected.length
+  };
+};
+
+// Give up the claim on duplicates that weren't merged
+const releaseDuplicates = (userId, survivorId, duplicateIds) => Contact.updateMany(
+  { _id: { $in: duplicateIds }, userId, mergedInto: survivorId },
+  { $unset: { mergedInto: 1 } }
+);
+
+// Merge duplicates into the survivor, repoint references and delete the
+// duplicates. This runs without a transaction (the docker-compose MongoDB is a
+// standalone server), so the writes are ordered to be safe if one fails:
+// duplicates are claimed first so no other merge can use them, the survivor
+// is only saved while it isn't claimed itself, references are repointed, and
+// the duplicates are deleted last. Every step is repeatable, so retrying the
+// same merge after a failure finishes it. Returns null if another merge got
+// to any of the contacts first.
+const mergeContacts = async (userId, survivor, duplicates) => {
+  const duplicateIds = duplicates.map(contact => contact._id);
+
+  mergeContactFields(survivor, duplicates);
+  if (!survivor.firmId && !isBlank(survivor.firm)) {
+    Object.assign(survivor, await resolveFirm(userId, survivor.firm));
+  }
+
+  const claimed = await Contact.updateMany(
+    { _id: { $in: duplicateIds }, userId, mergedInto: { $in: [null, survivor._id] } },
+    { mergedInto: survivor._id }
+  );
+  if (claimed.matchedCount !== duplicateIds.length) {
+    await releaseDuplicates(userId, survivor._id, duplicateIds);
+    return null;
+  }
+
+  let repointed;
+  try {
+    survivor.$where = { mergedInto: null };
+    await survivor.save();
+    repointed = await repointContactReferences(userId, survivor._id, duplicateIds);
+  } catch (error) {
+    await releaseDuplicates(userId, survivor._id, duplicateIds);
+    if (error instanceof mongoose.Error.DocumentNotFoundError) return null;
+    throw error;
+  }
+
+  await Contact.deleteMany({ _id: { $in: duplicateIds }, userId, mergedInto: survivor._id });
+
+  return { contact: survivor, repointed };
+};
+
+module.exports = {
+  mergeContactFields,
+  repointContactReferences,
+  mergeContacts
+};
@@ -0,0 +1,253 @@
+// utils/dataExport.js
+const fs = require('fs');
+const path = require('path');
+const archiver = require('archiver');
+const { createObjectCsvStringifier } = require('csv-writer');
+const {
+  User,
+  Contact,
+  ContactHistory,
+  Interview,
+  Document,
+  Task,
+  Goal,
+  Analytics,
+  Firm,
+  DataExport
+} = require('../models');
+const { readStoredFile } = require('./storage');
+
+const EXPORT_DIR = process.env.DATA_EXPORT_PATH || './exports';
+const EXPORT_TTL_HOURS = Number(process.env.DATA_EXPORT_TTL_HOURS) || 48;
+// Exports still pending or processing after this long were interrupted (e.g. by a restart)
+const EXPORT_TIMEOUT_MINUTES = Number(process.env.DATA_EXPORT_TIMEOUT_MINUTES) || 60;
+
+// Never leave the account: credentials and session tokens
+const USER_EXCLUDED_FIELDS = '-passwordHash -refreshTokens -passwordResetToken -passwordResetExpires';
+
+const isEnabled = () => process.env.ENABLE_GDPR_COMPLIANCE !== 'false';
+
+const exportExpiry = () => new Date(Date.now() + EXPORT_TTL_HOURS * 60 * 60 * 1000);
+
+// One CSV cell per top-level field; nested values are kept as JSON
+const flattenRecord = (record, omit = []) => Object.entries(record).reduce((acc, [key, value]) => {
+  if (omit.includes(key)) return acc;
+  if (value === null || value === undefined) acc[key] = '';
+  else if (value instanceof Date) acc[key] = value.toISOString();
+  else if (Array.isArray(value) && value.every(item => typeof item !== 'object')) acc[key] = value.join('; ');
+  else if (typeof value === 'object' && !value._bsontype) acc[key] = JSON.stringify(value);
+  else acc[key] = String(value);
+  return acc;
+}, {});
+
+const toCsv = (records) => {
+  if (records.length === 0) return '';
+  const keys = [...new Set(records.flatMap(record => Object.keys(record)))];
+  const stringifier = createObjectCsvStringifier({ header: keys.map(key => ({ id: key, title: key })) });
+  return stringifier.getHeaderString() + stringifier.stringifyRecords(records);
+};
+
+const safeFileName = (name) => String(name || 'file').replace(/[^a-zA-Z0-9._-]+/g, '_').slice(0, 100);
+
+// Everything the user owns, keyed by the name used in the archive
+const collectUserData = async (userId) => {
+  const [profile, contacts, contactHistory, interviews, documents, tasks, goals, analytics, firms] = await Promise.all([
+    User.findById(userId).select(USER_EXCLUDED_FIELDS).lean(),
+    Contact.find({ userId }).lean(),
+    ContactHistory.find({ userId }).sort({ createdAt: 1 }).lean(),
+    Interview.find({ userId }).lean(),
+    Document.find({ userId }).lean(),
+    Task.find({ userId }).lean(),
+    Goal.find({ userId }).lean(),
+    Analytics.find({ userId }).sort({ date: 1 }).lean(),
+    Firm.find({ userId }).lean()
+  ]);
+
+  return { profile, contacts, contactHistory, interviews, documents, tasks, goals, analytics, firms };
+};
+
+// Child records flattened to their own CSV with the parent's id
+const childRows = (parents, field, parentKey, describeParent) => parents.flatMap(parent =>
+  (parent[field] || []).map(child => ({
+    [parentKey]: String(parent._id),
+    ...describeParent(parent),
+    ...flattenRecord(child)
+  }))
+);
+
+// Zip archive streamed to filePath. finalize() resolves with the archive size
+// once the file is fully written; abort() stops and removes the partial file.
+const createArchive = (filePath) => {
+  const archive = archiver('zip', { zlib: { level: 9 } });
+  const output = fs.createWriteStream(filePath);
+  const written = new Promise((resolve, reject) => {
+    output.on('close', resolve);
+    output.on('error', reject);
+    archive.on('error', reject);
+  });
+  // Surface failures through finalize() only
+  written.catch(() => {});
+  archive.pipe(output);
+
+  return {
+    addFile: (name, data) => archive.append(data, { name }),
+    finalize: async () => {
+      await archive.finalize();
+      await written;
+      return archive.pointer();
+    },
+    abort: async () => {
+      archive.abort();
+      output.destroy();
+      await fs.promises.unlink(filePath).catch(() => {});
+    }
+  };
+};
+
+// Copy the user's uploaded document files into the archive. Only files the
+// upload route stored under the user's own key are read; documents that only
+// link elsewhere and failures are reported, not fatal.
+const addDocumentFiles = async (zip, documents, userId) => {
+  const missingFiles = [];
+  for (const document of documents) {
+    const hasFile = document.storedFile || (document.fileData && document.fileData.url);
+    if (!hasFile) continue;
+
+    try {
+      const data = await readStoredFile(document.storedFile, userId);
+      if (!data) throw new Error('File is not held in app storage');
+      zip.addFile(`documents/files/${document._id}-${safeFileName(document.fileData.name || document.name)}`, data);
+    } catch (error) {
+      missingFiles.push({ documentId: document._id, name: document.name, reason: error.message });
+    }
+  }
+  return missingFiles;
+};
+
+// Build the archive for a pending export. The export is claimed atomically and
+// only completed while still processing, so one failed as stale meanwhile stays failed.
+const buildDataExport = async (exportId) => {
+  const dataExport = await DataExport.findOneAndUpdate(
+    { _id: exportId, status: 'pending' },
+    { status: 'processing', startedAt: new Date() },
+    { new: true }
+  );
+  if (!dataExport) return null;
+
+  const fileName = `account-export-${dataExport.userId}-${Date.now()}.zip`;
+  const filePath = path.join(EXPORT_DIR, fileName);
+  let zip = null;
+
+  try {
+    await fs.promises.mkdir(EXPORT_DIR, { recursive: true });
+    zip = createArchive(filePath);
+    const data = await collectUserData(dataExport.userId);
+
+    zip.addFile('profile.json', JSON.stringify(data.profile, null, 2));
+
+    const collections = ['contacts', 'contactHistory', 'interviews', 'documents', 'tasks', 'goals', 'analytics', 'firms'];
+    for (const name of collections) {
+      zip.addFile(`json/${name}.json`, JSON.stringify(data[name], null, 2));
+    }
+
+    const csvFiles = {
+      contacts: data.contacts.map(contact => flattenRecord(contact, ['interactions', 'connections', 'statusHistory'])),
+      contact_interactions: childRows(data.contacts, 'interactions', 'contactId', contact => ({
+        contactName: contact.name,
+        firm: contact.firm
+      })),
+      interviews: data.interviews.map(interview => flattenRecord(interview, ['rounds', 'stageHistory'])),
+      interview_rounds: childRows(data.interviews, 'rounds', 'interviewId', interview => ({
+        firm: interview.firm,
+        position: interview.position
+      })),
+      documents: data.documents.map(document => flattenRecord(document, ['content'])),
+      tasks: data.tasks.map(task => flattenRecord(task)),
+      goals: data.goals.map(goal => flattenRecord(goal)),
+      analytics: data.analytics.map(({ metrics, ...day }) => ({ ...flattenRecord(day), ...flattenRecord(metrics || {}) }))
+    };
+    for (const [name, rows] of Object.entries(csvFiles)) {
+      zip.addFile(`csv/${name}.csv`, toCsv(rows));
+    }
+
+    const missingFiles = await addDocumentFiles(zip, data.documents, dataExport.userId);
+    const counts = Object.fromEntries(collections.map(name => [name, data[name].length]));
+
+    zip.addFile('manifest.json', JSON.stringify({
+      exportedAt: new Date().toISOString(),
+      userId: String(dataExport.userId),
+      email: data.profile ? data.profile.email : undefined,
+      counts,
+      missingFiles
+    }, null, 2));
+
+    const size = await zip.finalize();
+    const completed = await DataExport.findOneAndUpdate(
+      { _id: dataExport._id, status: 'processing' },
+      {
+        status: 'completed',
+        fileName,
+        filePath,
+        size,
+        counts,
+        missingFiles,
+        completedAt: new Date(),
+        expiresAt: exportExpiry()
+      },
+      { new: true }
+    );
+    if (!completed) await fs.promises.unlink(filePath).catch(() => {});
+    return completed;
+  } catch (error) {
+    console.error('Data export error:', error);
+    if (zip) await zip.abort();
+    return DataExport.findOneAndUpdate(
+      { _id: dataExport._id, status: 'processing' },
+      { status: 'failed', error: error.message, completedAt: new Date() },
+      { new: true }
+    );
+  }
+};
+
+// Fail exports left pending or processing past EXPORT_TIMEOUT_MINUTES, so an
+// export interrupted by a restart doesn't block new requests forever
+const failStaleExports = async ({ userId, now = new Date() } = {}) => {
+  const cutoff = new Date(now.getTime() - EXPORT_TIMEOUT_MINUTES * 60 * 1000);
+  const result = await DataExport.updateMany({
+    ...(userId && { userId }),
+    $or: [
+      { status: 'pending', createdAt: { $lte: cutoff } },
+      { status: 'processing', startedAt: { $lte: cutoff } }
+    ]
+  }, {
+    status: 'failed',
+    error: 'Export timed out',
+    completedAt: now
+  });
+  return { failed: result.modifiedCount };
+};
+
+// Delete archives past their expiry and mark them expired
+const removeExpiredExports = async (now = new Date()) => {
+  const expired = await DataExport.find({ status: 'completed', expiresAt: { $lte: now } });
+  for (const dataExport of expired) {
+    await fs.promises.unlink(dataExport.filePath).catch(error => {
+      if (error.code !== 'ENOENT') console.error('Data export cleanup error:', error.message);
+    });
+    dataExport.status = 'expired';
+    dataExport.filePath = undefined;
+    await dataExport.save();
+  }
+  return { expired: expired.length };
+};
+
+module.exports = {
+  EXPORT_TTL_HOURS,
+  isEnabled,
+  flattenRecord,
+  toCsv,
+  collectUserData,
+  buildDataExport,
+  failStaleExports,
+  removeExpiredExports
+};
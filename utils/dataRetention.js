@@ -0,0 +1,208 @@
+// utils/dataRetention.js
+const { User, Contact, Interview, Document, Task, Goal } = require('../models');
+const { TRACKED_FIELDS, diffContact, recordContactHistory } = require('./contactHistory');
+const { removeStoredFile } = require('./storage');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PURGE_SOURCE = 'retention:purge';
+
+const getGlobalRetentionDays = () => {
+  const days = Number(process.env.DATA_RETENTION_DAYS);
+  return days > 0 ? days : null;
+};
+
+// The shorter of the user's preference and DATA_RETENTION_DAYS; null keeps
+// archived records until they are deleted by hand
+const getRetentionDays = (user) => {
+  const preferences = (user && user.preferences) || {};
+  const values = [preferences.archiveRetentionDays, getGlobalRetentionDays()]
+    .filter(days => days > 0);
+  return values.length > 0 ? Math.min(...values) : null;
+};
+
+// Records archived before archivedAt was stored fall back to their last update
+const archivedOn = (record) => record.archivedAt || record.updatedAt;
+
+const purgeDate = (record, days) => (days ? new Date(new Date(archivedOn(record)).getTime() + days * DAY_MS) : null);
+
+const expiredQuery = (userId, cutoff) => ({
+  userId,
+  isArchived: true,
+  $or: [
+    { archivedAt: { $lte: cutoff } },
+    { archivedAt: null, updatedAt: { $lte: cutoff } }
+  ]
+});
+
+// Contacts leave no dangling links behind and keep a 'delete' history entry
+const removeContacts = async (contacts, { actor, source }) => {
+  const ids = contacts.map(contact => contact._id);
+  await Promise.all([
+    Interview.updateMany({ referralContactId: { $in: ids } }, { referralContactId: null }),
+    Interview.updateMany({ 'contacts.contactId': { $in: ids } }, { $pull: { contacts: { contactId: { $in: ids } } } }),
+    Task.updateMany({ relatedContact: { $in: ids } }, { $unset: { relatedContact: 1 } }),
+    Contact.updateMany({ 'connections.contactId': { $in: ids } }, { $pull: { connections: { contactId: { $in: ids } } } })
+  ]);
+  await recordContactHistory(contacts.map(contact => ({
+    userId: contact.userId,
+    contactId: contact._id,
+    action: 'delete',
+    changes: diffContact(contact, null),
+    actor,
+    source
+  })));
+};
+
+const removeInterviews = async (interviews) => {
+  await Task.updateMany({ relatedInterview: { $in: interviews.map(interview => interview._id) } }, { $unset: { relatedInterview: 1 } });
+};
+
+// Stored files go first, looked up by the key the upload route recorded under
+// the document's owner; a file that can't be removed is logged and the record
+// still purged
+const removeDocuments = async (documents) => {
+  for (const document of documents) {
+    try {
+      await removeStoredFile(document.storedFile, document.userId);
+    } catch (error) {
+      console.error('Retention file removal error:', document._id, error.message);
+    }
+  }
+  await Task.updateMany({ relatedDocument: { $in: documents.map(document => document._id) } }, { $unset: { relatedDocument: 1 } });
+};
+
+// Archivable collections: fields shown in reports, fields needed to purge and
+// the clean-up run before the records are deleted
+const RETENTION_TYPES = {
+  contacts: { model: Contact, fields: 'name firm position', purgeFields: TRACKED_FIELDS.join(' '), beforeDelete: removeContacts },
+  interviews: { model: Interview, fields: 'firm position stage', beforeDelete: removeInterviews },
+  documents: { model: Document, fields: 'name type', purgeFields: 'storedFile', beforeDelete: removeDocuments },
+  tasks: { model: Task, fields: 'title status dueDate' },
+  goals: { model: Goal, fields: 'title category status' }
+};
+
+// Fields deleteArchivedRecords needs for a type
+const purgeFieldsFor = (type) => ['userId', RETENTION_TYPES[type].purgeFields].filter(Boolean).join(' ');
+
+// Hard-delete archived records of one type, cleaning up references to them
+// first. Records must include userId and the type's purgeFields.
+const deleteArchivedRecords = async (type, records, { actor, source = PURGE_SOURCE } = {}) => {
+  if (records.length === 0) return 0;
+  const { model, beforeDelete } = RETENTION_TYPES[type];
+  if (beforeDelete) await beforeDelete(records, { actor, source });
+  const result = await model.deleteMany({ _id: { $in: records.map(record => record._id) }, isArchived: true });
+  return result.deletedCount;
+};
+
+// Groups of users sharing a retention window. Users with their own setting are
+// handled one at a time, everyone else with the global window in one query.
+const retentionScopes = async ({ userId } = {}) => {
+  const overrides = await User.find({
+    'preferences.archiveRetentionDays': { $gte: 1 },
+    ...(userId && { _id: userId })
+  }).select('preferences.archiveRetentionDays').lean();
+
+  const scopes = overrides.map(user => ({ userId: user._id, days: getRetentionDays(user) }));
+  const globalDays = getGlobalRetentionDays();
+  if (globalDays && (!userId || overrides.length === 0)) {
+    scopes.push({ userId: userId || { $nin: overrides.map(user => user._id) }, days: globalDays });
+  }
+  return scopes;
+};
+
+// Delete archived records past their retention window. With dryRun nothing is
+// deleted and the counts show what a run would remove.
+const purgeExpiredArchives = async ({ userId, dryRun = false, now = new Date() } = {}) => {
+  const scopes = await retentionScopes({ userId });
+  const counts = Object.fromEntries(Object.keys(RETENTION_TYPES).map(type => [type, 0]));
+  const users = new Set();
+
+  for (const scope of scopes) {
+    const cutoff = new Date(now.getTime() - scope.days * DAY_MS);
+    for (const [type, { model }] of Object.entries(RETENTION_TYPES)) {
+      const records = await model.find(expiredQuery(scope.userId, cutoff))
+        .select(purgeFieldsFor(type))
+        .lean();
+      if (records.length === 0) continue;
+
+      records.forEach(record => users.add(String(record.userId)));
+      counts[type] += dryRun ? records.length : await deleteArchivedRecords(type, records);
+    }
+  }
+
+  return {
+    dryRun,
+    globalRetentionDays: getGlobalRetentionDays(),
+    users: users.size,
+    counts,
+    total: Object.values(counts).reduce((sum, count) => sum + count, 0)
+  };
+};
+
+// Match records archived within a date range, with the same updatedAt fallback
+const archivedBetween = (from, to) => {
+  if (!from && !to) return {};
+  const range = { ...(from && { $gte: from }), ...(to && { $lte: to }) };
+  return { $or: [{ archivedAt: range }, { archivedAt: null, updatedAt: range }] };
+};
+
+// Archived records of one type with when each will be purged. Oldest first
+// unless order is -1.
+const listArchived = async (type, user, { from, to, order = 1, limit, now = new Date() } = {}) => {
+  const { model, fields } = RETENTION_TYPES[type];
+  const days = getRetentionDays(user);
+  const query = { userId: user._id, isArchived: true, ...archivedBetween(from, to) };
+
+  const [records, total] = await Promise.all([
+    model.find(query)
+      .select(`${fields} archivedAt updatedAt`)
+      .sort({ archivedAt: order, updatedAt: order })
+      .limit(limit || 0)
+      .lean(),
+    model.countDocuments(query)
+  ]);
+
+  const items = records.map(({ _id, archivedAt, updatedAt, ...summary }) => {
+    const purgeOn = purgeDate({ archivedAt, updatedAt }, days);
+    return {
+      type,
+      _id,
+      ...summary,
+      archivedAt: archivedAt || updatedAt,
+      purgeOn,
+      daysUntilPurge: purgeOn ? Math.max(0, Math.ceil((purgeOn - now) / DAY_MS)) : null
+    };
+  });
+  return { items, total };
+};
+
+// Everything the user has archived, soonest purge first
+const listTrash = async (user, { type, limit = 50, now = new Date() } = {}) => {
+  const types = type ? [type] : Object.keys(RETENTION_TYPES);
+  const results = await Promise.all(types.map(name => listArchived(name, user, { limit, now })));
+
+  const items = results
+    .flatMap(result => result.items)
+    .sort((a, b) => new Date(a.archivedAt) - new Date(b.archivedAt))
+    .slice(0, limit);
+  const counts = Object.fromEntries(types.map((name, index) => [name, results[index].total]));
+
+  return {
+    retentionDays: getRetentionDays(user),
+    counts,
+    total: Object.values(counts).reduce((sum, count) => sum + count, 0),
+    items
+  };
+};
+
+module.exports = {
+  RETENTION_TYPES,
+  getGlobalRetentionDays,
+  getRetentionDays,
+  purgeDate,
+  purgeFieldsFor,
+  deleteArchivedRecords,
+  purgeExpiredArchives,
+  listArchived,
+  listTrash
+};
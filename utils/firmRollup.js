@@ -0,0 +1,129 @@
+// utils/firmRollup.js
+const { getRelationshipScore } = require('./relationshipScore');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const today = () => new Date().toISOString().split('T')[0];
+
+// Statuses that mean the user has actually reached the contact
+const ENGAGED_EXCLUDED_STATUSES = ['Not Yet Contacted', 'Initial Outreach Sent'];
+const CLOSED_STAGES = ['Rejected', 'Withdrawn'];
+
+const countBy = (items, getKey) => items.reduce((acc, item) => {
+  const key = getKey(item) || 'Unspecified';
+  acc[key] = (acc[key] || 0) + 1;
+  return acc;
+}, {});
+
+const latest = (dates) => dates
+  .filter(Boolean)
+  .map(date => String(date).split('T')[0])
+  .reduce((max, date) => (!max || date > max ? date : max), null);
+
+// Most recent dated activity with the firm that has already happened
+const findLastTouch = (contacts, interviews, asOf = today()) => latest([
+  ...contacts.flatMap(contact => [
+    contact.lastContactDate,
+    ...(contact.interactions || []).map(interaction => interaction.date)
+  ]),
+  ...interviews.flatMap(interview => [
+    interview.applicationDate,
+    ...(interview.rounds || []).map(round => round.date),
+    ...(interview.stageHistory || []).map(entry => entry.date)
+  ])
+].filter(date => date && String(date).split('T')[0] <= asOf));
+
+// 0-100 estimate of how well the user's network covers the firm: engaged
+// contacts (30), seniority spread (20), group spread (15), recency (20) and an
+// open or successful application (15)
+const computeCoverageScore = ({ firm, contacts, interviews, lastTouchDate, asOf = today() }) => {
+  const engaged = contacts.filter(contact => !ENGAGED_EXCLUDED_STATUSES.includes(contact.networkingStatus));
+
+  const breadth = Math.min(engaged.length, 5) / 5 * 30;
+
+  const seniorityLevels = new Set(engaged
+    .map(contact => (['Director', 'MD'].includes(contact.seniority) ? 'Senior' : contact.seniority))
+    .filter(level => level && level !== 'Other'));
+  const seniority = Math.min(seniorityLevels.size, 3) / 3 * 20;
+
+  const engagedGroups = new Set(engaged.map(contact => (contact.group || '').toLowerCase()).filter(Boolean));
+  const firmGroups = ((firm && firm.groups) || []).map(group => group.toLowerCase());
+  const groups = firmGroups.length > 0
+    ? Math.min(firmGroups.filter(group => engagedGroups.has(group)).length, 3) / Math.min(firmGroups.length, 3) * 15
+    : Math.min(engagedGroups.size, 2) / 2 * 15;
+
+  let recency = 0;
+  if (lastTouchDate) {
+    const age = Math.round((new Date(`${asOf}T00:00:00.000Z`) - new Date(`${lastTouchDate}T00:00:00.000Z`)) / DAY_MS);
+    if (age <= 30) recency = 20;
+    else if (age <= 90) recency = 10;
+    else if (age <= 180) recency = 5;
+  }
+
+  const pipeline = interviews.some(interview => !CLOSED_STAGES.includes(interview.stage)) ? 15 : 0;
+
+  return Math.round(breadth + seniority + groups + recency + pipeline);
+};
+
+// Everything about one firm in a single payload
+const buildFirmRollup = ({ firm, name, contacts, interviews, documents, asOf = today() }) => {
+  const lastTouchDate = findLastTouch(contacts, interviews, asOf);
+
+  return {
+    firm: firm || null,
+    name: firm ? firm.name : name,
+    contacts: {
+      total: contacts.length,
+      bySeniority: countBy(contacts, contact => contact.seniority),
+      byGroup: countBy(contacts, contact => contact.group),
+      byNetworkingStatus: countBy(contacts, contact => contact.networkingStatus),
+      list: contacts
+        .map(contact => ({
+          _id: contact._id,
+          name: contact.name,
+          position: contact.position,
+          group: contact.group,
+          seniority: contact.seniority,
+          networkingStatus: contact.networkingStatus,
+          lastContactDate: contact.lastContactDate,
+          nextSteps: contact.nextSteps,
+          nextStepsDate: contact.nextStepsDate,
+          relationshipScore: getRelationshipScore(contact, asOf)
+        }))
+        .sort((a, b) => b.relationshipScore - a.relationshipScore)
+    },
+    interviews: {
+      total: interviews.length,
+      byStage: countBy(interviews, interview => interview.stage),
+      list: interviews.map(interview => ({
+        _id: interview._id,
+        position: interview.position,
+        group: interview.group,
+        office: interview.office,
+        stage: interview.stage,
+        stageDate: interview.stageDate,
+        nextSteps: interview.nextSteps,
+        nextStepsDate: interview.nextStepsDate,
+        rounds: (interview.rounds || []).length,
+        offerStatus: (interview.offer && interview.offer.status) || null
+      }))
+    },
+    documents: {
+      total: documents.length,
+      list: documents.map(document => ({
+        _id: document._id,
+        name: document.name,
+        type: document.type,
+        updatedAt: document.updatedAt
+      }))
+    },
+    lastTouchDate,
+    coverageScore: computeCoverageScore({ firm, contacts, interviews, lastTouchDate, asOf })
+  };
+};
+
+module.exports = {
+  findLastTouch,
+  computeCoverageScore,
+  buildFirmRollup
+};
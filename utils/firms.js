@@ -0,0 +1,200 @@
+// utils/firms.js
+const {
+  User,
+  Contact,
+  Interview,
+  Document,
+  Firm
+} = require('../models');
+const { firms: catalog } = require('../config/firms');
+
+// Trailing words that don't distinguish one firm from another
+const LEGAL_SUFFIXES = ['and company', 'and co', 'company', 'co', 'inc', 'llc', 'lp', 'llp', 'plc', 'ltd', 'corp', 'corporation', 'and'];
+
+// "Goldman Sachs & Co." and "goldman sachs" both become "goldman sachs"
+const normalizeFirmName = (name) => {
+  let key = (name || '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9 ]/g, '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .replace(/^the /, '');
+
+  let stripped = true;
+  while (stripped) {
+    stripped = false;
+    for (const suffix of LEGAL_SUFFIXES) {
+      if (key.endsWith(` ${suffix}`)) {
+        key = key.slice(0, -suffix.length - 1);
+        stripped = true;
+      }
+    }
+  }
+  return key;
+};
+
+// Matching keys for a firm's name and aliases
+const buildFirmKeys = (name, aliases = []) =>
+  [...new Set([name, ...aliases].map(normalizeFirmName).filter(Boolean))];
+
+// Shared catalog plus the user's own firms
+const visibleFirmsQuery = (userId) => ({
+  isArchived: { $ne: true },
+  $or: [{ userId: null }, { userId }]
+});
+
+// Firm a name resolves to for this user, preferring the user's own firms
+const findFirmByName = async (userId, name) => {
+  const key = normalizeFirmName(name);
+  if (!key) return null;
+  return Firm.findOne({ ...visibleFirmsQuery(userId), keys: key }).sort({ userId: -1 });
+};
+
+// Loads the user's visible firms once and resolves names in memory; use this
+// for imports and migrations that resolve many names
+const createFirmResolver = async (userId) => {
+  const firms = await Firm.find(visibleFirmsQuery(userId)).select('name keys userId').lean();
+  const index = new Map();
+  // Shared catalog first so the user's own firms win on conflicts
+  firms
+    .sort((a, b) => (a.userId ? 1 : 0) - (b.userId ? 1 : 0))
+    .forEach(firm => firm.keys.forEach(key => index.set(key, firm)));
+
+  return (name) => {
+    const trimmed = typeof name === 'string' ? name.trim() : name;
+    const match = trimmed ? index.get(normalizeFirmName(trimmed)) : null;
+    return match
+      ? { firm: match.name, firmId: match._id }
+      : { firm: trimmed, firmId: null };
+  };
+};
+
+// Canonical name and id for one firm name; unknown names are kept as written
+const resolveFirm = async (userId, name) => {
+  const trimmed = typeof name === 'string' ? name.trim() : name;
+  const match = trimmed ? await findFirmByName(userId, trimmed) : null;
+  return match
+    ? { firm: match.name, firmId: match._id }
+    : { firm: trimmed, firmId: null };
+};
+
+// Resolve a list of names (Document.associatedFirms), dropping duplicates
+const resolveFirmList = (resolve, names = []) => {
+  const associatedFirms = [];
+  const firmIds = [];
+  names.filter(name => typeof name === 'string' && name.trim()).forEach(name => {
+    const { firm, firmId } = resolve(name);
+    if (!associatedFirms.includes(firm)) associatedFirms.push(firm);
+    if (firmId && !firmIds.some(id => String(id) === String(firmId))) firmIds.push(firmId);
+  });
+  return { associatedFirms, firmIds };
+};
+
+// Upsert the shared catalog from config/firms.js. Aliases are merged so
+// entries edited by an admin keep their additions.
+const seedFirmCatalog = async () => {
+  const operations = catalog.map(entry => ({
+    updateOne: {
+      filter: { userId: null, name: entry.name },
+      update: {
+        $setOnInsert: {
+          type: entry.type,
+          headquarters: entry.headquarters,
+          isArchived: false
+        },
+        $addToSet: {
+          aliases: { $each: entry.aliases || [] },
+          keys: { $each: buildFirmKeys(entry.name, entry.aliases) }
+        }
+      },
+      upsert: true
+    }
+  }));
+
+  const result = await Firm.bulkWrite(operations, { ordered: false });
+  return { firms: catalog.length, created: result.upsertedCount, updated: result.modifiedCount };
+};
+
+const sameId = (a, b) => String(a || '') === String(b || '');
+
+// Point one user's contacts, interviews and documents at their canonical firms
+const linkUserRecords = async (userId, { dryRun = false } = {}) => {
+  const resolve = await createFirmResolver(userId);
+  const unmatched = new Map();
+  const noteUnmatched = (name) => {
+    if (name) unmatched.set(name, (unmatched.get(name) || 0) + 1);
+  };
+
+  const linkSingle = async (Model) => {
+    const records = await Model.find({ userId }).select('firm firmId').lean();
+    const operations = [];
+    records.forEach(record => {
+      const { firm, firmId } = resolve(record.firm);
+      if (!firmId) noteUnmatched(record.firm);
+      if (firm !== record.firm || !sameId(firmId, record.firmId)) {
+        operations.push({ updateOne: { filter: { _id: record._id }, update: { $set: { firm, firmId } } } });
+      }
+    });
+    if (!dryRun && operations.length > 0) await Model.bulkWrite(operations, { ordered: false });
+    return { scanned: records.length, updated: operations.length };
+  };
+
+  const linkDocuments = async () => {
+    const documents = await Document.find({ userId }).select('associatedFirms firmIds').lean();
+    const operations = [];
+    documents.forEach(document => {
+      const current = document.associatedFirms || [];
+      const resolved = resolveFirmList(resolve, current);
+      current.forEach(name => {
+        if (!resolve(name).firmId) noteUnmatched(name);
+      });
+      const changed = resolved.associatedFirms.join('\n') !== current.join('\n') ||
+        resolved.firmIds.map(String).join() !== (document.firmIds || []).map(String).join();
+      if (changed) {
+        operations.push({ updateOne: { filter: { _id: document._id }, update: { $set: resolved } } });
+      }
+    });
+    if (!dryRun && operations.length > 0) await Document.bulkWrite(operations, { ordered: false });
+    return { scanned: documents.length, updated: operations.length };
+  };
+
+  const contacts = await linkSingle(Contact);
+  const interviews = await linkSingle(Interview);
+  const documents = await linkDocuments();
+
+  return {
+    userId: String(userId),
+    contacts,
+    interviews,
+    documents,
+    unmatched: [...unmatched.entries()]
+      .map(([name, count]) => ({ name, count }))
+      .sort((a, b) => b.count - a.count)
+  };
+};
+
+// Link existing records for one user or everyone
+const linkExistingRecords = async ({ userId, dryRun = false } = {}) => {
+  const userQuery = userId ? { _id: userId } : {};
+  const users = await User.find(userQuery).select('_id').lean();
+
+  const results = [];
+  for (const user of users) {
+    results.push(await linkUserRecords(user._id, { dryRun }));
+  }
+  return { users: results.length, dryRun, results };
+};
+
+module.exports = {
+  normalizeFirmName,
+  buildFirmKeys,
+  visibleFirmsQuery,
+  findFirmByName,
+  createFirmResolver,
+  resolveFirm,
+  resolveFirmList,
+  seedFirmCatalog,
+  linkUserRecords,
+  linkExistingRecords
+};
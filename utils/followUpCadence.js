@@ -0,0 +1,123 @@
+// utils/followUpCadence.js
+const { Contact } = require('../models');
+const { followUpCadence: defaultCadence, upcomingWindowDays } = require('../config/followUpCadence');
+const { toDateString, addDays, daysInRange } = require('./analytics');
+
+const today = () => toDateString(new Date());
+
+// Defaults from config with the user's per-status overrides
+const getCadence = (user) => {
+  const preferences = (user && user.preferences) || {};
+  const overrides = preferences.followUpCadence || {};
+  const override = (status) => (overrides instanceof Map ? overrides.get(status) : overrides[status]);
+
+  return Object.entries(defaultCadence).reduce((acc, [status, entry]) => {
+    const days = override(status);
+    return { ...acc, [status]: { ...entry, days: typeof days === 'number' ? days : entry.days } };
+  }, {});
+};
+
+const getUpcomingWindow = (user) => {
+  const preferences = (user && user.preferences) || {};
+  return preferences.followUpWindowDays || upcomingWindowDays;
+};
+
+// Set the next step for the contact's status, due `days` after the interaction
+const scheduleNextFollowUp = (contact, cadence, date) => {
+  const entry = cadence[contact.networkingStatus];
+  if (!entry) return false;
+  contact.nextSteps = entry.nextSteps;
+  contact.nextStepsDate = addDays(date, entry.days);
+  return true;
+};
+
+// An explicit next step date wins; otherwise the cadence counts from the last
+// contact (or networking) date
+const getFollowUpDueDate = (contact, cadence) => {
+  if (contact.nextStepsDate) return contact.nextStepsDate.split('T')[0];
+  const anchor = contact.lastContactDate || contact.networkingDate;
+  const entry = cadence[contact.networkingStatus];
+  if (!anchor || !entry) return null;
+  return addDays(anchor, entry.days);
+};
+
+// Mongo query for contacts whose due date falls in `range` (e.g. { $lt: date }).
+// Cadence-based due dates become a shifted range on the anchor date per status.
+const dueDateQuery = (userId, cadence, range) => {
+  const shift = (days) => Object.entries(range).reduce((acc, [op, date]) => ({
+    ...acc,
+    [op]: addDays(date, -days)
+  }), {});
+
+  return {
+    userId,
+    isArchived: { $ne: true },
+    $or: [
+      { nextStepsDate: { $gt: '', ...range } },
+      ...Object.entries(cadence).flatMap(([status, { days }]) => [
+        {
+          networkingStatus: status,
+          nextStepsDate: { $in: [null, ''] },
+          lastContactDate: { $gt: '', ...shift(days) }
+        },
+        {
+          networkingStatus: status,
+          nextStepsDate: { $in: [null, ''] },
+          lastContactDate: { $in: [null, ''] },
+          networkingDate: { $gt: '', ...shift(days) }
+        }
+      ])
+    ]
+  };
+};
+
+const describeFollowUp = (contact, cadence, asOf) => {
+  const dueDate = getFollowUpDueDate(contact, cadence);
+  const lastTouch = contact.lastContactDate || contact.networkingDate;
+  return {
+    ...contact,
+    dueDate,
+    daysOverdue: dueDate && dueDate < asOf ? daysInRange(dueDate, asOf) - 1 : 0,
+    daysSinceLastContact: lastTouch ? daysInRange(lastTouch, asOf) - 1 : null,
+    suggestedNextSteps: contact.nextSteps || (cadence[contact.networkingStatus] || {}).nextSteps || null
+  };
+};
+
+const FOLLOW_UP_FIELDS = 'name firm position networkingStatus networkingDate lastContactDate nextSteps nextStepsDate priority';
+
+// Contacts whose follow-up is past due, most overdue first
+const getOverdueFollowUps = async (user, { limit = 10, asOf = today() } = {}) => {
+  const cadence = getCadence(user);
+  const contacts = await Contact.find(dueDateQuery(user._id, cadence, { $lt: asOf }))
+    .select(FOLLOW_UP_FIELDS)
+    .lean();
+
+  return contacts
+    .map(contact => describeFollowUp(contact, cadence, asOf))
+    .sort((a, b) => a.dueDate.localeCompare(b.dueDate))
+    .slice(0, limit);
+};
+
+// Contacts due within the user's upcoming window, soonest first
+const getUpcomingFollowUps = async (user, { limit = 10, asOf = today(), windowDays } = {}) => {
+  const cadence = getCadence(user);
+  const until = addDays(asOf, windowDays || getUpcomingWindow(user));
+  const contacts = await Contact.find(dueDateQuery(user._id, cadence, { $gte: asOf, $lte: until }))
+    .select(FOLLOW_UP_FIELDS)
+    .lean();
+
+  return contacts
+    .map(contact => describeFollowUp(contact, cadence, asOf))
+    .sort((a, b) => a.dueDate.localeCompare(b.dueDate))
+    .slice(0, limit);
+};
+
+module.exports = {
+  getCadence,
+  getUpcomingWindow,
+  scheduleNextFollowUp,
+  getFollowUpDueDate,
+  dueDateQuery,
+  getOverdueFollowUps,
+  getUpcomingFollowUps
+};
@@ -0,0 +1,175 @@
+// utils/goalProgress.js
+const mongoose = require('mongoose');
+const {
+  Contact,
+  Interview,
+  Task,
+  Goal
+} = require('../models');
+const { trackEvent } = require('./analytics');
+
+// Metric used when a goal is created without one
+const defaultMetricByCategory = {
+  Networking: 'networkingTouches',
+  Applications: 'applicationsSubmitted',
+  Interviews: 'interviewRounds',
+  Learning: 'manual',
+  Personal: 'manual'
+};
+
+const NOT_APPLIED_STAGES = ['Not Yet Applied', '', null];
+
+// Goal dates are inclusive YYYY-MM-DD strings; Date fields need a half-open range
+const toDateRange = (startDate, endDate) => {
+  const start = new Date(`${startDate}T00:00:00.000Z`);
+  const end = new Date(`${endDate}T00:00:00.000Z`);
+  end.setUTCDate(end.getUTCDate() + 1);
+  return { $gte: start, $lt: end };
+};
+
+const countContactsAdded = (userId, startDate, endDate) => Contact.countDocuments({
+  userId,
+  createdAt: toDateRange(startDate, endDate)
+});
+
+const countInteractionsLogged = async (userId, startDate, endDate) => {
+  const [result] = await Contact.aggregate([
+    { $match: { userId: new mongoose.Types.ObjectId(userId) } },
+    { $unwind: '$interactions' },
+    { $match: { 'interactions.date': { $gte: startDate, $lte: endDate } } },
+    { $count: 'count' }
+  ]);
+  return result ? result.count : 0;
+};
+
+// An application counts once it has moved past "Not Yet Applied" inside the window
+const countApplicationsSubmitted = (userId, startDate, endDate) => Interview.countDocuments({
+  userId,
+  stage: { $nin: NOT_APPLIED_STAGES },
+  $or: [
+    { applicationDate: { $gte: startDate, $lte: endDate } },
+    {
+      applicationDate: { $in: [null, ''] },
+      stageDate: { $gte: startDate, $lte: endDate }
+    }
+  ]
+});
+
+const countInterviewRounds = async (userId, startDate, endDate) => {
+  const [result] = await Interview.aggregate([
+    { $match: { userId: new mongoose.Types.ObjectId(userId) } },
+    { $unwind: '$rounds' },
+    {
+      $match: {
+        'rounds.date': { $gte: startDate, $lte: endDate },
+        'rounds.outcome': { $ne: 'Cancelled' }
+      }
+    },
+    { $count: 'count' }
+  ]);
+  return result ? result.count : 0;
+};
+
+const countOffersReceived = (userId, startDate, endDate) => Interview.countDocuments({
+  userId,
+  stage: 'Offer Received',
+  stageDate: { $gte: startDate, $lte: endDate }
+});
+
+const countTasksCompleted = (userId, startDate, endDate) => Task.countDocuments({
+  userId,
+  status: 'Completed',
+  completedAt: toDateRange(startDate, endDate)
+});
+
+const metricCounters = {
+  contactsAdded: countContactsAdded,
+  interactionsLogged: countInteractionsLogged,
+  networkingTouches: async (userId, startDate, endDate) => {
+    const [contacts, interactions] = await Promise.all([
+      countContactsAdded(userId, startDate, endDate),
+      countInteractionsLogged(userId, startDate, endDate)
+    ]);
+    return contacts + interactions;
+  },
+  applicationsSubmitted: countApplicationsSubmitted,
+  interviewRounds: countInterviewRounds,
+  offersReceived: countOffersReceived,
+  tasksCompleted: countTasksCompleted
+};
+
+// Percentage goals are ratios the user reports themselves, so only Count and
+// Binary goals are derived from activity
+const isAutoTracked = (goal) => Boolean(
+  goal.metric && goal.metric !== 'manual' && metricCounters[goal.metric] && goal.type !== 'Percentage'
+);
+
+// Flip an active goal to Completed once it reaches its target
+const applyCompletion = (goal) => {
+  if (goal.status === 'Active' && goal.current >= goal.target) {
+    goal.status = 'Completed';
+    goal.completedAt = goal.completedAt || new Date();
+  }
+  return goal;
+};
+
+const calculateProgressPercent = (goal) => {
+  if (!goal.target) return 0;
+  return Math.min(100, Math.round((goal.current / goal.target) * 1000) / 10);
+};
+
+// Recompute `current` for an auto-tracked goal in memory. Nothing is saved,
+// so reads can show live progress without touching the stored goal.
+const computeGoalProgress = async (goal) => {
+  if (!isAutoTracked(goal) || goal.status !== 'Active') return goal;
+
+  const count = await metricCounters[goal.metric](goal.userId, goal.startDate, goal.endDate);
+  goal.current = goal.type === 'Binary' ? Math.min(count, 1) : count;
+  applyCompletion(goal);
+  return goal;
+};
+
+// Recompute and persist, saving and tracking only when the count changed
+const refreshGoalProgress = async (goal) => {
+  if (!isAutoTracked(goal) || goal.status !== 'Active') return goal;
+
+  const previous = goal.current;
+  await computeGoalProgress(goal);
+  if (goal.current === previous) return goal;
+
+  goal.lastComputedAt = new Date();
+  await goal.save();
+  if (goal.current > previous) await trackEvent(goal.userId, 'goal_updated');
+  return goal;
+};
+
+// Persist progress of every active auto-tracked goal, so stored status and
+// completion stay current without anyone opening the goal
+const refreshActiveGoals = async () => {
+  const summary = { checked: 0, updated: 0 };
+  const cursor = Goal.find({
+    status: 'Active',
+    metric: { $nin: ['manual', null] },
+    type: { $ne: 'Percentage' },
+    isArchived: { $ne: true }
+  }).cursor();
+
+  for await (const goal of cursor) {
+    const previous = goal.current;
+    await refreshGoalProgress(goal);
+    summary.checked++;
+    if (goal.current !== previous) summary.updated++;
+  }
+  return summary;
+};
+
+module.exports = {
+  defaultMetricByCategory,
+  metricCounters,
+  isAutoTracked,
+  applyCompletion,
+  calculateProgressPercent,
+  computeGoalProgress,
+  refreshGoalProgress,
+  refreshActiveGoals
+};
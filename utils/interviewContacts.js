@@ -0,0 +1,62 @@
+// utils/interviewContacts.js
+const { Contact } = require('../models');
+
+const sameId = (a, b) => a && b && String(a) === String(b);
+
+// IDs in the list that don't belong to one of the user's contacts
+const findMissingContacts = async (userId, contactIds) => {
+  const uniqueIds = [...new Set(contactIds.map(String))];
+  if (uniqueIds.length === 0) return [];
+
+  const found = await Contact.find({ _id: { $in: uniqueIds }, userId }).select('_id').lean();
+  const foundIds = new Set(found.map(contact => String(contact._id)));
+  return uniqueIds.filter(id => !foundIds.has(id));
+};
+
+// Drop repeated contact/role pairs, keeping the first
+const dedupeLinks = (links) => {
+  const seen = new Set();
+  return links.filter(link => {
+    const key = `${link.contactId}:${link.role}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+};
+
+// Keep the legacy referralContactId field and the Referrer link in step
+const syncReferralLink = (interview) => {
+  if (!interview.referralContactId) return;
+  const linked = interview.contacts.some(link =>
+    link.role === 'Referrer' && sameId(link.contactId, interview.referralContactId)
+  );
+  if (!linked) {
+    interview.contacts.push({ contactId: interview.referralContactId, role: 'Referrer' });
+  }
+};
+
+// Roles a contact played in each interview, for the contact detail view
+const summarizeContactInterviews = (interviews, contactId) => interviews.map(interview => {
+  const roles = (interview.contacts || [])
+    .filter(link => sameId(link.contactId, contactId))
+    .map(link => link.role);
+  if (sameId(interview.referralContactId, contactId) && !roles.includes('Referrer')) {
+    roles.push('Referrer');
+  }
+
+  return {
+    interviewId: interview._id,
+    firm: interview.firm,
+    position: interview.position,
+    stage: interview.stage,
+    stageDate: interview.stageDate,
+    roles
+  };
+});
+
+module.exports = {
+  findMissingContacts,
+  dedupeLinks,
+  syncReferralLink,
+  summarizeContactInterviews
+};
@@ -0,0 +1,208 @@
+// utils/interviewPipeline.js
+const { stageTransitions, initialStages } = require('../config/interviewStages');
+
+// Forward order of the recruiting pipeline
+const PIPELINE_STAGES = [
+  'Not Yet Applied',
+  'Applied',
+  'Phone Screen',
+  'First Round',
+  'Second Round',
+  'Third Round',
+  'Case Study',
+  'Superday',
+  'Final Round',
+  'Offer Received'
+];
+
+// Stages that end an application
+const TERMINAL_STAGES = ['Offer Received', 'Rejected', 'Withdrawn'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const today = () => new Date().toISOString().split('T')[0];
+
+const daysBetween = (from, to) => Math.max(
+  0,
+  Math.round((new Date(`${to}T00:00:00.000Z`) - new Date(`${from}T00:00:00.000Z`)) / DAY_MS)
+);
+
+const stageIndex = (stage) => PIPELINE_STAGES.indexOf(stage);
+
+// Check a move against the configured transition graph. An empty current
+// stage means the interview is new (or was never staged).
+const validateStageTransition = (fromStage, toStage) => {
+  const allowedNextStages = fromStage ? (stageTransitions[fromStage] || []) : initialStages;
+  if (!toStage || toStage === fromStage) return { allowed: true, allowedNextStages };
+  return { allowed: allowedNextStages.includes(toStage), allowedNextStages };
+};
+
+// Append a transition and update the current stage; no-op if nothing changed
+const recordStageChange = (interview, toStage, { date, userId, override = false } = {}) => {
+  const fromStage = interview.stage || null;
+  if (!toStage || toStage === fromStage) return false;
+
+  const stageDate = (date || interview.stageDate || today()).split('T')[0];
+  interview.stageHistory.push({
+    from: fromStage,
+    to: toStage,
+    date: stageDate,
+    changedAt: new Date(),
+    changedBy: userId,
+    override
+  });
+  interview.stage = toStage;
+  interview.stageDate = stageDate;
+  return true;
+};
+
+// Passing a round moves the application to the stage after that round, unless
+// it is already further along or closed
+const advanceStageForRound = (interview, round, { userId } = {}) => {
+  if (round.outcome !== 'Passed') return false;
+  if (['Rejected', 'Withdrawn'].includes(interview.stage)) return false;
+
+  const nextStage = PIPELINE_STAGES[stageIndex(round.stage) + 1];
+  if (!nextStage || stageIndex(interview.stage) >= stageIndex(nextStage)) return false;
+  if (!validateStageTransition(interview.stage, nextStage).allowed) return false;
+
+  return recordStageChange(interview, nextStage, { date: today(), userId });
+};
+
+// Ordered list of stages the interview has been in, with time spent in each
+const buildStageTimeline = (interview) => {
+  const history = [...(interview.stageHistory || [])]
+    .sort((a, b) => (a.date === b.date ? a.changedAt - b.changedAt : a.date.localeCompare(b.date)));
+
+  // Interviews created before history was recorded are missing their opening
+  // stage; date it from when the interview was created
+  const createdDate = interview.createdAt
+    ? new Date(interview.createdAt).toISOString().split('T')[0]
+    : today();
+  if (history.length === 0 && interview.stage) {
+    history.push({
+      from: null,
+      to: interview.stage,
+      date: interview.stageDate || createdDate,
+      changedAt: interview.createdAt,
+      changedBy: interview.userId
+    });
+  } else if (history.length > 0 && history[0].from) {
+    history.unshift({
+      from: null,
+      to: history[0].from,
+      date: createdDate < history[0].date ? createdDate : history[0].date,
+      changedAt: interview.createdAt,
+      changedBy: interview.userId
+    });
+  }
+
+  return history.map((entry, index) => {
+    const next = history[index + 1];
+    const isCurrent = !next;
+    let daysInStage = null;
+    if (next) daysInStage = daysBetween(entry.date, next.date);
+    else if (!TERMINAL_STAGES.includes(entry.to)) daysInStage = daysBetween(entry.date, today());
+
+    return {
+      from: entry.from,
+      to: entry.to,
+      date: entry.date,
+      changedAt: entry.changedAt,
+      changedBy: entry.changedBy,
+      daysInStage,
+      isCurrent
+    };
+  });
+};
+
+// Indexes of the pipeline stages the interview was actually recorded in.
+// Optional stages (a Case Study, a Superday) only count when they happened.
+// Applied is the exception: any later stage or a rejection means the
+// application was submitted even if that step wasn't recorded.
+const reachedStageIndexes = (timeline, interview) => {
+  const reached = new Set(timeline.map(entry => stageIndex(entry.to)).filter(index => index >= 0));
+  const applied = stageIndex('Applied');
+  if ([...reached].some(index => index > applied) || interview.stage === 'Rejected') reached.add(applied);
+  return reached;
+};
+
+const round = (value) => Math.round(value * 10) / 10;
+
+// Conversion funnel and average time-in-stage, grouped by firm
+const computeFirmConversion = (interviews) => {
+  const firms = new Map();
+
+  interviews.forEach(interview => {
+    const firm = interview.firm;
+    if (!firms.has(firm)) {
+      firms.set(firm, {
+        firm,
+        total: 0,
+        reached: PIPELINE_STAGES.map(() => 0),
+        advanced: PIPELINE_STAGES.map(() => 0),
+        outcomes: { offers: 0, rejected: 0, withdrawn: 0, active: 0 },
+        stageDays: {}
+      });
+    }
+    const stats = firms.get(firm);
+    stats.total++;
+
+    const timeline = buildStageTimeline(interview);
+    const reached = reachedStageIndexes(timeline, interview);
+    const furthest = Math.max(-1, ...reached);
+    reached.forEach(index => {
+      stats.reached[index]++;
+      if (index < furthest) stats.advanced[index]++;
+    });
+
+    if (interview.stage === 'Offer Received') stats.outcomes.offers++;
+    else if (interview.stage === 'Rejected') stats.outcomes.rejected++;
+    else if (interview.stage === 'Withdrawn') stats.outcomes.withdrawn++;
+    else stats.outcomes.active++;
+
+    timeline.forEach(entry => {
+      if (entry.daysInStage === null) return;
+      if (!stats.stageDays[entry.to]) stats.stageDays[entry.to] = [];
+      stats.stageDays[entry.to].push(entry.daysInStage);
+    });
+  });
+
+  return [...firms.values()].map(stats => {
+    // Stages can be skipped, so conversion is the share of applications in a
+    // stage that went on to any later one, not to the next stage in the list
+    const funnel = PIPELINE_STAGES.map((stage, i) => ({
+      stage,
+      reached: stats.reached[i],
+      advanced: stats.advanced[i],
+      conversionToNext: i < PIPELINE_STAGES.length - 1 && stats.reached[i] > 0
+        ? round((stats.advanced[i] / stats.reached[i]) * 100)
+        : null
+    }));
+
+    const averageDaysInStage = {};
+    Object.entries(stats.stageDays).forEach(([stage, days]) => {
+      averageDaysInStage[stage] = round(days.reduce((sum, d) => sum + d, 0) / days.length);
+    });
+
+    const applied = stats.reached[stageIndex('Applied')];
+    return {
+      firm: stats.firm,
+      total: stats.total,
+      outcomes: stats.outcomes,
+      offerRate: applied > 0 ? round((stats.outcomes.offers / applied) * 100) : 0,
+      funnel,
+      averageDaysInStage
+    };
+  }).sort((a, b) => b.total - a.total);
+};
+
+module.exports = {
+  PIPELINE_STAGES,
+  TERMINAL_STAGES,
+  validateStageTransition,
+  recordStageChange,
+  advanceStageForRound,
+  buildStageTimeline,
+  computeFirmConversion
+};
@@ -0,0 +1,64 @@
+// utils/networkingStatus.js
+const { statusRules } = require('../config/networkingStatusRules');
+
+// Moving a contact into one of these statuses counts as a completed follow-up
+const FOLLOW_UP_STATUSES = ['Follow-Up Email Sent', 'Follow-Up Call Complete'];
+
+const today = () => new Date().toISOString().split('T')[0];
+
+// The user's own rule table, or the defaults from config
+const getStatusRules = (user) => {
+  const custom = ((user && user.preferences) || {}).statusRules;
+  if (!custom || custom.length === 0) return statusRules;
+  return custom.map(({ from, types, when, to }) => ({ from: [...from], types: [...types], when, to }));
+};
+
+// Status the interaction moves the contact to, or null if no rule matches
+const inferStatusFromInteraction = (currentStatus, interaction, asOf = today(), rules = statusRules) => {
+  const date = String(interaction.date).split('T')[0];
+  const timing = date > asOf ? 'future' : 'past';
+  const rule = rules.find(candidate =>
+    candidate.from.includes(currentStatus || 'Not Yet Contacted') &&
+    candidate.types.includes(interaction.type) &&
+    (candidate.when === 'any' || candidate.when === timing)
+  );
+  return rule ? rule.to : null;
+};
+
+// Append a status change to the contact's history and apply it; no-op if unchanged
+const recordStatusChange = (contact, toStatus, { date, source = 'manual', interactionId = null } = {}) => {
+  const fromStatus = contact.networkingStatus || null;
+  if (!toStatus || toStatus === fromStatus) return null;
+
+  const statusDate = String(date || today()).split('T')[0];
+  contact.statusHistory.push({
+    from: fromStatus,
+    to: toStatus,
+    date: statusDate,
+    source,
+    interactionId,
+    changedAt: new Date()
+  });
+  contact.networkingStatus = toStatus;
+  contact.networkingDate = statusDate;
+  return { from: fromStatus, to: toStatus, date: statusDate, source };
+};
+
+// Advance the contact from a newly logged interaction
+const advanceStatusForInteraction = (contact, interaction, { asOf = today(), rules } = {}) => {
+  const toStatus = inferStatusFromInteraction(contact.networkingStatus, interaction, asOf, rules);
+  if (!toStatus) return null;
+  return recordStatusChange(contact, toStatus, {
+    date: interaction.date,
+    source: 'interaction',
+    interactionId: interaction._id
+  });
+};
+
+module.exports = {
+  FOLLOW_UP_STATUSES,
+  getStatusRules,
+  inferStatusFromInteraction,
+  recordStatusChange,
+  advanceStatusForInteraction
+};
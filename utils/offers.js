@@ -0,0 +1,79 @@
+// utils/offers.js
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const today = () => new Date().toISOString().split('T')[0];
+
+// Offers still on the table
+const ACTIVE_OFFER_STATUSES = ['Pending', 'Negotiating', 'Accepted'];
+
+const daysUntil = (dateString) => {
+  if (!dateString) return null;
+  return Math.round(
+    (new Date(`${dateString.split('T')[0]}T00:00:00.000Z`) - new Date(`${today()}T00:00:00.000Z`)) / DAY_MS
+  );
+};
+
+const calculateOfferTotals = (offer = {}) => {
+  const base = offer.baseSalary || 0;
+  const bonus = offer.bonus || 0;
+  const signing = offer.signingBonus || 0;
+  return {
+    annualCompensation: base + bonus,
+    firstYearTotal: base + bonus + signing
+  };
+};
+
+// Side-by-side view of active offers, best first year total first. Offers in
+// different currencies are ranked separately since no FX rates are stored.
+const compareOffers = (interviews) => {
+  const rows = interviews.map(interview => {
+    const { offer } = interview;
+    const totals = calculateOfferTotals(offer);
+    const deadlineInDays = daysUntil(offer.deadline);
+    return {
+      interviewId: interview._id,
+      firm: interview.firm,
+      position: interview.position,
+      group: interview.group,
+      office: interview.office,
+      nextSteps: interview.nextSteps,
+      nextStepsDate: interview.nextStepsDate,
+      offer: {
+        baseSalary: offer.baseSalary || 0,
+        bonus: offer.bonus || 0,
+        signingBonus: offer.signingBonus || 0,
+        currency: offer.currency || 'USD',
+        startDate: offer.startDate,
+        deadline: offer.deadline,
+        location: offer.location,
+        status: offer.status
+      },
+      ...totals,
+      deadlineInDays,
+      isExpired: deadlineInDays !== null && deadlineInDays < 0
+    };
+  });
+
+  const bestByCurrency = {};
+  rows.forEach(row => {
+    const { currency } = row.offer;
+    if (!bestByCurrency[currency] || row.firstYearTotal > bestByCurrency[currency]) {
+      bestByCurrency[currency] = row.firstYearTotal;
+    }
+  });
+
+  return rows
+    .map(row => ({
+      ...row,
+      gapToBest: bestByCurrency[row.offer.currency] - row.firstYearTotal,
+      isBest: row.firstYearTotal === bestByCurrency[row.offer.currency]
+    }))
+    .sort((a, b) => b.firstYearTotal - a.firstYearTotal);
+};
+
+module.exports = {
+  ACTIVE_OFFER_STATUSES,
+  calculateOfferTotals,
+  compareOffers
+};
@@ -0,0 +1,175 @@
+// utils/recurringGoals.js
+const { Goal } = require('../models');
+const { refreshGoalProgress } = require('./goalProgress');
+
+// Safety cap when a goal has missed several windows (e.g. the server was down)
+const MAX_CATCH_UP_WINDOWS = 366;
+
+const today = () => new Date().toISOString().split('T')[0];
+
+const addDays = (dateString, days) => {
+  const date = new Date(`${dateString}T00:00:00.000Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
+};
+
+// Move by whole months, landing on dayOfMonth (default: the same day) or the
+// last day of the target month when it is shorter, e.g. Jan 31 + 1 -> Feb 28
+const addMonths = (dateString, months, dayOfMonth) => {
+  const date = new Date(`${dateString}T00:00:00.000Z`);
+  const day = dayOfMonth || date.getUTCDate();
+  date.setUTCDate(1);
+  date.setUTCMonth(date.getUTCMonth() + months);
+  const lastDay = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+  date.setUTCDate(Math.min(day, lastDay));
+  return date.toISOString().split('T')[0];
+};
+
+const daysBetween = (startDate, endDate) => Math.round(
+  (new Date(`${endDate}T00:00:00.000Z`) - new Date(`${startDate}T00:00:00.000Z`)) / (1000 * 60 * 60 * 24)
+);
+
+// Day of the month the series' windows start on. Month-based windows stay
+// anchored to it, so a series starting on the 31st doesn't drift to the 28th
+// after February. A first window shorter than a full period (e.g. a monthly
+// goal created on Oct 19 that runs to Oct 31) anchors on the day after it ends.
+const seriesAnchorDay = (goal, months) => {
+  const first = goal.history && goal.history.length > 0 ? goal.history[0] : goal;
+  const startDay = Number(first.startDate.split('-')[2]);
+  const fullPeriodEnd = addDays(addMonths(first.startDate, months, startDay), -1);
+  if (!first.endDate || first.endDate === fullPeriodEnd) return startDay;
+  return Number(addDays(first.endDate, 1).split('-')[2]);
+};
+
+const monthWindow = (goal, startDate, months) => ({
+  startDate,
+  endDate: addDays(addMonths(startDate, months, seriesAnchorDay(goal, months)), -1)
+});
+
+// Next window starts the day after the current one ends (dates are inclusive)
+const getNextWindow = (goal) => {
+  const startDate = addDays(goal.endDate, 1);
+
+  switch (goal.timeframe) {
+    case 'Daily':
+      return { startDate, endDate: startDate };
+    case 'Weekly':
+      return { startDate, endDate: addDays(startDate, 6) };
+    case 'Monthly':
+      return monthWindow(goal, startDate, 1);
+    case 'Quarterly':
+      return monthWindow(goal, startDate, 3);
+    case 'Yearly':
+      return monthWindow(goal, startDate, 12);
+    default:
+      // Custom windows repeat with the same length
+      return { startDate, endDate: addDays(startDate, daysBetween(goal.startDate, goal.endDate)) };
+  }
+};
+
+const dueQuery = (asOf, userId) => {
+  const query = {
+    recurring: true,
+    rolledOverAt: { $exists: false },
+    endDate: { $lt: asOf },
+    status: { $in: ['Active', 'Completed'] },
+    isArchived: { $ne: true }
+  };
+  if (userId) query.userId = userId;
+  return query;
+};
+
+// Goal for the next window, carrying the series history forward
+const buildSuccessor = (claimed, finalStatus) => {
+  const historyEntry = {
+    goalId: claimed._id,
+    startDate: claimed.startDate,
+    endDate: claimed.endDate,
+    target: claimed.target,
+    current: claimed.current,
+    status: finalStatus,
+    completedAt: claimed.completedAt,
+    closedAt: new Date()
+  };
+
+  const { startDate, endDate } = getNextWindow(claimed);
+  return new Goal({
+    userId: claimed.userId,
+    title: claimed.title,
+    description: claimed.description,
+    category: claimed.category,
+    type: claimed.type,
+    metric: claimed.metric,
+    target: claimed.target,
+    current: 0,
+    unit: claimed.unit,
+    timeframe: claimed.timeframe,
+    startDate,
+    endDate,
+    status: 'Active',
+    recurring: true,
+    seriesId: claimed.seriesId || claimed._id,
+    previousGoalId: claimed._id,
+    history: [...claimed.history.map(entry => entry.toObject()), historyEntry]
+  });
+};
+
+// Close out one goal and create its successor; returns the new goal or null
+// if another worker already claimed it. The successor is saved before the old
+// goal is closed, and a failure releases the claim so the next run retries.
+const rolloverGoal = async (goal) => {
+  const claimed = await Goal.findOneAndUpdate(
+    { _id: goal._id, rolledOverAt: { $exists: false } },
+    { rolledOverAt: new Date() },
+    { new: true }
+  );
+  if (!claimed) return null;
+
+  let nextGoal;
+  let finalStatus;
+  try {
+    // Final count for the window that just ended
+    await refreshGoalProgress(claimed);
+
+    finalStatus = claimed.current >= claimed.target ? 'Completed' : 'Expired';
+    if (finalStatus === 'Completed' && !claimed.completedAt) claimed.completedAt = new Date();
+    nextGoal = buildSuccessor(claimed, finalStatus);
+    await nextGoal.save();
+  } catch (error) {
+    await Goal.updateOne({ _id: claimed._id }, { $unset: { rolledOverAt: 1 } });
+    throw error;
+  }
+
+  claimed.status = finalStatus;
+  await claimed.save();
+
+  return nextGoal;
+};
+
+// Roll over every recurring goal whose window has ended, catching up on
+// missed windows one at a time
+const rolloverDueGoals = async ({ userId, asOf = today() } = {}) => {
+  const summary = { closed: 0, created: 0 };
+
+  for (let pass = 0; pass < MAX_CATCH_UP_WINDOWS; pass++) {
+    const dueGoals = await Goal.find(dueQuery(asOf, userId));
+    if (dueGoals.length === 0) break;
+
+    for (const goal of dueGoals) {
+      const nextGoal = await rolloverGoal(goal);
+      if (nextGoal) {
+        summary.closed++;
+        summary.created++;
+      }
+    }
+  }
+
+  return summary;
+};
+
+module.exports = {
+  addMonths,
+  getNextWindow,
+  rolloverGoal,
+  rolloverDueGoals
+};
@@ -0,0 +1,121 @@
+// utils/relationshipScore.js
+const { Contact } = require('../models');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const today = () => new Date().toISOString().split('T')[0];
+
+// How much each kind of interaction says about the relationship
+const INTERACTION_WEIGHTS = {
+  Meeting: 3,
+  'Coffee Chat': 3,
+  Call: 2.5,
+  Event: 1.5,
+  Email: 1,
+  Note: 0.5
+};
+
+// Engagement with senior bankers counts for more
+const SENIORITY_MULTIPLIERS = {
+  MD: 1.2,
+  Director: 1.15,
+  VP: 1.1,
+  Associate: 1,
+  Analyst: 0.95,
+  Other: 1
+};
+
+const daysSince = (dateString, asOf) => Math.round(
+  (new Date(`${asOf}T00:00:00.000Z`) - new Date(`${dateString.split('T')[0]}T00:00:00.000Z`)) / DAY_MS
+);
+
+// 0-100 score from how often (up to 50), how recently (up to 30) and how well
+// (-20 to +20) the user has interacted with a contact, scaled by seniority.
+// Contacts without interactions score 0.
+const computeRelationshipScore = (contact, asOf = today()) => {
+  const interactions = contact.interactions || [];
+  if (interactions.length === 0) return 0;
+
+  const frequency = interactions.reduce((sum, interaction) => sum + (INTERACTION_WEIGHTS[interaction.type] || 1), 0);
+  const latest = interactions.reduce((max, interaction) => (interaction.date > max ? interaction.date : max), '');
+  const age = daysSince(latest, asOf);
+  let recency = 0;
+  if (age <= 30) recency = 30;
+  else if (age <= 90) recency = 20;
+  else if (age <= 180) recency = 10;
+  else if (age <= 365) recency = 5;
+
+  const sentiment = interactions.reduce((sum, interaction) => {
+    if (interaction.sentiment === 'Positive') return sum + 4;
+    if (interaction.sentiment === 'Negative') return sum - 8;
+    return sum;
+  }, 0);
+
+  const engagement = Math.min(frequency * 8, 50) + recency + Math.max(-20, Math.min(20, sentiment));
+  const score = Math.max(0, engagement) * (SENIORITY_MULTIPLIERS[contact.seniority] || 1);
+  return Math.min(100, Math.round(score));
+};
+
+// Stored score when present, otherwise computed (contacts saved before scoring)
+const getRelationshipScore = (contact, asOf = today()) => (
+  typeof contact.relationshipScore === 'number' && contact.relationshipScoreUpdatedAt
+    ? contact.relationshipScore
+    : computeRelationshipScore(contact, asOf)
+);
+
+// Set the stored score on a contact document before it is saved
+const applyRelationshipScore = (contact) => {
+  contact.relationshipScore = computeRelationshipScore(contact);
+  contact.relationshipScoreUpdatedAt = new Date();
+  return contact.relationshipScore;
+};
+
+// Recompute stored scores so recency decays even without new interactions
+const refreshRelationshipScores = async ({ userId, contactIds } = {}) => {
+  const query = { isArchived: { $ne: true } };
+  if (userId) query.userId = userId;
+  if (contactIds) query._id = { $in: contactIds };
+
+  const cursor = Contact.find(query)
+    .select('seniority relationshipScore interactions.type interactions.date interactions.sentiment')
+    .lean()
+    .cursor();
+
+  let scanned = 0;
+  let batch = [];
+  let updated = 0;
+  const flush = async () => {
+    if (batch.length === 0) return;
+    const result = await Contact.bulkWrite(batch, { ordered: false });
+    updated += result.modifiedCount;
+    batch = [];
+  };
+
+  for await (const contact of cursor) {
+    scanned++;
+    batch.push({
+      updateOne: {
+        filter: { _id: contact._id },
+        update: {
+          $set: {
+            relationshipScore: computeRelationshipScore(contact),
+            relationshipScoreUpdatedAt: new Date()
+          }
+        }
+      }
+    });
+    if (batch.length >= 500) await flush();
+  }
+  await flush();
+
+  return { scanned, updated };
+};
+
+module.exports = {
+  INTERACTION_WEIGHTS,
+  SENIORITY_MULTIPLIERS,
+  computeRelationshipScore,
+  getRelationshipScore,
+  applyRelationshipScore,
+  refreshRelationshipScores
+};
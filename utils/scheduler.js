@@ -0,0 +1,62 @@
+// utils/scheduler.js
+const cron = require('node-cron');
+const { rolloverDueGoals } = require('./recurringGoals');
+const { refreshRelationshipScores } = require('./relationshipScore');
+const { refreshActiveGoals } = require('./goalProgress');
+const { failStaleExports, removeExpiredExports } = require('./dataExport');
+const { purgeDeletedAccounts } = require('./accountDeletion');
+const { purgeExpiredArchives } = require('./dataRetention');
+const { recoverStaleImports } = require('./contactImport');
+
+const scheduledTasks = [];
+
+// Wrap a job so one failing run is logged instead of crashing the process
+const runJob = (name, job) => async () => {
+  const startedAt = Date.now();
+  try {
+    const result = await job();
+    console.log(`⏰ Job ${name} finished in ${Date.now() - startedAt}ms`, result || '');
+  } catch (error) {
+    console.error(`❌ Job ${name} failed:`, error);
+  }
+};
+
+const scheduleJob = (name, schedule, job) => {
+  if (!cron.validate(schedule)) {
+    console.error(`❌ Invalid cron schedule for ${name}: ${schedule}`);
+    return;
+  }
+  scheduledTasks.push(cron.schedule(schedule, runJob(name, job), {
+    timezone: process.env.CRON_TIMEZONE || 'UTC'
+  }));
+  console.log(`⏰ Scheduled job ${name} (${schedule})`);
+};
+
+const startScheduledJobs = () => {
+  if (process.env.ENABLE_SCHEDULED_JOBS === 'false') {
+    console.log('⏰ Scheduled jobs disabled');
+    return;
+  }
+
+  scheduleJob('goal-rollover', process.env.GOAL_ROLLOVER_SCHEDULE || '5 0 * * *', () => rolloverDueGoals());
+  scheduleJob('goal-progress', process.env.GOAL_PROGRESS_SCHEDULE || '10 0 * * *', () => refreshActiveGoals());
+  // Recency decays daily even when nothing is logged
+  scheduleJob('relationship-scores', process.env.RELATIONSHIP_SCORE_SCHEDULE || '30 0 * * *', () => refreshRelationshipScores());
+  scheduleJob('data-export-cleanup', process.env.DATA_EXPORT_CLEANUP_SCHEDULE || '15 * * * *', async () => ({
+    ...await failStaleExports(),
+    ...await removeExpiredExports()
+  }));
+  scheduleJob('contact-import-recovery', process.env.CONTACT_IMPORT_RECOVERY_SCHEDULE || '*/10 * * * *', () => recoverStaleImports());
+  scheduleJob('account-purge', process.env.ACCOUNT_PURGE_SCHEDULE || '0 3 * * *', () => purgeDeletedAccounts());
+  scheduleJob('archive-retention', process.env.ARCHIVE_RETENTION_SCHEDULE || '45 3 * * *', () => purgeExpiredArchives());
+};
+
+const stopScheduledJobs = () => {
+  scheduledTasks.forEach(task => task.stop());
+  scheduledTasks.length = 0;
+};
+
+module.exports = {
+  startScheduledJobs,
+  stopScheduledJobs
+};
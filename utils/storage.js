@@ -0,0 +1,127 @@
+// utils/storage.js
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const cloudinary = require('cloudinary').v2;
+
+const CLOUDINARY_DOWNLOAD_TIMEOUT_MS = 30000;
+// Uploaded documents aren't public: Cloudinary serves them only from signed URLs
+const CLOUDINARY_DELIVERY_TYPE = 'authenticated';
+
+const uploadDir = () => path.resolve(process.env.UPLOAD_PATH || './uploads');
+
+const isCloudinaryConfigured = () => ['CLOUDINARY_CLOUD_NAME', 'CLOUDINARY_API_KEY', 'CLOUDINARY_API_SECRET']
+  .every(name => Boolean(process.env[name]));
+
+const configureCloudinary = () => cloudinary.config({
+  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+  api_key: process.env.CLOUDINARY_API_KEY,
+  api_secret: process.env.CLOUDINARY_API_SECRET
+});
+
+// Every stored file is keyed under its owner, e.g. users/<userId>/<documentId>-<random>.pdf
+const ownerPrefix = (userId) => `users/${userId}/`;
+
+// Where a document's stored file lives, if it belongs to userId. Keys are only
+// set by saveStoredFile (never from request bodies or fileData.url), and are
+// still checked against the owner so a record can't reach another user's file
+// or anything outside app storage.
+const resolveStoredFile = (storedFile, userId) => {
+  if (!storedFile || !userId || typeof storedFile.key !== 'string') return null;
+  const { provider, key } = storedFile;
+  if (!key.startsWith(ownerPrefix(userId)) || key.split('/').includes('..')) return null;
+
+  if (provider === 'local') {
+    const filePath = path.resolve(uploadDir(), key);
+    return filePath.startsWith(uploadDir() + path.sep) ? { provider, filePath } : null;
+  }
+
+  if (provider === 'cloudinary' && process.env.CLOUDINARY_CLOUD_NAME) {
+    return { provider, publicId: key, resourceType: storedFile.resourceType || 'raw' };
+  }
+
+  return null;
+};
+
+// Store an uploaded file (multer memory storage) for the user's document and
+// return the storedFile record to save on it
+const saveStoredFile = async (userId, documentId, file) => {
+  const extension = path.extname(file.originalname || '').toLowerCase().replace(/[^.a-z0-9]/g, '');
+  const key = `${ownerPrefix(userId)}${documentId}-${crypto.randomBytes(8).toString('hex')}${extension}`;
+
+  if (isCloudinaryConfigured()) {
+    configureCloudinary();
+    await new Promise((resolve, reject) => {
+      cloudinary.uploader.upload_stream(
+        {
+          public_id: key,
+          resource_type: 'raw',
+          type: CLOUDINARY_DELIVERY_TYPE,
+          overwrite: false
+        },
+        (error, result) => (error ? reject(error) : resolve(result))
+      ).end(file.buffer);
+    });
+    return { provider: 'cloudinary', key, resourceType: 'raw' };
+  }
+
+  const filePath = path.join(uploadDir(), key);
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.promises.writeFile(filePath, file.buffer, { flag: 'wx' });
+  return { provider: 'local', key };
+};
+
+// Short-lived signed URL for a Cloudinary file resolved by resolveStoredFile
+const cloudinaryDownloadUrl = (file) => {
+  configureCloudinary();
+  return cloudinary.url(file.publicId, {
+    resource_type: file.resourceType,
+    type: CLOUDINARY_DELIVERY_TYPE,
+    sign_url: true,
+    secure: true
+  });
+};
+
+// Contents of the user's stored file as a Buffer, or null when the record has
+// no stored file of theirs
+const readStoredFile = async (storedFile, userId) => {
+  const file = resolveStoredFile(storedFile, userId);
+  if (!file) return null;
+
+  if (file.provider === 'local') return fs.promises.readFile(file.filePath);
+
+  const response = await fetch(cloudinaryDownloadUrl(file), {
+    redirect: 'error',
+    signal: AbortSignal.timeout(CLOUDINARY_DOWNLOAD_TIMEOUT_MS)
+  });
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+  return Buffer.from(await response.arrayBuffer());
+};
+
+// Remove the user's stored file; anything that isn't theirs is left alone
+const removeStoredFile = async (storedFile, userId) => {
+  const file = resolveStoredFile(storedFile, userId);
+  if (!file) return false;
+
+  if (file.provider === 'cloudinary') {
+    configureCloudinary();
+    await cloudinary.uploader.destroy(file.publicId, {
+      resource_type: file.resourceType,
+      type: CLOUDINARY_DELIVERY_TYPE
+    });
+    return true;
+  }
+
+  await fs.promises.unlink(file.filePath).catch(error => {
+    if (error.code !== 'ENOENT') throw error;
+  });
+  return true;
+};
+
+module.exports = {
+  resolveStoredFile,
+  saveStoredFile,
+  cloudinaryDownloadUrl,
+  readStoredFile,
+  removeStoredFile
+};
@@ -1,5 +1,7 @@
 const { body, param, query, validationResult } = require('express-validator');
 const mongoose = require('mongoose');
+const { followUpCadence } = require('../config/followUpCadence');
+const { interactionTypes, ruleTimings } = require('../config/networkingStatusRules');
 
 // Enhanced validation with better error messages
 const handleValidationErrors = (req, res, next) => {
@@ -103,7 +105,87 @@ const userValidation = {
     body('preferences.timezone')
       .optional()
       .isLength({ min: 1, max: 50 })
-      .withMessage('Timezone must be between 1 and 50 characters')
+      .withMessage('Timezone must be between 1 and 50 characters'),
+    body('preferences.autoAdvanceStatus')
+      .optional()
+      .isBoolean()
+      .withMessage('Auto-advance status must be true or false'),
+    body('preferences.archiveRetentionDays')
+      .optional({ nullable: true })
+      .isInt({ min: 1, max: 3650 })
+      .withMessage('Archive retention must be between 1 and 3650 days')
+      .toInt()
+  ],
+
+  followUpCadence: [
+    body('intervals')
+      .optional()
+      .isObject()
+      .withMessage('Intervals must be an object of networking status to days')
+      .custom((intervals) => {
+        Object.entries(intervals).forEach(([status, days]) => {
+          if (!followUpCadence[status]) {
+            throw new Error(`Unknown networking status: ${status}`);
+          }
+          if (days !== null && (!Number.isInteger(days) || days < 0 || days > 365)) {
+            throw new Error(`Interval for ${status} must be a whole number of days between 0 and 365`);
+          }
+        });
+        return true;
+      }),
+    body('upcomingWindowDays')
+      .optional({ nullable: true })
+      .isInt({ min: 1, max: 90 })
+      .withMessage('Upcoming window must be between 1 and 90 days')
+  ],
+
+  statusRules: [
+    body('rules')
+      .optional({ nullable: true })
+      .isArray({ max: 50 })
+      .withMessage('Rules must be a list of at most 50 rules')
+      .custom((rules) => {
+        const statuses = Object.keys(followUpCadence);
+        rules.forEach((rule, index) => {
+          const label = `Rule ${index + 1}`;
+          if (!rule || typeof rule !== 'object') throw new Error(`${label} must be an object`);
+          if (!Array.isArray(rule.from) || rule.from.length === 0 || rule.from.some(status => !statuses.includes(status))) {
+            throw new Error(`${label}: from must list known networking statuses`);
+          }
+          if (!Array.isArray(rule.types) || rule.types.length === 0 || rule.types.some(type => !interactionTypes.includes(type))) {
+            throw new Error(`${label}: types must list known interaction types`);
+          }
+          if (!ruleTimings.includes(rule.when)) {
+            throw new Error(`${label}: when must be past, future or any`);
+          }
+          if (!statuses.includes(rule.to)) {
+            throw new Error(`${label}: to must be a known networking status`);
+          }
+        });
+        return true;
+      }),
+    body('autoAdvanceStatus')
+      .optional()
+      .isBoolean()
+      .withMessage('Auto-advance status must be true or false')
+      .toBoolean()
+  ],
+
+  dataExport: [
+    param('exportId')
+      .custom(isValidObjectId)
+      .withMessage('Invalid export ID format')
+  ],
+
+  deleteAccount: [
+    body('password')
+      .notEmpty()
+      .withMessage('Password is required to delete the account'),
+    body('reason')
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage('Reason must be less than 500 characters')
   ],
   
   changePassword: [
@@ -137,6 +219,10 @@ const userValidation = {
 };
 
 // Contact validation - Fixed and improved
+const CONTACT_RELATIONSHIPS = [
+  'Introduced', 'Colleague', 'Former Colleague', 'Alumni', 'Friend', 'Mentor', 'Other'
+];
+
 const contactValidation = {
   create: [
     body('name')
@@ -182,6 +268,10 @@ const contactValidation = {
       .trim()
       .isLength({ max: 50 })
       .withMessage('Group must be less than 50 characters'),
+    body('seniority')
+      .optional({ nullable: true, checkFalsy: true })
+      .isIn(['Analyst', 'Associate', 'VP', 'Director', 'MD', 'Other'])
+      .withMessage('Invalid seniority level'),
     body('networkingStatus')
       .optional({ nullable: true, checkFalsy: true })
       .isIn([
@@ -275,6 +365,10 @@ const contactValidation = {
         }
         return true;
       }),
+    body('seniority')
+      .optional({ nullable: true, checkFalsy: true })
+      .isIn(['Analyst', 'Associate', 'VP', 'Director', 'MD', 'Other'])
+      .withMessage('Invalid seniority level'),
     body('networkingStatus')
       .optional()
       .isIn([
@@ -327,10 +421,179 @@ const contactValidation = {
       .optional()
       .isIn(['Positive', 'Neutral', 'Negative'])
       .withMessage('Invalid sentiment value')
+  ],
+
+  addConnection: [
+    param('id')
+      .custom(isValidObjectId)
+      .withMessage('Invalid contact ID format'),
+    body('contactId')
+      .notEmpty()
+      .withMessage('Connected contact ID is required')
+      .custom(isValidObjectId),
+    body('relationship')
+      .isIn(CONTACT_RELATIONSHIPS)
+      .withMessage('Relationship must be one of: ' + CONTACT_RELATIONSHIPS.join(', ')),
+    body('since')
+      .optional({ nullable: true, checkFalsy: true })
+      .isISO8601()
+      .withMessage('Since must be a valid date'),
+    body('notes')
+      .optional({ nullable: true })
+      .isLength({ max: 500 })
+      .withMessage('Notes must be less than 500 characters')
+  ],
+
+  removeConnection: [
+    param('id')
+      .custom(isValidObjectId)
+      .withMessage('Invalid contact ID format'),
+    param('connectionId').custom(isValidObjectId)
+  ],
+
+  followUps: [
+    query('type')
+      .optional()
+      .isIn(['overdue', 'upcoming', 'all'])
+      .withMessage('Type must be overdue, upcoming or all'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 200 })
+      .withMessage('Limit must be between 1 and 200'),
+    query('windowDays')
+      .optional()
+      .isInt({ min: 1, max: 90 })
+      .withMessage('Window must be between 1 and 90 days')
+  ],
+
+  referralPaths: [
+    query('firm')
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Firm must be between 1 and 100 characters'),
+    query('group')
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 50 })
+      .withMessage('Group must be between 1 and 50 characters'),
+    query('maxHops')
+      .optional()
+      .isInt({ min: 1, max: 4 })
+      .withMessage('Max hops must be between 1 and 4'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 50 })
+      .withMessage('Limit must be between 1 and 50')
+  ],
+
+  history: [
+    param('id')
+      .custom(isValidObjectId)
+      .withMessage('Invalid contact ID format'),
+    query('field')
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 50 })
+      .withMessage('Field must be between 1 and 50 characters'),
+    query('page')
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage('Page must be a positive integer'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100')
+  ],
+
+  revertChange: [
+    param('id')
+      .custom(isValidObjectId)
+      .withMessage('Invalid contact ID format'),
+    param('entryId')
+      .custom(isValidObjectId)
+      .withMessage('Invalid history entry ID format'),
+    body('field')
+      .notEmpty()
+      .withMessage('Field to revert is required')
+      .isString()
+      .trim(),
+    body('force')
+      .optional()
+      .isBoolean()
+      .withMessage('Force must be a boolean')
+      .toBoolean()
+  ],
+
+  duplicates: [
+    query('threshold')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Threshold must be between 1 and 100'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 200 })
+      .withMessage('Limit must be between 1 and 200')
+  ],
+
+  merge: [
+    body('survivorId')
+      .notEmpty()
+      .withMessage('Survivor contact ID is required')
+      .custom(isValidObjectId),
+    body('duplicateIds')
+      .isArray({ min: 1, max: 20 })
+      .withMessage('Duplicate IDs must be an array of 1 to 20 contact IDs'),
+    body('duplicateIds.*')
+      .custom(isValidObjectId)
+      .withMessage('Invalid duplicate contact ID format')
+  ],
+
+  importMapping: [
+    param('importId')
+      .custom(isValidObjectId)
+      .withMessage('Invalid import ID format'),
+    body('mapping')
+      .optional()
+      .isObject()
+      .withMessage('Mapping must be an object of column name to contact field'),
+    body('skipDuplicates')
+      .optional()
+      .isBoolean()
+      .withMessage('Skip duplicates must be a boolean'),
+    body('defaultFirm')
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Default firm must be between 1 and 100 characters')
+  ],
+
+  importStatus: [
+    param('importId')
+      .custom(isValidObjectId)
+      .withMessage('Invalid import ID format')
+  ],
+
+  export: [
+    query('format')
+      .optional()
+      .isIn(['csv', 'excel', 'vcard', 'json'])
+      .withMessage('Format must be csv, excel, vcard or json'),
+    query('sheet')
+      .optional()
+      .isIn(['contacts', 'interactions'])
+      .withMessage('Sheet must be contacts or interactions'),
+    query('search')
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Search query must be between 1 and 100 characters')
   ]
 };
 
 // Interview validation
+const INTERVIEW_CONTACT_ROLES = ['Referrer', 'Interviewer', 'Recruiter', 'Champion'];
+
 const interviewValidation = {
   create: [
     body('firm')
@@ -407,7 +670,24 @@ const interviewValidation = {
           throw new Error('Invalid referral contact ID');
         }
         return true;
-      })
+      }),
+    body('contacts')
+      .optional()
+      .isArray({ max: 50 })
+      .withMessage('Contacts must be an array of at most 50 links'),
+    body('contacts.*.contactId')
+      .custom(isValidObjectId),
+    body('contacts.*.role')
+      .isIn(INTERVIEW_CONTACT_ROLES)
+      .withMessage('Invalid contact role'),
+    body('contacts.*.notes')
+      .optional({ nullable: true })
+      .isLength({ max: 500 })
+      .withMessage('Link notes must be less than 500 characters'),
+    body('overrideStageRules')
+      .optional()
+      .isBoolean()
+      .withMessage('Override stage rules must be true or false')
   ],
   
   update: [
@@ -457,7 +737,24 @@ const interviewValidation = {
     body('notes')
       .optional()
       .isLength({ max: 2000 })
-      .withMessage('Notes must be less than 2000 characters')
+      .withMessage('Notes must be less than 2000 characters'),
+    body('contacts')
+      .optional()
+      .isArray({ max: 50 })
+      .withMessage('Contacts must be an array of at most 50 links'),
+    body('contacts.*.contactId')
+      .custom(isValidObjectId),
+    body('contacts.*.role')
+      .isIn(INTERVIEW_CONTACT_ROLES)
+      .withMessage('Invalid contact role'),
+    body('contacts.*.notes')
+      .optional({ nullable: true })
+      .isLength({ max: 500 })
+      .withMessage('Link notes must be less than 500 characters'),
+    body('overrideStageRules')
+      .optional()
+      .isBoolean()
+      .withMessage('Override stage rules must be true or false')
   ],
   
   addRound: [
@@ -497,6 +794,114 @@ const interviewValidation = {
       .optional()
       .isInt({ min: 1, max: 5 })
       .withMessage('Rating must be between 1 and 5')
+  ],
+
+  updateRound: [
+    param('id').custom(isValidObjectId),
+    param('roundId').custom(isValidObjectId),
+    body('stage')
+      .optional()
+      .isIn(['Phone Screen', 'First Round', 'Second Round', 'Third Round', 'Case Study', 'Superday', 'Final Round'])
+      .withMessage('Invalid interview round stage'),
+    body('date')
+      .optional()
+      .isISO8601()
+      .withMessage('Date must be a valid date'),
+    body('time')
+      .optional({ nullable: true, checkFalsy: true })
+      .matches(/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/)
+      .withMessage('Time must be in HH:MM format'),
+    body('duration')
+      .optional({ nullable: true })
+      .isInt({ min: 15, max: 480 })
+      .withMessage('Duration must be between 15 and 480 minutes'),
+    body('interviewer')
+      .optional({ nullable: true })
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage('Interviewer name must be less than 100 characters'),
+    body('format')
+      .optional()
+      .isIn(['Phone', 'Video', 'In-Person', 'Assessment', 'Case Study'])
+      .withMessage('Invalid interview format'),
+    body('outcome')
+      .optional()
+      .isIn(['Pending', 'Passed', 'Failed', 'Cancelled', 'Rescheduled'])
+      .withMessage('Invalid outcome'),
+    body('notes')
+      .optional({ nullable: true })
+      .isLength({ max: 2000 })
+      .withMessage('Notes must be less than 2000 characters'),
+    body('rating')
+      .optional({ nullable: true })
+      .isInt({ min: 1, max: 5 })
+      .withMessage('Rating must be between 1 and 5')
+  ],
+
+  deleteRound: [
+    param('id').custom(isValidObjectId),
+    param('roundId').custom(isValidObjectId)
+  ],
+
+  offer: [
+    param('id').custom(isValidObjectId),
+    body(['baseSalary', 'bonus', 'signingBonus'])
+      .optional({ nullable: true })
+      .isFloat({ min: 0 })
+      .withMessage('Compensation amounts must be non-negative numbers'),
+    body('currency')
+      .optional()
+      .isLength({ min: 3, max: 3 })
+      .withMessage('Currency must be a 3-letter code'),
+    body(['startDate', 'deadline', 'receivedDate'])
+      .optional({ nullable: true, checkFalsy: true })
+      .isISO8601()
+      .withMessage('Offer dates must be valid dates'),
+    body('location')
+      .optional({ nullable: true })
+      .trim()
+      .isLength({ max: 100 })
+      .withMessage('Location must be less than 100 characters'),
+    body('status')
+      .optional()
+      .isIn(['Pending', 'Negotiating', 'Accepted', 'Declined'])
+      .withMessage('Invalid offer status'),
+    body('notes')
+      .optional({ nullable: true })
+      .isLength({ max: 2000 })
+      .withMessage('Notes must be less than 2000 characters')
+  ],
+
+  addContact: [
+    param('id').custom(isValidObjectId),
+    body('contactId')
+      .notEmpty()
+      .withMessage('Contact ID is required')
+      .custom(isValidObjectId),
+    body('role')
+      .isIn(INTERVIEW_CONTACT_ROLES)
+      .withMessage('Role must be one of: ' + INTERVIEW_CONTACT_ROLES.join(', ')),
+    body('notes')
+      .optional({ nullable: true })
+      .isLength({ max: 500 })
+      .withMessage('Link notes must be less than 500 characters')
+  ],
+
+  removeContact: [
+    param('id').custom(isValidObjectId),
+    param('linkId').custom(isValidObjectId)
+  ],
+
+  timeline: [
+    param('id')
+      .custom(isValidObjectId)
+      .withMessage('Invalid interview ID format')
+  ],
+
+  restore: [
+    param('id')
+      .custom(isValidObjectId)
+      .withMessage('Invalid interview ID format')
   ]
 };
 
@@ -585,6 +990,18 @@ const documentValidation = {
       .optional()
       .isBoolean()
       .withMessage('isTemplate must be true or false')
+  ],
+
+  restore: [
+    param('id')
+      .custom(isValidObjectId)
+      .withMessage('Invalid document ID format')
+  ],
+
+  file: [
+    param('id')
+      .custom(isValidObjectId)
+      .withMessage('Invalid document ID format')
   ]
 };
 
@@ -657,6 +1074,10 @@ const taskValidation = {
       .trim()
       .isLength({ max: 1000 })
       .withMessage('Description must be less than 1000 characters'),
+    body('type')
+      .optional()
+      .isIn(['Contact', 'Interview', 'Application', 'Follow-up', 'Research', 'Other'])
+      .withMessage('Invalid task type'),
     body('status')
       .optional()
       .isIn(['Pending', 'In Progress', 'Completed', 'Cancelled'])
@@ -665,6 +1086,31 @@ const taskValidation = {
       .optional()
       .isIn(['High', 'Medium', 'Low'])
       .withMessage('Invalid priority level'),
+    body('dueDate')
+      .optional({ nullable: true, checkFalsy: true })
+      .isISO8601()
+      .withMessage('Due date must be a valid date'),
+    body('dueTime')
+      .optional({ nullable: true, checkFalsy: true })
+      .matches(/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/)
+      .withMessage('Due time must be in HH:MM format'),
+    body('estimatedDuration')
+      .optional()
+      .isInt({ min: 5, max: 600 })
+      .withMessage('Estimated duration must be between 5 and 600 minutes'),
+    body('relatedContact')
+      .optional({ nullable: true })
+      .custom(isValidObjectId),
+    body('relatedInterview')
+      .optional({ nullable: true })
+      .custom(isValidObjectId),
+    body('relatedDocument')
+      .optional({ nullable: true })
+      .custom(isValidObjectId),
+    body('tags')
+      .optional()
+      .isArray()
+      .withMessage('Tags must be an array'),
     body('actualDuration')
       .optional()
       .isInt({ min: 1, max: 600 })
@@ -677,10 +1123,27 @@ const taskValidation = {
       .optional()
       .isLength({ max: 1000 })
       .withMessage('Notes must be less than 1000 characters')
+  ],
+
+  complete: [
+    param('id').custom(isValidObjectId),
+    body('actualDuration')
+      .optional()
+      .isInt({ min: 1, max: 600 })
+      .withMessage('Actual duration must be between 1 and 600 minutes'),
+    body('completedAt')
+      .optional()
+      .isISO8601()
+      .withMessage('Completed date must be a valid ISO 8601 date')
   ]
 };
 
 // Goal validation
+const GOAL_METRICS = [
+  'contactsAdded', 'interactionsLogged', 'networkingTouches', 'applicationsSubmitted',
+  'interviewRounds', 'offersReceived', 'tasksCompleted', 'manual'
+];
+
 const goalValidation = {
   create: [
     body('title')
@@ -701,6 +1164,10 @@ const goalValidation = {
       .optional()
       .isIn(['Count', 'Percentage', 'Binary'])
       .withMessage('Invalid goal type'),
+    body('metric')
+      .optional()
+      .isIn(GOAL_METRICS)
+      .withMessage('Invalid goal metric'),
     body('target')
       .isNumeric()
       .withMessage('Target must be a number')
@@ -737,7 +1204,95 @@ const goalValidation = {
     body('status')
       .optional()
       .isIn(['Active', 'Completed', 'Paused', 'Cancelled'])
-      .withMessage('Invalid goal status')
+      .withMessage('Invalid goal status'),
+    body('recurring')
+      .optional()
+      .isBoolean()
+      .withMessage('Recurring must be true or false')
+  ],
+
+  update: [
+    param('id').custom(isValidObjectId),
+    body('title')
+      .optional()
+      .trim()
+      .notEmpty()
+      .isLength({ min: 1, max: 200 })
+      .withMessage('Title must be between 1 and 200 characters'),
+    body('description')
+      .optional()
+      .trim()
+      .isLength({ max: 1000 })
+      .withMessage('Description must be less than 1000 characters'),
+    body('category')
+      .optional()
+      .isIn(['Networking', 'Applications', 'Interviews', 'Learning', 'Personal'])
+      .withMessage('Invalid goal category'),
+    body('type')
+      .optional()
+      .isIn(['Count', 'Percentage', 'Binary'])
+      .withMessage('Invalid goal type'),
+    body('metric')
+      .optional()
+      .isIn(GOAL_METRICS)
+      .withMessage('Invalid goal metric'),
+    body('target')
+      .optional()
+      .isFloat({ gt: 0 })
+      .withMessage('Target must be greater than 0'),
+    body('current')
+      .optional()
+      .isNumeric()
+      .withMessage('Current value must be a number'),
+    body('unit')
+      .optional()
+      .trim()
+      .isLength({ max: 20 })
+      .withMessage('Unit must be less than 20 characters'),
+    body('timeframe')
+      .optional()
+      .isIn(['Daily', 'Weekly', 'Monthly', 'Quarterly', 'Yearly', 'Custom'])
+      .withMessage('Invalid timeframe'),
+    body('startDate')
+      .optional()
+      .isISO8601()
+      .withMessage('Start date must be a valid date'),
+    body('endDate')
+      .optional()
+      .isISO8601()
+      .withMessage('End date must be a valid date')
+      .custom((value, { req }) => {
+        if (req.body.startDate && new Date(value) <= new Date(req.body.startDate)) {
+          throw new Error('End date must be after start date');
+        }
+        return true;
+      }),
+    body('status')
+      .optional()
+      .isIn(['Active', 'Completed', 'Paused', 'Cancelled'])
+      .withMessage('Invalid goal status'),
+    body('recurring')
+      .optional()
+      .isBoolean()
+      .withMessage('Recurring must be true or false')
+  ],
+
+  updateProgress: [
+    param('id').custom(isValidObjectId),
+    body('current')
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage('Current value must be a non-negative number'),
+    body('increment')
+      .optional()
+      .isNumeric()
+      .withMessage('Increment must be a number')
+      .custom((value, { req }) => {
+        if (req.body.current !== undefined) {
+          throw new Error('Provide either current or increment, not both');
+        }
+        return true;
+      })
   ]
 };
 
@@ -803,6 +1358,79 @@ const bulkValidation = {
   ]
 };
 
+// Firm validation
+const FIRM_TYPES = ['BB', 'EB', 'MM', 'Boutique', 'Other'];
+
+const firmFields = (required) => [
+  required
+    ? body('name')
+      .trim()
+      .notEmpty()
+      .withMessage('Firm name is required')
+      .isLength({ max: 100 })
+      .withMessage('Firm name must be less than 100 characters')
+    : body('name')
+      .optional()
+      .trim()
+      .notEmpty()
+      .isLength({ max: 100 })
+      .withMessage('Firm name must be between 1 and 100 characters'),
+  body('aliases')
+    .optional()
+    .isArray({ max: 30 })
+    .withMessage('Aliases must be an array of at most 30 names'),
+  body('aliases.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Each alias must be between 1 and 100 characters'),
+  body('type')
+    .optional()
+    .isIn(FIRM_TYPES)
+    .withMessage('Firm type must be one of: ' + FIRM_TYPES.join(', ')),
+  body(['headquarters', 'website'])
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Headquarters and website must be less than 200 characters'),
+  body('groups')
+    .optional()
+    .isArray()
+    .withMessage('Groups must be an array'),
+  body('recruitingTimeline')
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage('Recruiting timeline must be an array of at most 50 entries'),
+  body('recruitingTimeline.*.date')
+    .optional({ nullable: true, checkFalsy: true })
+    .isISO8601()
+    .withMessage('Timeline dates must be valid dates'),
+  body('notes')
+    .optional({ nullable: true })
+    .isLength({ max: 2000 })
+    .withMessage('Notes must be less than 2000 characters'),
+  body('shared')
+    .optional()
+    .isBoolean()
+    .withMessage('Shared must be true or false')
+];
+
+const firmValidation = {
+  create: firmFields(true),
+
+  update: [
+    param('id').custom(isValidObjectId),
+    ...firmFields(false)
+  ],
+
+  resolve: [
+    query('name')
+      .trim()
+      .notEmpty()
+      .withMessage('Firm name is required')
+  ]
+};
+
 // Analytics validation
 const analyticsValidation = {
   track: [
@@ -816,6 +1444,56 @@ const analyticsValidation = {
       .optional()
       .isISO8601()
       .withMessage('Date must be a valid date')
+  ],
+
+  series: [
+    ...dateRangeValidation,
+    query('granularity')
+      .optional()
+      .isIn(['daily', 'weekly', 'monthly'])
+      .withMessage('Granularity must be daily, weekly, or monthly'),
+    // Accepts metrics=a,b as well as repeated metrics=a&metrics=b; normalized to an array
+    query('metrics')
+      .optional()
+      .customSanitizer(value => [].concat(value)
+        .flatMap(item => String(item).split(','))
+        .map(metric => metric.trim())
+        .filter(Boolean))
+      .custom((value) => {
+        const allowed = [
+          'contactsAdded', 'interactionsLogged', 'interviewsScheduled', 'followUpsCompleted',
+          'documentsCreated', 'tasksCompleted', 'goalsProgress'
+        ];
+        const invalid = value.filter(metric => !allowed.includes(metric));
+        if (invalid.length > 0) {
+          throw new Error(`Invalid metrics: ${invalid.join(', ')}`);
+        }
+        return true;
+      }),
+    query('window')
+      .optional()
+      .isInt({ min: 1, max: 90 })
+      .withMessage('Moving average window must be between 1 and 90 periods')
+  ],
+
+  backfill: [
+    body('userId')
+      .optional()
+      .custom(isValidObjectId),
+    body('startDate')
+      .optional()
+      .isISO8601()
+      .withMessage('Start date must be a valid date'),
+    body('endDate')
+      .optional()
+      .isISO8601()
+      .withMessage('End date must be a valid date')
+      .custom((value, { req }) => {
+        if (req.body.startDate && new Date(value) < new Date(req.body.startDate)) {
+          throw new Error('End date cannot be before start date');
+        }
+        return true;
+      })
   ]
 };
 
@@ -852,6 +1530,56 @@ const fileValidation = {
   ]
 };
 
+// Data retention validation
+const retentionValidation = {
+  trash: [
+    query('type')
+      .optional()
+      .isIn(['contacts', 'interviews', 'documents', 'tasks', 'goals'])
+      .withMessage('Type must be contacts, interviews, documents, tasks or goals'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 200 })
+      .withMessage('Limit must be between 1 and 200')
+  ]
+};
+
+// Archive browser validation
+const archiveValidation = {
+  list: [
+    query('type')
+      .optional()
+      .isIn(['contacts', 'interviews', 'documents', 'tasks', 'goals'])
+      .withMessage('Type must be contacts, interviews, documents, tasks or goals'),
+    query('archivedFrom')
+      .optional()
+      .isISO8601()
+      .withMessage('Archived from must be a valid date'),
+    query('archivedTo')
+      .optional()
+      .isISO8601()
+      .withMessage('Archived to must be a valid date'),
+    // Every type is read up to page * limit records deep, so pages are capped
+    query('page')
+      .optional()
+      .isInt({ min: 1, max: 50 })
+      .withMessage('Page must be between 1 and 50'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage('Limit must be between 1 and 100')
+  ],
+
+  record: [
+    param('type')
+      .isIn(['contacts', 'interviews', 'documents', 'tasks', 'goals'])
+      .withMessage('Type must be contacts, interviews, documents, tasks or goals'),
+    param('id')
+      .custom(isValidObjectId)
+      .withMessage('Invalid record ID format')
+  ]
+};
+
 // Custom validators
 const customValidators = {
   // Validate MongoDB ObjectId
@@ -1143,12 +1871,15 @@ module.exports = {
   documentValidation,
   taskValidation,
   goalValidation,
+  firmValidation,
   paginationValidation,
   dateRangeValidation,
   bulkValidation,
   analyticsValidation,
   searchValidation,
   fileValidation,
+  retentionValidation,
+  archiveValidation,
   customValidators,
   sanitizers,
   validationMiddleware,